@@ -0,0 +1,298 @@
+import express from "express";
+import cors from "cors";
+import { Buffer } from "buffer";
+import { createHash } from "crypto";
+import { SCRIPT_FLAG_NAMES, SIGVERSION } from "../src/script/flags.js";
+import { isHex } from "../src/script/codec.js";
+import { http_error } from "./runners.js";
+import * as config from "./config.js";
+
+// The back-end's Express app, without a listening server. Jobs go to run_job,
+// a runner from runners.js; `options` overrides the settings of config.js
+// (limits, cache sizes and RUNNER, the runner name in job hashes). Each app has
+// its own job queue and result cache.
+export function create_app(run_job, options = {}){
+  const {
+    MAX_RUNNING_JOBS, MAX_QUEUED_JOBS, MAX_SCRIPT_BYTES, MAX_TX_BYTES,
+    CACHE_MAX_ENTRIES, CACHE_MAX_BYTES, CACHE_TTL_MS, MAX_PAGE_STEPS, MAX_BATCH_JOBS, MAX_BATCH_BODY,
+    RUNNER,
+  } = { ...config, RUNNER: config.runner_config.RUNNER, ...options };
+
+  const app = express();
+  // Batches get a larger body limit than single jobs
+  app.use("/run-batch", express.json({ limit: MAX_BATCH_BODY }));
+  app.use(express.json({ limit: "2mb" }));
+  app.use(cors({ origin: "http://localhost:5173", exposedHeaders: ["X-Job-Hash"] }));
+
+  // -------------------- Validation --------------------
+  function check_hex(value, name, max_bytes){
+    if( typeof value !== "string" || !isHex(value) || value.length % 2 !== 0 )
+      throw http_error(400, `Invalid ${name}: expected an even-length hex string`);
+    if( value.length / 2 > max_bytes )
+      throw http_error(413, `Too large ${name}: ${value.length / 2} bytes, at most ${max_bytes} allowed`);
+  }
+
+  // Verification context
+  function check_context(context){
+    if( !context ) return;
+    if( typeof context !== "object" || Array.isArray(context) ) throw http_error(400, "Invalid context: expected an object");
+    for( const name of ["amounts", "scriptPubKeys", "flags"] ){
+      if( context[name] !== undefined && !Array.isArray(context[name]) )
+        throw http_error(400, `Invalid ${name}: expected an array`);
+    }
+    if( context.tx ) check_hex(context.tx, "transaction", MAX_TX_BYTES);
+    if( context.inputIndex !== undefined && (!Number.isInteger(context.inputIndex) || context.inputIndex < 0) )
+      throw http_error(400, "Invalid input index");
+    if( context.amounts && !context.amounts.every((a) => /^[0-9]{1,16}$/.test(String(a))) )
+      throw http_error(400, "Invalid amount");
+    if( context.scriptPubKeys )
+      context.scriptPubKeys.forEach((s) => check_hex(s, "scriptPubKey", MAX_SCRIPT_BYTES));
+    if( context.sigversion && !Object.values(SIGVERSION).includes(context.sigversion) )
+      throw http_error(400, "Invalid sigversion");
+    if( context.flags && !context.flags.every((f) => SCRIPT_FLAG_NAMES.includes(f)) )
+      throw http_error(400, "Invalid script flag");
+  }
+
+  // Spend mode: the scriptSig and witness stack run before `input`, which is
+  // then the scriptPubKey.
+  function check_spend(spend){
+    if( !spend ) return;
+    check_hex(spend.scriptSig, "scriptSig", MAX_SCRIPT_BYTES);
+    if( !Array.isArray(spend.witness) ) throw http_error(400, "Invalid witness: expected an array of hex strings");
+    spend.witness.forEach((item) => check_hex(item, "witness item", MAX_SCRIPT_BYTES));
+  }
+
+  function check_job({ input, context, spend }){
+    check_hex(input, "script", MAX_SCRIPT_BYTES);
+    check_context(context);
+    check_spend(spend);
+  }
+
+  // -------------------- Job queue --------------------
+  // At most MAX_RUNNING_JOBS debugger processes at once; further jobs wait in
+  // a queue of MAX_QUEUED_JOBS and are refused once it is full.
+  let running_jobs = 0;
+  const job_queue = [];
+
+  function schedule_job(job){
+    return new Promise((resolve, reject) => {
+      if( running_jobs >= MAX_RUNNING_JOBS && job_queue.length >= MAX_QUEUED_JOBS )
+        return reject(http_error(429, "Too many jobs queued, try again later"));
+      job_queue.push({ job, resolve, reject });
+      start_jobs();
+    });
+  }
+
+  function start_jobs(){
+    while( running_jobs < MAX_RUNNING_JOBS && job_queue.length > 0 ){
+      const { job, resolve, reject } = job_queue.shift();
+      running_jobs++;
+      job().then(resolve, reject).finally(() => {
+        running_jobs--;
+        start_jobs();
+      });
+    }
+  }
+
+  // -------------------- Result cache --------------------
+  // Debugger output (serialized) by job hash, the SHA-256 of the runner name and
+  // the job with its keys sorted. Entries expire after CACHE_TTL_MS and the least
+  // recently used ones are evicted beyond CACHE_MAX_ENTRIES or CACHE_MAX_BYTES.
+  const result_cache = new Map(); // hash -> { body, bytes, expires }, oldest use first
+  let cache_bytes = 0;
+  const pending_jobs = new Map(); // hash -> Promise of the body, while running
+
+  function canonical_json(value){
+    return JSON.stringify(value, (key, item) =>
+      item && typeof item === "object" && !Array.isArray(item)
+        ? Object.fromEntries(Object.entries(item).sort(([a], [b]) => (a < b ? -1 : 1)))
+        : item
+    );
+  }
+
+  function job_hash(job){
+    return createHash("sha256").update(`${RUNNER}\n${canonical_json(job)}`).digest("hex");
+  }
+
+  function cache_delete(hash){
+    const entry = result_cache.get(hash);
+    if( !entry ) return;
+    result_cache.delete(hash);
+    cache_bytes -= entry.bytes;
+  }
+
+  function cache_get(hash){
+    const entry = result_cache.get(hash);
+    if( !entry ) return undefined;
+    cache_delete(hash);
+    if( entry.expires <= Date.now() ) return undefined;
+    // re-insert as the most recently used
+    result_cache.set(hash, entry);
+    cache_bytes += entry.bytes;
+    return entry.body;
+  }
+
+  function cache_put(hash, body){
+    const bytes = Buffer.byteLength(body);
+    cache_delete(hash);
+    result_cache.set(hash, { body, bytes, expires: Date.now() + CACHE_TTL_MS });
+    cache_bytes += bytes;
+    for( const old of result_cache.keys() ){
+      if( result_cache.size <= CACHE_MAX_ENTRIES && cache_bytes <= CACHE_MAX_BYTES ) break;
+      cache_delete(old);
+    }
+  }
+
+  // Cached output of a job, running it if needed; identical jobs submitted
+  // while it runs share the one run. on_step receives the steps of a new run as
+  // they come. Errors are not cached.
+  async function run_cached(hash, job, on_step){
+    const cached = cache_get(hash);
+    if( cached !== undefined ) return cached;
+    if( pending_jobs.has(hash) ) return pending_jobs.get(hash);
+
+    const pending = schedule_job(() => run_job(job, on_step))
+      .then((result) => {
+        const body = JSON.stringify(result);
+        cache_put(hash, body);
+        return body;
+      })
+      .finally(() => pending_jobs.delete(hash));
+    pending_jobs.set(hash, pending);
+    return pending;
+  }
+
+  // -------------------- Routes --------------------
+  function send_error(res, e){
+    console.error(`Error: ${e.message}`);
+    res.status(e.status || 500).json({ error: e.message, status: "error" });
+  }
+
+  async function handle_run_job(req, res, { input, context, spend }){
+    try {
+      const job = { input, context, spend };
+      check_job(job);
+      const hash = job_hash(job);
+      const body = await run_cached(hash, job);
+      res.set("X-Job-Hash", hash).type("json").send(body);
+    } catch (e) {
+      send_error(res, e);
+    }
+  }
+
+  // NDJSON stream of a job: a {"type":"step","step":<trace entry>} line per step
+  // as the debugger produces it, then {"type":"result",...} with everything but
+  // the trace, or {"type":"error",...} if the job fails once steps were sent.
+  // A client that disconnects gets nothing more; its job still finishes into
+  // the cache.
+  async function handle_stream_job(req, res, { input, context, spend }){
+    let hash;
+    let closed = false;
+    res.on("close", () => { closed = true; });
+    const write = (message) => {
+      if( closed ) return;
+      if( !res.headersSent )
+        res.status(200).set("X-Job-Hash", hash).type("application/x-ndjson");
+      res.write(JSON.stringify(message) + "\n");
+    };
+    try {
+      const job = { input, context, spend };
+      check_job(job);
+      hash = job_hash(job);
+      let streamed = 0;
+      const body = await run_cached(hash, job, (step) => {
+        streamed++;
+        write({ type: "step", step });
+      });
+      // Cached or shared jobs are replayed in one go
+      const { trace = [], ...result } = JSON.parse(body);
+      trace.slice(streamed).forEach((step) => write({ type: "step", step }));
+      write({ type: "result", ...result });
+      res.end();
+    } catch (e) {
+      if( closed ) return console.error(`Error: ${e.message}`);
+      if( !res.headersSent ) return send_error(res, e);
+      console.error(`Error: ${e.message}`);
+      res.end(JSON.stringify({ type: "error", status: "error", error: e.message }) + "\n");
+    }
+  }
+
+  app.get("/run-job", (req, res) => handle_run_job(req, res, { input: req.query.input }));
+
+  app.post("/run-job", (req, res) => handle_run_job(req, res, req.body || {}));
+
+  app.get("/run-job/stream", (req, res) => handle_stream_job(req, res, { input: req.query.input }));
+
+  app.post("/run-job/stream", (req, res) => handle_stream_job(req, res, req.body || {}));
+
+  // Many jobs at once: {"jobs": [job, ...]}. Runs at most MAX_RUNNING_JOBS of
+  // them at a time and answers with an NDJSON line per job as it finishes,
+  // {"type":"result","index":i,"hash":...,"status":...,"error":...} (traces
+  // stay in the cache), then {"type":"done","count":n}. A job that is invalid
+  // or refused gets status "error" and its HTTP status in `rejected`.
+  async function handle_run_batch(req, res){
+    const jobs = req.body?.jobs;
+    if( !Array.isArray(jobs) )
+      return send_error(res, http_error(400, "Invalid batch: expected {\"jobs\": [...]}"));
+    if( jobs.length > MAX_BATCH_JOBS )
+      return send_error(res, http_error(413, `Too many jobs: ${jobs.length}, at most ${MAX_BATCH_JOBS} allowed`));
+
+    let closed = false;
+    res.on("close", () => { closed = true; });
+    res.status(200).type("application/x-ndjson");
+    const write = (message) => res.write(JSON.stringify(message) + "\n");
+
+    let next = 0;
+    const worker = async () => {
+      while( !closed && next < jobs.length ){
+        const index = next++;
+        const { input, context, spend } = jobs[index] || {};
+        const job = { input, context, spend };
+        try {
+          check_job(job);
+          const hash = job_hash(job);
+          const { status, error } = JSON.parse(await run_cached(hash, job));
+          write({ type: "result", index, hash, status, error });
+        } catch (e) {
+          write({ type: "result", index, status: "error", error: e.message, rejected: e.status || 500 });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: MAX_RUNNING_JOBS }, worker));
+    write({ type: "done", count: jobs.length });
+    res.end();
+  }
+
+  app.post("/run-batch", handle_run_batch);
+
+  // Output of a job by the hash returned in X-Job-Hash, waiting for it if it is
+  // still running. `from` and `count` select a page of the trace, returned with
+  // the trace length as `total`.
+  app.get("/jobs/:hash", async (req, res) => {
+    try {
+      const { hash } = req.params;
+      if( !/^[0-9a-f]{64}$/.test(hash) ) throw http_error(400, "Invalid job hash");
+      const body = cache_get(hash) ?? await pending_jobs.get(hash);
+      if( body === undefined ) throw http_error(404, "Unknown or expired job");
+      res.set("X-Job-Hash", hash).type("json");
+      if( req.query.from === undefined && req.query.count === undefined ) return res.send(body);
+
+      const from = Number(req.query.from ?? 0);
+      const count = Number(req.query.count ?? MAX_PAGE_STEPS);
+      if( !Number.isInteger(from) || from < 0 || !Number.isInteger(count) || count < 0 || count > MAX_PAGE_STEPS )
+        throw http_error(400, `Invalid page: from >= 0 and 0 <= count <= ${MAX_PAGE_STEPS} expected`);
+      const { trace = [], ...result } = JSON.parse(body);
+      res.json({ ...result, from, total: trace.length, trace: trace.slice(from, from + count) });
+    } catch (e) {
+      send_error(res, e);
+    }
+  });
+
+  // Body parser errors (invalid JSON, body over the limit) as JSON too
+  app.use((err, req, res, next) => {
+    if( res.headersSent ) return next(err);
+    res.status(err.status || 500).json({ error: err.message, status: "error" });
+  });
+
+  return app;
+}
@@ -0,0 +1,197 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { create_app } from "./app.js";
+import { create_runner, http_error } from "./runners.js";
+import { asmToHex } from "../src/script/codec.js";
+
+const js = create_runner({ RUNNER: "js" });
+
+// Serves create_app(run_job, options) on a free port for the rest of the test
+async function serve(t, run_job, options){
+  const server = create_app(run_job, options).listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return (route, body, init = {}) => fetch(url + route, body === undefined ? init : {
+    ...init,
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+}
+
+const ndjson = async (res) => (await res.text()).trim().split("\n").map((line) => JSON.parse(line));
+
+// A runner whose jobs wait until release() and count the runs
+function held_runner(){
+  const waiting = [];
+  const run = () => new Promise((resolve) => {
+    run.count++;
+    waiting.push(resolve);
+  });
+  run.count = 0;
+  run.release = () => waiting.splice(0).forEach((resolve) => resolve({ status: "success", error: "", trace: [] }));
+  return run;
+}
+
+test("jobs are validated before they run", async (t) => {
+  const request = await serve(t, js, { MAX_SCRIPT_BYTES: 4 });
+  const check = async (res, status, error) => {
+    assert.equal(res.status, status);
+    const body = await res.json();
+    assert.equal(body.status, "error");
+    assert.match(body.error, error);
+  };
+  await check(await request("/run-job?input=zz"), 400, /Invalid script/);
+  await check(await request("/run-job?input=515"), 400, /Invalid script/);
+  await check(await request("/run-job", { input: "5151515151" }), 413, /Too large script: 5 bytes/);
+  await check(await request("/run-job", { input: "51", context: { flags: "P2SH" } }), 400, /Invalid flags/);
+  await check(await request("/run-job", { input: "51", context: { amounts: 5 } }), 400, /Invalid amounts/);
+  await check(await request("/run-job", { input: "51", context: { scriptPubKeys: ["0"] } }), 400, /Invalid scriptPubKey/);
+  await check(await request("/run-job", { input: "51", spend: { scriptSig: "00" } }), 400, /Invalid witness/);
+  await check(await request("/run-job", { input: "51", context: { tx: "00" } }), 400, /Invalid context/);
+  await check(await request("/run-job", "{"), 400, /JSON/);
+  await check(await request("/run-job", { input: "51".repeat(2 * 1024 * 1024) }), 413, /too large/);
+});
+
+test("a job runs once and its result is served by hash", async (t) => {
+  let runs = 0;
+  const request = await serve(t, (job, on_step) => {
+    runs++;
+    return js(job, on_step);
+  });
+  const job = { input: asmToHex("OP_1 OP_2 OP_ADD OP_3 OP_EQUAL") };
+
+  const first = await request("/run-job", job);
+  assert.equal(first.status, 200);
+  const hash = first.headers.get("X-Job-Hash");
+  const result = await first.json();
+  assert.equal(result.status, "success");
+  assert.equal(result.trace.length, 6);
+
+  const second = await request("/run-job", job);
+  assert.equal(second.headers.get("X-Job-Hash"), hash);
+  assert.deepEqual(await second.json(), result);
+  assert.deepEqual(await (await request(`/jobs/${hash}`)).json(), result);
+  assert.equal(runs, 1);
+
+  // identical jobs sent while one runs share it too
+  const other = { input: asmToHex("OP_2") };
+  await Promise.all([request("/run-job", other), request("/run-job", other)]);
+  assert.equal(runs, 2);
+});
+
+test("/jobs/:hash pages the trace", async (t) => {
+  const request = await serve(t, js, { MAX_PAGE_STEPS: 3 });
+  const res = await request("/run-job", { input: asmToHex("OP_1 OP_2 OP_3 OP_4 OP_5") });
+  const hash = res.headers.get("X-Job-Hash");
+  const { trace } = await res.json();
+
+  const page = await (await request(`/jobs/${hash}?from=2&count=2`)).json();
+  assert.deepEqual([page.from, page.total, page.status], [2, 6, "success"]);
+  assert.deepEqual(page.trace, trace.slice(2, 4));
+  assert.deepEqual((await (await request(`/jobs/${hash}?from=4`)).json()).trace, trace.slice(4));
+
+  assert.equal((await request(`/jobs/${hash}?count=4`)).status, 400);
+  assert.equal((await request(`/jobs/${hash}?from=-1`)).status, 400);
+  assert.equal((await request("/jobs/xyz")).status, 400);
+  assert.equal((await request(`/jobs/${"0".repeat(64)}`)).status, 404);
+});
+
+test("/jobs/:hash pages a result without a trace as empty", async (t) => {
+  const request = await serve(t, async () => ({ status: "error", error: "Unknown opcode" }));
+  const hash = (await request("/run-job?input=ff")).headers.get("X-Job-Hash");
+  const page = await (await request(`/jobs/${hash}?from=0`)).json();
+  assert.deepEqual(page, { status: "error", error: "Unknown opcode", from: 0, total: 0, trace: [] });
+});
+
+test("the queue refuses jobs beyond its limit with 429", async (t) => {
+  const run = held_runner();
+  const request = await serve(t, run, { MAX_RUNNING_JOBS: 1, MAX_QUEUED_JOBS: 1 });
+  const running = request("/run-job?input=51");
+  const queued = request("/run-job?input=52");
+  while( run.count < 1 ) await new Promise((resolve) => setTimeout(resolve, 5));
+
+  const refused = await request("/run-job?input=53");
+  assert.equal(refused.status, 429);
+  assert.equal((await refused.json()).error, "Too many jobs queued, try again later");
+
+  run.release();
+  assert.equal((await running).status, 200);
+  while( run.count < 2 ) await new Promise((resolve) => setTimeout(resolve, 5));
+  run.release();
+  assert.equal((await queued).status, 200);
+});
+
+test("runner errors keep their status and are not cached", async (t) => {
+  let runs = 0;
+  const request = await serve(t, async () => {
+    runs++;
+    throw http_error(504, "Debugger timed out after 10 ms");
+  });
+  for( let i = 0; i < 2; i++ ){
+    const res = await request("/run-job?input=51");
+    assert.equal(res.status, 504);
+    assert.deepEqual(await res.json(), { status: "error", error: "Debugger timed out after 10 ms" });
+  }
+  assert.equal(runs, 2);
+});
+
+test("/run-job/stream sends the steps, then the result", async (t) => {
+  const request = await serve(t, js);
+  const job = { input: asmToHex("OP_1 OP_DUP OP_EQUAL") };
+  const res = await request("/run-job/stream", job);
+  assert.equal(res.headers.get("Content-Type"), "application/x-ndjson");
+  const lines = await ndjson(res);
+  const { trace } = await (await request("/run-job", job)).json();
+  assert.deepEqual(lines.slice(0, -1), trace.map((step) => ({ type: "step", step })));
+  assert.deepEqual(lines.at(-1), { type: "result", status: "success", error: "" });
+
+  // replayed from the cache
+  assert.deepEqual(await ndjson(await request("/run-job/stream", job)), lines);
+  assert.equal((await request("/run-job/stream?input=zz")).status, 400);
+});
+
+test("a stream closed by the client stops, its job still finishes into the cache", async (t) => {
+  const steps = [{ pc: 0, stack: [], altstack: [] }, { pc: 1, stack: ["01"], altstack: [] }];
+  let release;
+  let closed;
+  const request = await serve(t, async (job, on_step) => {
+    on_step(steps[0]);
+    await new Promise((resolve) => { release = resolve; });
+    on_step(steps[1]);
+    return { status: "success", error: "", trace: steps };
+  });
+  const abort = new AbortController();
+  const res = await request("/run-job/stream", { input: "51" }, { signal: abort.signal });
+  const hash = res.headers.get("X-Job-Hash");
+  const reader = res.body.getReader();
+  const { value } = await reader.read();
+  assert.deepEqual(JSON.parse(new TextDecoder().decode(value)), { type: "step", step: steps[0] });
+  abort.abort();
+  await reader.closed.catch(() => { closed = true; });
+  assert.ok(closed);
+
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  release();
+  assert.deepEqual((await (await request(`/jobs/${hash}`)).json()).trace, steps);
+});
+
+test("/run-batch answers every job", async (t) => {
+  const request = await serve(t, js, { MAX_BATCH_JOBS: 3 });
+  const res = await request("/run-batch", {
+    jobs: [{ input: asmToHex("OP_1") }, { input: asmToHex("OP_0") }, { input: "zz" }],
+  });
+  const lines = await ndjson(res);
+  assert.deepEqual(lines.at(-1), { type: "done", count: 3 });
+  const results = lines.slice(0, -1).sort((a, b) => a.index - b.index);
+  assert.deepEqual(results.map((r) => [r.index, r.status, r.rejected]), [[0, "success", undefined], [1, "error", undefined], [2, "error", 400]]);
+  assert.equal((await (await request(`/jobs/${results[0].hash}`)).json()).status, "success");
+
+  assert.equal((await request("/run-batch", { jobs: "51" })).status, 400);
+  assert.equal((await request("/run-batch", { jobs: [{}, {}, {}, {}] })).status, 413);
+});
@@ -1,51 +1,8 @@
-import express from "express";
-import { exec } from "child_process";
-import { stderr } from "process";
-import cors from "cors";
-import process from "process";
+import { create_app } from "./app.js";
+import { create_runner } from "./runners.js";
+import { runner_config } from "./config.js";
 
+// How jobs are executed, see runners.js
+const app = create_app(create_runner(runner_config));
 
-const app = express();
-app.use(express.json());
-app.use(cors({ origin: "http://localhost:5173" }));
-
-function run_debugger(input){
-
-}
-
-app.get("/run-job", (req, res) => {
-  const input = req.body.input;
-
-  // Run C++ program in docker container
-  // For linux it can be executed natively
-  let command = `docker run -v ` + process.cwd() + `/indexer/build/bin:/work ci_native /work/bitcoin-debugger --code=${input}`;
-  exec(command, (error, stdout, stderr) => {
-    if (error) {
-      console.error(`Error: ${error.message}`);
-      res.status(500).json({ error: error.message, status:"error" });
-    }
-    if (stderr) {
-      console.error(`Stderr: ${stderr}`);
-    }
-    res.json({ output: stdout.trim(), status: "success" });
-  });
-});
-
-app.post("/run-job", (req, res) => {
-  const input = req.body.input;
-
-  // For linux it can be executed natively
-  let command = `docker run -v ` + process.cwd() + `/indexer/build/bin:/work ci_native /work/bitcoin-debugger --code=${input}`;
-  exec(command, (error, stdout, stderr) => {
-    if (error) {
-      console.error(`Error: ${error.message}`);
-      return res.status(500).json({ error: error.message, status: "error", output: stdout.trim() });
-    }
-    if (stderr) {
-      console.error(`Stderr: ${stderr}`);
-    }
-    res.json(JSON.parse(stdout.trim()));
-  });
-});
-
-app.listen(3000, () => console.log("Server running on port 3000"));
+app.listen(3000, () => console.log(`Server running on port 3000 (${runner_config.RUNNER} runner)`));
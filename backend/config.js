@@ -0,0 +1,48 @@
+// Back-end settings, shared by the server and the command line tools.
+import { readFileSync } from "fs";
+import process from "process";
+import { MAX_SCRIPT_SIZE } from "../src/script/interpreter.js";
+import { RUNNER_DEFAULTS } from "./runners.js";
+
+// Each setting is read from the environment, then from the JSON file named by
+// BACKEND_CONFIG (backend/config.json by default), then falls back to its default.
+function load_config_file(file){
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch (e) {
+    if( e.code === "ENOENT" ) return {};
+    throw new Error(`Cannot read ${file}: ${e.message}`);
+  }
+}
+
+const config_file = load_config_file(process.env.BACKEND_CONFIG || "backend/config.json");
+
+export function setting(name, fallback){
+  return process.env[name] ?? config_file[name] ?? fallback;
+}
+
+// Limits
+export const JOB_TIMEOUT_MS = Number(setting("JOB_TIMEOUT_MS")) || RUNNER_DEFAULTS.JOB_TIMEOUT_MS;
+export const MAX_RUNNING_JOBS = Number(setting("MAX_RUNNING_JOBS")) || 2;
+export const MAX_QUEUED_JOBS = Number(setting("MAX_QUEUED_JOBS")) || 16;
+export const MAX_SCRIPT_BYTES = Number(setting("MAX_SCRIPT_BYTES")) || MAX_SCRIPT_SIZE;
+export const MAX_TX_BYTES = Number(setting("MAX_TX_BYTES")) || 400000;
+
+// Result cache, 0 disables it
+export const CACHE_MAX_ENTRIES = Number(setting("CACHE_MAX_ENTRIES", 256));
+export const CACHE_MAX_BYTES = Number(setting("CACHE_MAX_BYTES", 64 * 1024 * 1024));
+export const CACHE_TTL_MS = Number(setting("CACHE_TTL_MS", 60 * 60 * 1000));
+// Largest trace page served by /jobs/:hash
+export const MAX_PAGE_STEPS = 1000;
+// Batches of /run-batch
+export const MAX_BATCH_JOBS = Number(setting("MAX_BATCH_JOBS")) || 5000;
+export const MAX_BATCH_BODY = setting("MAX_BATCH_BODY", "32mb");
+
+// How jobs are executed, see runners.js
+export const runner_config = {
+  RUNNER: setting("RUNNER", RUNNER_DEFAULTS.RUNNER),
+  DEBUGGER_PATH: setting("DEBUGGER_PATH", RUNNER_DEFAULTS.DEBUGGER_PATH),
+  DEBUGGER_DIR: setting("DEBUGGER_DIR", RUNNER_DEFAULTS.DEBUGGER_DIR),
+  DOCKER_IMAGE: setting("DOCKER_IMAGE", RUNNER_DEFAULTS.DOCKER_IMAGE),
+  JOB_TIMEOUT_MS,
+};
@@ -0,0 +1,28 @@
+// Worker thread of the js runner. Each message is a job; the worker answers
+// with {type:"steps",steps} as the trace grows, then {type:"result",status,
+// error,scripts} (the trace being the steps sent), or {type:"invalid",message}
+// when the job's context cannot be used.
+import { parentPort } from "worker_threads";
+import { runJob } from "../src/script/job.js";
+
+// Steps sent per message
+const STEP_BATCH = 256;
+
+parentPort.on("message", (job) => {
+  let steps = [];
+  const flush = () => {
+    if( steps.length ) parentPort.postMessage({ type: "steps", steps });
+    steps = [];
+  };
+  let result;
+  try {
+    result = runJob(job, (entry) => {
+      steps.push(entry);
+      if( steps.length >= STEP_BATCH ) flush();
+    });
+  } catch (e) {
+    return parentPort.postMessage({ type: "invalid", message: e.message });
+  }
+  flush();
+  parentPort.postMessage({ type: "result", status: result.status, error: result.error, scripts: result.scripts });
+});
@@ -0,0 +1,68 @@
+// Run a Bitcoin Core script_tests.json file through the configured runner
+// (RUNNER, see config.js) and report the vectors whose result differs from
+// the expected script error. Exits with 1 if any vector fails.
+//
+//   RUNNER=js node backend/run-vectors.js path/to/script_tests.json [--filter=<text>] [--verbose]
+import { readFileSync } from "fs";
+import process from "process";
+import { parseScriptTests, vectorJob, checkVector } from "../src/script/vectors.js";
+import { create_runner } from "./runners.js";
+import { MAX_RUNNING_JOBS, runner_config } from "./config.js";
+
+function parse_args(argv){
+  const options = { file: null, filter: "", verbose: false };
+  for( const arg of argv ){
+    if( arg.startsWith("--filter=") ) options.filter = arg.slice("--filter=".length);
+    else if( arg === "--verbose" ) options.verbose = true;
+    else if( !options.file ) options.file = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if( !options.file ) throw new Error("Usage: node backend/run-vectors.js <script_tests.json> [--filter=<text>] [--verbose]");
+  return options;
+}
+
+function describe(vector){
+  const witness = vector.witness.length ? `[${vector.witness.join(" ")}] ` : "";
+  return `#${vector.index} ${witness}"${vector.scriptSig}" "${vector.scriptPubKey}" ${vector.flags}` +
+    (vector.comment ? ` (${vector.comment})` : "");
+}
+
+async function main(){
+  const options = parse_args(process.argv.slice(2));
+  const vectors = parseScriptTests(readFileSync(options.file, "utf8"))
+    .filter((v) => describe(v).includes(options.filter));
+  const run_job = create_runner(runner_config);
+
+  let passed = 0;
+  let failed = 0;
+  let next = 0;
+  const worker = async () => {
+    while( next < vectors.length ){
+      const vector = vectors[next++];
+      let check;
+      try {
+        check = checkVector(vector, await run_job(vectorJob(vector)));
+      } catch (e) {
+        check = { pass: false, expected: vector.expected, actual: `not run: ${e.message}` };
+      }
+      if( check.pass ){
+        passed++;
+        if( options.verbose ) console.log(`PASS ${describe(vector)}`);
+      } else {
+        failed++;
+        console.log(`FAIL ${describe(vector)}: expected ${check.expected}, got ${check.actual}`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: MAX_RUNNING_JOBS }, worker));
+  console.log(`${passed} passed, ${failed} failed (${runner_config.RUNNER} runner)`);
+  return failed ? 1 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error(e.message);
+    process.exit(2);
+  }
+);
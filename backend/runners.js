@@ -0,0 +1,218 @@
+import { execFile } from "child_process";
+import { randomUUID } from "crypto";
+import path from "path";
+import process from "process";
+import { Worker } from "worker_threads";
+
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+// Error with the HTTP status it is reported with
+export function http_error(status, message){
+  return Object.assign(new Error(message), { status });
+}
+
+// -------------------- Debugger arguments --------------------
+// A job is { input, context, spend } as validated by the back-end; `--code`
+// is the script, or the scriptPubKey of a spend.
+function context_args(context){
+  if( !context ) return [];
+  let args = [];
+  if( context.tx ) args.push(`--tx=${context.tx}`);
+  if( context.inputIndex !== undefined ) args.push(`--input-index=${context.inputIndex}`);
+  if( context.amounts && context.amounts.length ) args.push(`--amounts=${context.amounts.join(",")}`);
+  if( context.scriptPubKeys && context.scriptPubKeys.length ) args.push(`--spent-scripts=${context.scriptPubKeys.join(",")}`);
+  if( context.sigversion ) args.push(`--sigversion=${context.sigversion}`);
+  if( context.flags && context.flags.length ) args.push(`--flags=${context.flags.join(",")}`);
+  return args;
+}
+
+function spend_args(spend){
+  if( !spend ) return [];
+  let args = [`--script-sig=${spend.scriptSig}`];
+  if( spend.witness.length ) args.push(`--witness=${spend.witness.join(",")}`);
+  return args;
+}
+
+export function debugger_args({ input, context, spend }){
+  return [`--code=${input}`, ...context_args(context), ...spend_args(spend)];
+}
+
+// -------------------- Trace scanner --------------------
+// Returns a function fed the debugger's JSON output in chunks; it calls
+// on_step with each element of the top-level "trace" array as soon as the
+// element is complete, so steps can be streamed before the debugger exits.
+export function trace_scanner(on_step){
+  let depth = 0;
+  let in_string = false;
+  let escaped = false;
+  let string = "";
+  let last_string = ""; // last string at the top level, a key before `[`
+  let in_trace = false;
+  let item = null; // text of the unfinished trace element
+
+  return (chunk) => {
+    let start = item !== null ? 0 : -1;
+    for( let i = 0; i < chunk.length; i++ ){
+      const c = chunk[i];
+      if( in_string ){
+        if( escaped ) escaped = false;
+        else if( c === "\\" ) escaped = true;
+        else if( c === '"' ){
+          in_string = false;
+          if( depth === 1 ) last_string = string;
+        } else if( depth === 1 ) string += c;
+      } else if( c === '"' ){
+        in_string = true;
+        string = "";
+      } else if( c === "{" || c === "[" ){
+        if( c === "[" && depth === 1 && last_string === "trace" ) in_trace = true;
+        else if( c === "{" && depth === 2 && in_trace ){
+          item = "";
+          start = i;
+        }
+        depth++;
+      } else if( c === "}" || c === "]" ){
+        depth--;
+        if( depth === 2 && item !== null ){
+          on_step(JSON.parse(item + chunk.slice(start, i + 1)));
+          item = null;
+        } else if( depth === 1 ) in_trace = false;
+      }
+    }
+    if( item !== null ) item += chunk.slice(start);
+  };
+}
+
+// -------------------- Runners --------------------
+// A runner is an async function (job, on_step?) -> debugger JSON output
+// ({ status, error, trace, scripts? }); on_step, when given, is called with
+// each trace entry as soon as it is known.
+
+// Run a command without a shell and resolve with its JSON output. When it
+// times out, on_timeout (which may return a promise) cleans up what killing
+// the command leaves behind before the 504.
+function exec_json(command, argv, timeout, on_step, on_timeout){
+  return new Promise((resolve, reject) => {
+    const child = execFile(command, argv, { timeout, maxBuffer: MAX_OUTPUT_BYTES }, (error, stdout, stderr) => {
+      if( stderr ) {
+        console.error(`Stderr: ${stderr}`);
+      }
+      if( error && error.killed ) {
+        const timed_out = () => reject(http_error(504, `Debugger timed out after ${timeout} ms`));
+        return Promise.resolve(on_timeout?.()).then(timed_out, timed_out);
+      }
+      try {
+        resolve(JSON.parse(stdout.trim()));
+      } catch {
+        reject(http_error(500, error ? error.message : "Debugger returned invalid JSON"));
+      }
+    });
+    if( on_step ){
+      // Output the scanner cannot follow is left to the final JSON.parse
+      let scan = trace_scanner(on_step);
+      child.stdout.on("data", (chunk) => {
+        try {
+          scan?.(chunk);
+        } catch {
+          scan = null;
+        }
+      });
+    }
+  });
+}
+
+// bitcoin-debugger executed directly, e.g. on Linux
+function native_runner(config){
+  const binary = path.resolve(config.DEBUGGER_PATH);
+  return (job, on_step) => exec_json(binary, debugger_args(job), config.JOB_TIMEOUT_MS, on_step);
+}
+
+// bitcoin-debugger executed in the `ci_native` image with the build directory
+// mounted as /work. The timeout only stops the docker client, so each job's
+// container is named and killed by that name when it times out; --init runs
+// the debugger under an init process that forwards signals to it.
+function docker_runner(config){
+  const mount = path.resolve(config.DEBUGGER_DIR) + ":/work";
+  return (job, on_step) => {
+    const name = `bitcoin-debugger-${randomUUID()}`;
+    return exec_json(
+      "docker",
+      ["run", "--rm", "--init", "--name", name, "-v", mount, config.DOCKER_IMAGE, "/work/bitcoin-debugger", ...debugger_args(job)],
+      config.JOB_TIMEOUT_MS,
+      on_step,
+      () => new Promise((resolve) => {
+        execFile("docker", ["kill", name], (error) => {
+          if( error ) console.error(`Cannot kill container ${name}: ${error.message}`);
+          resolve();
+        });
+      })
+    );
+  };
+}
+
+// The in-browser interpreter from src/script standing in for
+// bitcoin-debugger: no Docker image or indexer build needed. Jobs run in
+// worker threads, one job per worker at a time, so the server stays
+// responsive and steps stream as they are recorded; a worker still running
+// after JOB_TIMEOUT_MS is terminated. Idle workers are kept for later jobs.
+function js_runner(config){
+  const idle_workers = [];
+
+  return (job, on_step) => new Promise((resolve, reject) => {
+    const worker = idle_workers.pop() || new Worker(new URL("./js-worker.js", import.meta.url));
+    worker.ref();
+    const trace = [];
+    let settled = false;
+    const settle = (error, result) => {
+      if( settled ) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.off("message", on_message).off("error", on_error).off("exit", on_exit);
+      if( error && error.status !== 400 ) worker.terminate();
+      else {
+        worker.unref();
+        idle_workers.push(worker);
+      }
+      if( error ) reject(error);
+      else resolve(result);
+    };
+    const timer = setTimeout(
+      () => settle(http_error(504, `Debugger timed out after ${config.JOB_TIMEOUT_MS} ms`)),
+      config.JOB_TIMEOUT_MS
+    );
+
+    const on_message = (message) => {
+      if( message.type === "steps" ){
+        trace.push(...message.steps);
+        if( on_step ) message.steps.forEach(on_step);
+      } else if( message.type === "result" ){
+        const { type: _type, ...result } = message;
+        settle(null, { ...result, trace });
+      } else {
+        settle(http_error(400, `Invalid context: ${message.message}`));
+      }
+    };
+    const on_error = (e) => settle(http_error(500, e.message));
+    const on_exit = () => settle(http_error(500, "Debugger worker exited"));
+    worker.on("message", on_message).on("error", on_error).on("exit", on_exit);
+    worker.postMessage(job);
+  });
+}
+
+const RUNNERS = { native: native_runner, docker: docker_runner, js: js_runner };
+export const RUNNER_NAMES = Object.keys(RUNNERS);
+
+export function create_runner(config){
+  const factory = RUNNERS[config.RUNNER];
+  if( !factory ) throw new Error(`Unknown runner: ${config.RUNNER}, expected one of ${RUNNER_NAMES.join(", ")}`);
+  return factory({ ...RUNNER_DEFAULTS, ...config });
+}
+
+// Defaults for the runner settings, relative to the project root
+export const RUNNER_DEFAULTS = {
+  RUNNER: "docker",
+  DEBUGGER_PATH: path.join(process.cwd(), "indexer/build/bin/bitcoin-debugger"),
+  DEBUGGER_DIR: path.join(process.cwd(), "indexer/build/bin"),
+  DOCKER_IMAGE: "ci_native",
+  JOB_TIMEOUT_MS: 10000,
+};
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import os from "os";
+import path from "path";
+import process from "process";
+import { create_runner, debugger_args, trace_scanner } from "./runners.js";
+import { asmToHex } from "../src/script/codec.js";
+
+const js = create_runner({ RUNNER: "js" });
+
+test("debugger_args maps a job onto bitcoin-debugger flags", () => {
+  assert.deepEqual(
+    debugger_args({
+      input: "51",
+      context: { inputIndex: 0, flags: ["P2SH", "WITNESS"], sigversion: "base" },
+      spend: { scriptSig: "00", witness: ["01", "02"] },
+    }),
+    ["--code=51", "--input-index=0", "--sigversion=base", "--flags=P2SH,WITNESS", "--script-sig=00", "--witness=01,02"]
+  );
+  assert.deepEqual(debugger_args({ input: "51" }), ["--code=51"]);
+});
+
+test("trace_scanner yields trace entries across chunk boundaries", () => {
+  const output = JSON.stringify({
+    status: "error",
+    error: "odd \\\" [trace] {",
+    scripts: { trace: "51" },
+    trace: [
+      { pc: 0, stack: [], altstack: [] },
+      { script: "scriptSig", pc: 1, stack: ["01", "7b5d"], altstack: ["22"] },
+    ],
+  });
+  for( const size of [1, 7, output.length] ){
+    const steps = [];
+    const scan = trace_scanner((step) => steps.push(step));
+    for( let i = 0; i < output.length; i += size ) scan(output.slice(i, i + size));
+    assert.deepEqual(steps, JSON.parse(output).trace);
+  }
+});
+
+test("js runner emits the debugger trace for a script", async () => {
+  const result = await js({ input: asmToHex("OP_1 OP_2 OP_ADD OP_3 OP_EQUAL") });
+  assert.equal(result.status, "success");
+  assert.equal(result.trace.length, 6);
+  assert.deepEqual(result.trace[3].stack, ["03"]);
+
+  const failed = await js({ input: asmToHex("OP_1 OP_VERIFY OP_0") });
+  assert.equal(failed.status, "error");
+  assert.equal(failed.error, "Script evaluated without error but finished with a false/empty top stack element");
+});
+
+test("js runner verifies a spend", async () => {
+  const result = await js({
+    input: asmToHex("OP_2 OP_EQUAL"),
+    context: { flags: ["P2SH"] },
+    spend: { scriptSig: asmToHex("OP_2"), witness: [] },
+  });
+  assert.equal(result.status, "success");
+  assert.deepEqual(result.scripts, { scriptSig: "52", scriptPubKey: "5287" });
+  assert.deepEqual(result.trace.map((t) => t.script), ["scriptSig", "scriptSig", "scriptPubKey", "scriptPubKey", "scriptPubKey"]);
+});
+
+test("js runner rejects an unparsable transaction with 400", async () => {
+  await assert.rejects(js({ input: "51", context: { tx: "00" } }), (e) => e.status === 400);
+});
+
+test("create_runner refuses unknown runners", () => {
+  assert.throws(() => create_runner({ RUNNER: "ssh" }), /Unknown runner: ssh/);
+});
+
+test("docker runner kills the job's container when it times out", async (t) => {
+  // a `docker` whose `run` never finishes, logging its arguments
+  const dir = mkdtempSync(path.join(os.tmpdir(), "fake-docker-"));
+  const log = path.join(dir, "docker.log");
+  writeFileSync(path.join(dir, "docker"), `#!/bin/sh\necho "$*" >> "${log}"\n[ "$1" = run ] && exec sleep 5\nexit 0\n`, { mode: 0o755 });
+  const saved_path = process.env.PATH;
+  process.env.PATH = `${dir}${path.delimiter}${saved_path}`;
+  t.after(() => {
+    process.env.PATH = saved_path;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const docker = create_runner({ RUNNER: "docker", DEBUGGER_DIR: "/tmp/bin", DOCKER_IMAGE: "ci_native", JOB_TIMEOUT_MS: 200 });
+  await assert.rejects(docker({ input: "51" }), { status: 504, message: "Debugger timed out after 200 ms" });
+
+  const [run, kill] = readFileSync(log, "utf8").trim().split("\n");
+  const name = run.match(/--name (\S+)/)[1];
+  assert.equal(run, `run --rm --init --name ${name} -v /tmp/bin:/work ci_native /work/bitcoin-debugger --code=51`);
+  assert.equal(kill, `kill ${name}`);
+});
+
+test("js runner streams its steps and terminates a job that times out", async () => {
+  const steps = [];
+  const result = await js({ input: asmToHex("OP_1 OP_2 OP_ADD") }, (step) => steps.push(step));
+  assert.deepEqual(steps, result.trace);
+
+  // even starting a worker takes longer than 1 ms
+  const slow = create_runner({ RUNNER: "js", JOB_TIMEOUT_MS: 1 });
+  await assert.rejects(slow({ input: "51" }), { status: 504, message: "Debugger timed out after 1 ms" });
+
+  // a later job gets a new worker
+  const fast = create_runner({ RUNNER: "js", JOB_TIMEOUT_MS: 5000 });
+  assert.equal((await fast({ input: "51" })).status, "success");
+});
@@ -1,329 +1,81 @@
-import React, { useEffect, useState, useRef, use } from "react";
+import React, { useEffect, useState, useRef, useMemo, use } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useSearchParams } from 'react-router-dom';
 
 import {Editor, useMonaco} from '@monaco-editor/react';
 import {SimpleEditor} from "./SimpleEditor"
-
+import {
+  cleanHex,
+  hexToBytes,
+  assemble,
+  asmToHex,
+  hexToAsm,
+  asmToPy,
+  hexToCpp,
+  nonMinimalPushes,
+  listPlaceholders,
+  tokenizeAsm,
+  runScript,
+  verifyScript,
+  compareTraces,
+  asmToBytes,
+  asmToStack,
+  pushData,
+  bytesToHex,
+  SCRIPT_SIG,
+  SCRIPT_PUBKEY,
+  REDEEM_SCRIPT,
+  WITNESS_SCRIPT,
+  createTxChecker,
+  SCRIPT_FLAGS,
+  SIGVERSION,
+  runJob,
+  parseScriptTests,
+  vectorJob,
+  checkVector,
+  conditionStacks,
+  branchEndIndex,
+  parseCondition,
+  parseWatch,
+  breakIndices,
+  describeItem,
+  diffStack,
+  opcodeName,
+  timelineRows,
+  lintAsm,
+  analyzeStackDepth,
+  decodeScript,
+  OPC,
+  syncAsmToHex,
+  syncBreakpointLines,
+  createSession,
+  parseSession,
+  encodeSessionUrl,
+  decodeSessionUrl,
+  TEMPLATES,
+  loadWorkspace,
+  saveWorkspace,
+  addScript,
+  updateScript,
+  renameScript,
+  duplicateScript,
+  deleteScript,
+  searchScripts,
+  blockExitIndex,
+  readOp,
+  VAL2NAME,
+} from "./script";
 
 /**
  * Bitcoin Script Hex ⇄ ASM Editor
  *
  * NOTE: Removed dependency on `bitcoinjs-lib` to avoid the runtime error
  * "Cannot destructure property 'sha256' ..." that can occur with some
- * browser/bundler environments. This implementation performs ASM ⇄ HEX
- * conversion in pure JS and supports standard opcodes and all PUSH* encodings.
+ * browser/bundler environments. ASM ⇄ HEX conversion lives in the pure JS
+ * library under `./script`.
  */
 
-// -------------------- Opcode Tables --------------------
-const OPC = {
-  OP_0: 0x00,
-  OP_FALSE: 0x00,
-  OP_TRUE: 0x51,
-  OP_PUSHDATA1: 0x4c,
-  OP_PUSHDATA2: 0x4d,
-  OP_PUSHDATA4: 0x4e,
-  OP_1NEGATE: 0x4f,
-  OP_RESERVED: 0x50,
-  OP_1: 0x51, OP_2: 0x52, OP_3: 0x53, OP_4: 0x54, OP_5: 0x55,
-  OP_6: 0x56, OP_7: 0x57, OP_8: 0x58, OP_9: 0x59, OP_10: 0x5a,
-  OP_11: 0x5b, OP_12: 0x5c, OP_13: 0x5d, OP_14: 0x5e, OP_15: 0x5f,
-  OP_16: 0x60,
-
-  OP_NOP: 0x61,
-  OP_IF: 0x63,
-  OP_NOTIF: 0x64,
-  OP_ELSE: 0x67,
-  OP_ENDIF: 0x68,
-  OP_VERIFY: 0x69,
-  OP_RETURN: 0x6a,
-  OP_TOALTSTACK: 0x6b,
-  OP_FROMALTSTACK: 0x6c,
-  OP_IFDUP: 0x73,
-  OP_DEPTH: 0x74,
-  OP_DROP: 0x75,
-  OP_DUP: 0x76,
-  OP_NIP: 0x77,
-  OP_OVER: 0x78,
-  OP_PICK: 0x79,
-  OP_ROLL: 0x7a,
-  OP_ROT: 0x7b,
-  OP_SWAP: 0x7c,
-  OP_TUCK: 0x7d,
-
-  OP_EQUAL: 0x87,
-  OP_EQUALVERIFY: 0x88,
-
-  OP_1ADD: 0x8b,
-  OP_1SUB: 0x8c,
-  OP_NEGATE: 0x8f,
-  OP_ABS: 0x90,
-  OP_NOT: 0x91,
-  OP_0NOTEQUAL: 0x92,
-  OP_ADD: 0x93,
-  OP_SUB: 0x94,
-  OP_BOOLAND: 0x9a,
-  OP_BOOLOR: 0x9b,
-  OP_NUMEQUAL: 0x9c,
-  OP_NUMEQUALVERIFY: 0x9d,
-  OP_NUMNOTEQUAL: 0x9e,
-  OP_LESSTHAN: 0x9f,
-  OP_GREATERTHAN: 0xa0,
-  OP_LESSTHANOREQUAL: 0xa1,
-  OP_GREATERTHANOREQUAL: 0xa2,
-  OP_MIN: 0xa3,
-  OP_MAX: 0xa4,
-  OP_WITHIN: 0xa5,
-
-  OP_RIPEMD160: 0xa6,
-  OP_SHA1: 0xa7,
-  OP_SHA256: 0xa8,
-  OP_HASH160: 0xa9,
-  OP_HASH256: 0xaa,
-  OP_CODESEPARATOR: 0xab,
-  OP_CHECKSIG: 0xac,
-  OP_CHECKSIGVERIFY: 0xad,
-  OP_CHECKMULTISIG: 0xae,
-  OP_CHECKMULTISIGVERIFY: 0xaf,
-
-  OP_NOP1: 0xb0,
-  OP_CHECKLOCKTIMEVERIFY: 0xb1, // a.k.a. OP_NOP2 pre-BIP65
-  OP_CHECKSEQUENCEVERIFY: 0xb2,  // a.k.a. OP_NOP3 pre-BIP112
-  OP_NOP4: 0xb3,
-  OP_NOP5: 0xb4,
-  OP_NOP6: 0xb5,
-  OP_NOP7: 0xb6,
-  OP_NOP8: 0xb7,
-  OP_NOP9: 0xb8,
-  OP_NOP10: 0xb9,
-};
-
-const VAL2NAME = (() => {
-  const map = new Map();
-  Object.entries(OPC).forEach(([k, v]) => {
-    if (!map.has(v)) map.set(v, k);
-  });
-  return map;
-})();
-
-// -------------------- Helpers --------------------
-const isHex = (s) => /^[0-9a-fA-F]*$/.test(s);
-const cleanHex = (s) => s.replace(/\s+/g, "").toLowerCase();
-
-function hexToBytes(hex) {
-  const h = cleanHex(hex);
-  if (!isHex(h)) throw new Error("Invalid hex format");
-  if (h.length % 2 !== 0) throw new Error("Invalid hex: odd length");
-  const out = new Uint8Array(h.length / 2);
-  for (let i = 0; i < out.length; i++) out[i] = parseInt(h.substr(i * 2, 2), 16);
-  if (Number.isNaN(out[out.length - 1])) throw new Error("Invalid hex: non-hex char");
-  return out;
-}
-
-function bytesToHex(bytes) {
-  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
-}
-
-// Encode pushdata prefix for a data buffer of length `len`.
-function pushPrefix(len) {
-  if (len <= 75) return new Uint8Array([len]);
-  if (len <= 0xff) return new Uint8Array([OPC.OP_PUSHDATA1, len]);
-  if (len <= 0xffff) return new Uint8Array([OPC.OP_PUSHDATA2, len & 0xff, (len >>> 8) & 0xff]);
-  return new Uint8Array([
-    OPC.OP_PUSHDATA4,
-    len & 0xff,
-    (len >>> 8) & 0xff,
-    (len >>> 16) & 0xff,
-    (len >>> 24) & 0xff,
-  ]);
-}
-
-// -------------------- ASM → HEX --------------------
-function asmToBytes(asm) {
-  const tokens = asm
-    .trim()
-    .replace(/\s+/g, " ")
-    .split(" ")
-    .filter(Boolean);
-
-  const out = [];
-
-  const pushData = (dataBytes) => {
-    const pref = pushPrefix(dataBytes.length);
-    for (const b of pref) out.push(b);
-    for (const b of dataBytes) out.push(b);
-  };
-
-  for (let raw of tokens) {
-    const t = raw.trim();
-    if (!t) continue;
-
-    // <hex> form
-    const m = t.match(/^<([0-9a-fA-F]+)>$/);
-    if (m) {
-      const h = m[1];
-      if (!isHex(h) || h.length % 2 !== 0) throw new Error(`Invalid hex data: ${t}`);
-      pushData(hexToBytes(h));
-      continue;
-    }
-
-    // Small integers -1, 0..16
-    if (t === "-1") { out.push(OPC.OP_1NEGATE); continue; }
-    if (/^(0|1[0-6]?|[1-9])$/.test(t)) {
-      const n = Number(t);
-      if (n === 0) { out.push(OPC.OP_0); continue; }
-      if (n >= 1 && n <= 16) { out.push(OPC.OP_1 + (n - 1)); continue; }
-    }
-
-    // OP_* names
-    if (/^OP_[A-Z0-9_]+$/.test(t)) {
-      const code = OPC[t];
-      if (typeof code !== "number") throw new Error(`Unknown opcode: ${t}`);
-      out.push(code);
-      continue;
-    }
-
-    // Bare hex treated as data push
-    if (isHex(t)) {
-      if (t.length % 2 !== 0) throw new Error(`Odd-length hex: ${t}`);
-      pushData(hexToBytes(t));
-      continue;
-    }
-
-    throw new Error(`Unrecognized token: ${t}`);
-  }
-
-  return new Uint8Array(out);
-}
-
-function asmToHex(asm) {
-  return bytesToHex(asmToBytes(asm));
-}
-
-// -------------------- HEX → ASM --------------------
-function bytesToAsm(bytes) {
-  let i = 0;
-  const out = [];
-  const readLE = (n) => {
-    let v = 0;
-    for (let k = 0; k < n; k++) v |= bytes[i + k] << (8 * k);
-    i += n;
-    return v >>> 0;
-  };
-
-  while (i < bytes.length) {
-    const op = bytes[i++];
-
-    if (op >= 0x01 && op <= 0x4b) {
-      const len = op;
-      const data = bytes.slice(i, i + len);
-      if (data.length !== len) throw new Error("PUSHDATA truncated");
-      i += len;
-      out.push(`<${bytesToHex(data)}>`);
-      continue;
-    }
-
-    if (op === OPC.OP_PUSHDATA1) {
-      const len = readLE(1);
-      const data = bytes.slice(i, i + len);
-      if (data.length !== len) throw new Error("PUSHDATA1 truncated");
-      i += len;
-      out.push(`<${bytesToHex(data)}>`);
-      continue;
-    }
-
-    if (op === OPC.OP_PUSHDATA2) {
-      const len = readLE(2);
-      const data = bytes.slice(i, i + len);
-      if (data.length !== len) throw new Error("PUSHDATA2 truncated");
-      i += len;
-      out.push(`<${bytesToHex(data)}>`);
-      continue;
-    }
-
-    if (op === OPC.OP_PUSHDATA4) {
-      const len = readLE(4);
-      const data = bytes.slice(i, i + len);
-      if (data.length !== len) throw new Error("PUSHDATA4 truncated");
-      i += len;
-      out.push(`<${bytesToHex(data)}>`);
-      continue;
-    }
-
-    // Small ints
-    if (op === OPC.OP_0) { out.push("0"); continue; }
-    if (op === OPC.OP_1NEGATE) { out.push("-1"); continue; }
-    if (op >= OPC.OP_1 && op <= OPC.OP_16) { out.push(String(op - OPC.OP_1 + 1)); continue; }
-
-    const name = VAL2NAME.get(op);
-    if (name) out.push(name);
-    else throw new Error("Unknown opcode")
-  }
-
-  return normalizeAsm(out.join(" ") );
-}
-
-function hexToAsm(hex) {
-  const bytes = hexToBytes(cleanHex(hex));
-  if (bytes.length === 0) return "";
-  return bytesToAsm(bytes);
-}
-
-// -------------------- ASM->PY --------------------------
-function asmToPy(raw_asm) {
-  const bytes = asmToBytes(raw_asm);
-  const asm = bytesToAsm(bytes);
-  let result = "[";
-  let terms = asm.split(/\s+/g);
-  for (let i = 0; i < terms.length; i++) {
-    const term = terms[i].trim();
-    if (term.startsWith("<") && term.endsWith(">")) {
-      // Hex data
-      const hex = term.slice(1, -1);
-      terms[i] = `0x${hex}`;
-    }
-  }
-  result += terms.join(", ");
-  result += "]";
-  return result;
-}
-
-// -------------------- Hex->CPP -------------------------
-function hexToCpp(hex) {
-  const bytes = hexToBytes(cleanHex(hex));
-  if (bytes.length === 0) return "";
-  return bytesToCpp(bytes);
-}
-
-function bytesToCpp(bytes) {
-  let result = "{";
-  for (let i = 0; i < bytes.length; i++) {
-    if( i > 0) result += ", ";
-    result += `0x${bytes[i].toString(16).padStart(2, "0")}`;
-  }
-  result += "}";
-  return result;
-}
-
 // -------------------- UI Components --------------------
-// const SAMPLES = {
-//   "P2PKH (legacy)": {
-//     asm: "OP_DUP OP_HASH160 <00112233445566778899aabbccddeeff00112233> OP_EQUALVERIFY OP_CHECKSIG",
-//     hex: "76a91400112233445566778899aabbccddeeff0011223388ac",
-//   },
-//   "P2SH (redeem-hash)": {
-//     asm: "OP_HASH160 <16b000aabbccddeeff00112233445566778899aa> OP_EQUAL",
-//     hex: "a91416b000aabbccddeeff00112233445566778899aa87",
-//   },
-//   "P2WPKH (v0)": {
-//     asm: "0 <00112233445566778899aabbccddeeff00112233>",
-//     hex: "001400112233445566778899aabbccddeeff00112233",
-//   },
-//   "2-of-3 Multisig (bare)": {
-//     asm: "2 <02a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1> <03b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2> <02c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3> 3 OP_CHECKMULTISIG",
-//   },
-// };
-
 function useDebounced(value, delay = 300) {
   const [deb, setDeb] = useState(value);
   React.useEffect(() => {
@@ -362,6 +114,545 @@ const Header = () => (
   </div>
 );
 
+// Inputs for binding every <name> placeholder of the script to a hex or decimal value.
+const PlaceholderPanel = ({ names, bindings, onChange }) => (
+  <div className="placeholder-panel">
+    {names.map((name) => (
+      <label key={name} className="placeholder-row">
+        <span>&lt;{name}&gt;</span>
+        <input
+          type="text"
+          value={bindings[name] ?? ""}
+          placeholder="hex or number"
+          className={bindings[name]?.trim() ? "" : "unbound"}
+          onChange={(e) => {onChange({ ...bindings, [name]: e.target.value })}}
+        />
+      </label>
+    ))}
+  </div>
+);
+
+const SERVER_URL = "http://localhost:3000";
+
+// Steps of a streamed trace keep their stacks only for the last TRACE_WINDOW
+// steps; older ones are fetched back from the server TRACE_PAGE at a time.
+const TRACE_WINDOW = 2000;
+const TRACE_PAGE = 200;
+// Largest page the server returns (MAX_PAGE_STEPS)
+const TRACE_MAX_PAGE = 1000;
+
+// Calls onMessage with every line of an NDJSON response and onChunk after
+// every chunk of lines, until the response ends.
+async function readNdjson(response, onMessage, onChunk) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    lines.filter(Boolean).forEach((line) => onMessage(JSON.parse(line)));
+    onChunk?.();
+  }
+}
+
+// Reads the NDJSON stream of /run-job/stream, calling onSteps with the steps
+// received so far after every chunk, and resolves with the complete result.
+// Steps that fall out of the window become { pc, script, job } stubs.
+async function readTraceStream(response, onSteps) {
+  const job = response.headers.get("X-Job-Hash");
+  const steps = [];
+  let result = null;
+  await readNdjson(response, (message) => {
+    if (message.type === "step") {
+      steps.push(message.step);
+      const old = steps.length - 1 - TRACE_WINDOW;
+      if (old >= 0 && job) steps[old] = { pc: steps[old].pc, script: steps[old].script, job };
+    } else if (message.type === "result") {
+      result = { status: message.status, error: message.error, scripts: message.scripts, trace: steps };
+    } else if (message.type === "error") {
+      throw new Error(message.error);
+    }
+  }, () => onSteps(steps));
+  if (!result) throw new Error("Trace stream ended before the result");
+  return result;
+}
+
+// Spending transaction, sigversion and flags the script is verified against.
+const DEFAULT_CONTEXT = { tx: "", inputIndex: 0, amounts: "", scriptPubKeys: "", sigversion: SIGVERSION.BASE, flags: [] };
+
+function loadContext() {
+  try {
+    return { ...DEFAULT_CONTEXT, ...JSON.parse(localStorage.getItem("context")) };
+  } catch {
+    return DEFAULT_CONTEXT;
+  }
+}
+
+const splitList = (s) => s.split(/[\s,]+/).filter(Boolean);
+
+// The context as sent to `/run-job` and passed to bitcoin-debugger.
+function contextRequest(context) {
+  return {
+    tx: cleanHex(context.tx),
+    inputIndex: Number(context.inputIndex) || 0,
+    amounts: splitList(context.amounts),
+    scriptPubKeys: splitList(context.scriptPubKeys).map(cleanHex),
+    sigversion: context.sigversion,
+    flags: context.flags,
+  };
+}
+
+// runScript options for the local interpreter.
+function contextOptions(context) {
+  const request = contextRequest(context);
+  return {
+    sigversion: request.sigversion,
+    flags: request.flags,
+    checker: request.tx ? createTxChecker(request) : undefined,
+  };
+}
+
+const ContextPanel = ({ context, onChange }) => {
+  const set = (field, value) => onChange({ ...context, [field]: value });
+  const toggleFlag = (name, on) =>
+    set("flags", on ? [...context.flags, name] : context.flags.filter((f) => f !== name));
+  return (
+    <div className="context-panel">
+      <label className="placeholder-row">
+        <span>Spending tx</span>
+        <input type="text" value={context.tx} placeholder="transaction hex" onChange={(e) => {set("tx", e.target.value)}}/>
+      </label>
+      <label className="placeholder-row">
+        <span>Input index</span>
+        <input type="number" min="0" value={context.inputIndex} onChange={(e) => {set("inputIndex", e.target.value)}}/>
+      </label>
+      <label className="placeholder-row">
+        <span>Spent amounts</span>
+        <input type="text" value={context.amounts} placeholder="satoshis per input, comma separated" onChange={(e) => {set("amounts", e.target.value)}}/>
+      </label>
+      <label className="placeholder-row">
+        <span>Spent scriptPubKeys</span>
+        <input type="text" value={context.scriptPubKeys} placeholder="hex per input, comma separated (taproot)" onChange={(e) => {set("scriptPubKeys", e.target.value)}}/>
+      </label>
+      <label className="placeholder-row">
+        <span>Sigversion</span>
+        <select value={context.sigversion} onChange={(e) => {set("sigversion", e.target.value)}}>
+          <option value={SIGVERSION.BASE}>Legacy</option>
+          <option value={SIGVERSION.WITNESS_V0}>Witness v0</option>
+          <option value={SIGVERSION.TAPSCRIPT}>Tapscript</option>
+        </select>
+      </label>
+      <div className="flag-list">
+        {SCRIPT_FLAGS.map((flag) => (
+          <label key={flag.name} className="option-checkbox" title={flag.description}>
+            <input type="checkbox" checked={context.flags.includes(flag.name)} onChange={(e) => {toggleFlag(flag.name, e.target.checked)}}/>
+            {flag.name}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Spend mode: the unlocking side of a spend. The ASM editor holds the
+// scriptPubKey; the redeem and witness scripts are written separately and
+// appended as the last scriptSig push and the last witness item.
+const SPEND_PANES = [
+  { field: SCRIPT_SIG, title: "scriptSig", placeholder: "e.g. <sig> <pubkey>" },
+  { field: "witness", title: "Witness stack", placeholder: "pushes, bottom first, e.g. <sig> <pubkey>" },
+  { field: REDEEM_SCRIPT, title: "redeemScript (P2SH)", placeholder: "appended to the scriptSig as a push" },
+  { field: WITNESS_SCRIPT, title: "witnessScript (P2WSH / tapscript)", placeholder: "appended to the witness stack" },
+];
+
+const EMPTY_SPEND = { [SCRIPT_SIG]: "", witness: "", [REDEEM_SCRIPT]: "", [WITNESS_SCRIPT]: "" };
+
+// Bytes of every spend part; `scriptSigAsmSize` is the scriptSig size before
+// the redeem script push.
+function assembleSpend(spend, options) {
+  const scriptSig = asmToBytes(spend[SCRIPT_SIG], options);
+  const redeemScript = asmToBytes(spend[REDEEM_SCRIPT], options);
+  const witnessScript = asmToBytes(spend[WITNESS_SCRIPT], options);
+  const witness = asmToStack(spend.witness, options);
+  return {
+    scriptSig: redeemScript.length ? Uint8Array.from([...scriptSig, ...pushData(redeemScript)]) : scriptSig,
+    scriptSigAsmSize: scriptSig.length,
+    witness: witnessScript.length ? [...witness, witnessScript] : witness,
+  };
+}
+
+// Server vs local trace at the current debug step, differing cells marked.
+const EngineDiffPanel = ({ engineDiff, debugStep, onSelectStep }) => {
+  const { diff, server, local } = engineDiff;
+  const index = Math.max(debugStep - 1, 0);
+  const fields = diff.steps.find((d) => d.index === index)?.fields || [];
+  const cell = (field, value) => (
+    <td className={fields.includes(field) ? "diff-cell" : ""}>{value}</td>
+  );
+  const row = (name, result) => {
+    const step = result.trace?.[index];
+    return (
+      <tr key={name}>
+        <td>{name}</td>
+        {cell("pc", step ? String(step.pc) : "—")}
+        {cell("stack", step ? step.stack.join(" ") : "—")}
+        {cell("altstack", step ? step.altstack.join(" ") : "—")}
+        <td className={diff.statusDiffers ? "diff-cell" : ""}>{result.status}{result.error ? `: ${result.error}` : ""}</td>
+      </tr>
+    );
+  };
+  return (
+    <div className="engine-diff">
+      <div>
+        {diff.equal ? "✅ Engines agree on every step" : `⚠️ Engines differ, first at step ${diff.firstDifference + 1}`}
+        {!diff.equal && (
+          <button className="debug-button" onClick={() => {onSelectStep(diff.firstDifference + 1)}}>Go to difference</button>
+        )}
+      </div>
+      <table>
+        <thead>
+          <tr><th>Step {index + 1}</th><th>pc</th><th>stack</th><th>altstack</th><th>result</th></tr>
+        </thead>
+        <tbody>
+          {row("server", server)}
+          {row("local", local)}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// script_tests.json runner: the file, a summary and the failing vectors.
+const VectorsPanel = ({ vectors, results, running, onOpen, onRun, onLoad }) => {
+  const checks = Object.values(results);
+  const failures = (vectors?.list || []).filter((v) => results[v.index] && !results[v.index].pass);
+  return (
+    <div className="context-panel">
+      <label className="placeholder-row">
+        <span>script_tests.json</span>
+        <input type="file" accept=".json,application/json" onChange={(e) => {e.target.files[0] && onOpen(e.target.files[0])}}/>
+      </label>
+      {vectors && (
+        <div className="buttons-container">
+          <span className="vector-summary">
+            {vectors.list.length} vectors
+            {checks.length > 0 && `: ${checks.filter((c) => c.pass).length} passed, ${failures.length} failed`}
+            {running && ` (${checks.length}/${vectors.list.length})`}
+          </span>
+          <button className="server-request-button" disabled={running} onClick={onRun}>Run all</button>
+        </div>
+      )}
+      {failures.length > 0 && (
+        <div className="engine-diff">
+          <table>
+            <thead>
+              <tr><th>#</th><th>scriptSig / scriptPubKey</th><th>flags</th><th>expected</th><th>got</th><th></th></tr>
+            </thead>
+            <tbody>
+              {failures.map((v) => (
+                <tr key={v.index} title={v.comment}>
+                  <td>{v.index}</td>
+                  <td>{v.scriptSig} / {v.scriptPubKey}</td>
+                  <td>{v.flags}</td>
+                  <td>{results[v.index].expected}</td>
+                  <td className="diff-cell">{results[v.index].actual}</td>
+                  <td><button className="vector-load-button" onClick={() => {onLoad(v)}}>Load</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Options of breakpoint lines after an edit moved them: the gutter keeps the
+// order of its breakpoints, so when their number is unchanged the i-th line
+// takes over the options of the i-th previous one.
+function moveBreakpointOptions(options, previousLines, lines) {
+  let moved = {};
+  lines.forEach((line, i) => {
+    const from = previousLines.length === lines.length ? previousLines[i] : line;
+    if( options[from] ) moved[line] = options[from];
+  });
+  return moved;
+}
+
+// Gutter class of every breakpoint line that is conditional or disabled
+function breakpointClasses(options) {
+  let classes = {};
+  for( let [line, option] of Object.entries(options || {}) ) {
+    if( option.enabled === false ) classes[line] = "disabledBreakpoint";
+    else if( option.condition?.trim() || Number(option.hitCount) > 1 ) classes[line] = "conditionalBreakpoint";
+  }
+  return classes;
+}
+
+const syntaxError = (parse, text) => {
+  try {
+    parse(text);
+    return "";
+  } catch (e) {
+    return e.message;
+  }
+};
+
+// Breakpoints of every script editor ({ id, label, option } rows) with their
+// condition and hit count, and the watchpoints, which stop whenever their
+// value changes.
+const BreakpointsPanel = ({ rows, watches, onChangeOption, onRemove, onChangeWatches }) => {
+  const setWatch = (i, watch) => onChangeWatches(watches.map((w, j) => (j === i ? watch : w)));
+  return (
+    <div className="context-panel">
+      {rows.length === 0 && (
+        <div className="breakpoint-hint">
+          Click the gutter of a script editor to break on a line, or press Shift+F9 on an opcode to break on it alone
+        </div>
+      )}
+      {rows.map((row) => {
+        const option = row.option || {};
+        const set = (field, value) => onChangeOption(row, { ...option, [field]: value });
+        const error = syntaxError(parseCondition, option.condition);
+        return (
+          <div key={row.id} className="breakpoint-row">
+            <input type="checkbox" title="Enabled" checked={option.enabled !== false} onChange={(e) => {set("enabled", e.target.checked)}}/>
+            <span className="breakpoint-location">{row.label}</span>
+            <input type="text" className={error ? "invalid" : ""} title={error} value={option.condition || ""}
+              placeholder="condition, e.g. depth > 3 && top == 00" onChange={(e) => {set("condition", e.target.value)}}/>
+            <input type="number" min="1" className="hit-count" title="Stop from this hit on" value={option.hitCount || ""}
+              placeholder="hits" onChange={(e) => {set("hitCount", e.target.value)}}/>
+            <button className="vector-load-button" title="Remove" onClick={() => {onRemove(row)}}>&times;</button>
+          </div>
+        );
+      })}
+      {watches.map((watch, i) => {
+        const error = watch.expression.trim() ? syntaxError(parseWatch, watch.expression) : "";
+        return (
+          <div key={i} className="breakpoint-row">
+            <input type="checkbox" title="Enabled" checked={watch.enabled !== false} onChange={(e) => {setWatch(i, { ...watch, enabled: e.target.checked })}}/>
+            <span className="breakpoint-location">watch</span>
+            <input type="text" className={error ? "invalid" : ""} title={error} value={watch.expression}
+              placeholder="top, stack[2], altstack[0], depth..." onChange={(e) => {setWatch(i, { ...watch, expression: e.target.value })}}/>
+            <button className="vector-load-button" title="Remove" onClick={() => {onChangeWatches(watches.filter((w, j) => j !== i))}}>&times;</button>
+          </div>
+        );
+      })}
+      <div className="buttons-container">
+        <button className="vector-load-button" onClick={() => {onChangeWatches([...watches, { expression: "", enabled: true }])}}>Add watch</button>
+      </div>
+    </div>
+  );
+};
+
+// One stack of the current step, top first, each item decoded and marked as
+// pushed or modified since the previous step; popped items are struck out.
+// Indices count from the top like the stack[i] of breakpoint conditions.
+const StackView = ({ items, previous }) => {
+  if( !items.length && !previous?.length ) return <div className="stack-view empty">empty</div>;
+  const { changes, popped } = previous ? diffStack(previous, items) : { changes: items.map(() => "same"), popped: [] };
+  const rows = [
+    ...popped.map((hex) => ({ hex, change: "popped" })).reverse(),
+    ...items.map((hex, i) => ({ hex, change: changes[i], index: items.length - 1 - i })).reverse(),
+  ];
+  return (
+    <div className="stack-view">
+      {rows.map((row, i) => {
+        const item = describeItem(row.hex);
+        return (
+          <div key={i} className={`stack-item ${row.change}`} title={row.change === "same" ? "" : row.change}>
+            <div className="stack-item-header">
+              <span>{row.index ?? "-"}</span>
+              <span>{item.size} B</span>
+              <span>{item.type}</span>
+            </div>
+            <div className="stack-item-hex">{item.hex || "(empty)"}</div>
+            <div className="stack-item-values">
+              {item.number !== null && <span>num {item.number}</span>}
+              <span>{item.bool ? "true" : "false"}</span>
+              {item.text !== null && <span>"{item.text}"</span>}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Timeline rows have a fixed height (index.css) so that only the ones in view,
+// and TIMELINE_OVERSCAN more on each side, are rendered.
+const TIMELINE_ROW_HEIGHT = 22;
+const TIMELINE_OVERSCAN = 20;
+
+// Every step of the trace with the opcode that led to it; a click or the
+// scrubber moves the debugger there. A failed run ends with a row for the
+// opcode that failed and the error.
+const TimelinePanel = ({ rows, debugStep, status, executionError, scripts, onSelectStep }) => {
+  const tableRef = useRef(null);
+  const headRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const step = Math.min(Math.max(debugStep, 1), rows.length);
+  // Scroll the current step into view, it may not be rendered yet
+  useEffect(() => {
+    const table = tableRef.current;
+    if( !table ) return;
+    const head = headRef.current?.offsetHeight || 0;
+    const top = (step - 1) * TIMELINE_ROW_HEIGHT;
+    if( top < table.scrollTop ) table.scrollTop = top;
+    else if( top + TIMELINE_ROW_HEIGHT > table.scrollTop + table.clientHeight - head )
+      table.scrollTop = top + TIMELINE_ROW_HEIGHT - table.clientHeight + head;
+  }, [step]);
+  if( !rows.length ) return null;
+  const last = rows[rows.length - 1];
+  const spend = rows.some((r) => r.script !== SCRIPT_PUBKEY);
+  const height = tableRef.current?.clientHeight || 300;
+  const first = Math.max(0, Math.floor(scrollTop / TIMELINE_ROW_HEIGHT) - TIMELINE_OVERSCAN);
+  const end = Math.min(rows.length, Math.ceil((scrollTop + height) / TIMELINE_ROW_HEIGHT) + TIMELINE_OVERSCAN);
+  return (
+    <div className="timeline-panel">
+      <div className="timeline-scrubber">
+        <input type="range" min="1" max={rows.length} value={step} onChange={(e) => {onSelectStep(Number(e.target.value))}}/>
+        <span>step {step} / {rows.length}</span>
+      </div>
+      <div className="engine-diff timeline-table" ref={tableRef} onScroll={(e) => {setScrollTop(e.target.scrollTop)}}>
+        <table>
+          <thead ref={headRef}>
+            <tr><th>step</th>{spend && <th>script</th>}<th>pc</th><th>opcode</th><th>depth</th><th>stack</th></tr>
+          </thead>
+          <tbody>
+            {first > 0 && <tr className="timeline-spacer" style={{ height: first * TIMELINE_ROW_HEIGHT }}><td colSpan={spend ? 6 : 5}/></tr>}
+            {rows.slice(first, end).map((row) => (
+              <tr
+                key={row.step}
+                className={`${row.step === step ? "current" : ""} ${row.skipped ? "skipped" : ""}`}
+                onClick={() => {onSelectStep(row.step)}}
+              >
+                <td>{row.step}</td>
+                {spend && <td>{row.script}</td>}
+                <td>{row.pc}</td>
+                <td>{row.opcode ?? "start"}{row.skipped && " (skipped)"}</td>
+                <td>{row.depth ?? "?"}</td>
+                <td>{row.delta}</td>
+              </tr>
+            ))}
+            {end < rows.length && <tr className="timeline-spacer" style={{ height: (rows.length - end) * TIMELINE_ROW_HEIGHT }}><td colSpan={spend ? 6 : 5}/></tr>}
+            {status === "error" && (
+              <tr className="error-step" onClick={() => {onSelectStep(rows.length)}}>
+                <td>✗</td>
+                {spend && <td>{last.script}</td>}
+                <td>{last.pc}</td>
+                <td>{opcodeName(scripts[last.script], last.pc) ?? `end of ${last.script}`}</td>
+                <td colSpan="2">{executionError}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Named scripts of the workspace and the template library
+const WorkspaceSidebar = ({ workspace, onOpen, onNew, onSaveAs, onRename, onDuplicate, onDelete, onTemplate, onClose }) => {
+  const [query, setQuery] = useState("");
+  const [editing, setEditing] = useState(null); // { id, name } being renamed
+  const finishRename = () => {
+    if( editing ) onRename(editing.id, editing.name);
+    setEditing(null);
+  };
+  return (
+    <aside className="workspace-sidebar">
+      <div className="workspace-header">
+        <strong>Workspace</strong>
+        <button className="vector-load-button" title="Close" onClick={onClose}>&times;</button>
+      </div>
+      <div className="buttons-container">
+        <button className="vector-load-button" title="New empty script" onClick={onNew}>New</button>
+        <button className="vector-load-button" title="Save the editors as a new script" onClick={onSaveAs}>Save as new</button>
+      </div>
+      <input type="search" className="workspace-search" placeholder="Search name or ASM" value={query} onChange={(e) => {setQuery(e.target.value)}}/>
+      <ul className="workspace-list">
+        {searchScripts(workspace.scripts, query).map((script) => (
+          <li key={script.id} className={script.id === workspace.activeId ? "active" : ""}>
+            {editing?.id === script.id ? (
+              <input
+                type="text"
+                autoFocus
+                value={editing.name}
+                onChange={(e) => {setEditing({ ...editing, name: e.target.value })}}
+                onBlur={finishRename}
+                onKeyDown={(e) => {
+                  if( e.key === "Enter" ) finishRename();
+                  if( e.key === "Escape" ) setEditing(null);
+                }}
+              />
+            ) : (
+              <span className="workspace-name" title={script.session.asm} onClick={() => {onOpen(script.id)}}>{script.name}</span>
+            )}
+            <button title="Rename" onClick={() => {setEditing({ id: script.id, name: script.name })}}>&#9998;</button>
+            <button title="Duplicate" onClick={() => {onDuplicate(script.id)}}>&#10697;</button>
+            <button title="Delete" onClick={() => {onDelete(script.id)}}>&times;</button>
+          </li>
+        ))}
+      </ul>
+      <div className="workspace-header"><strong>Templates</strong></div>
+      <ul className="workspace-list">
+        {TEMPLATES.map((template) => (
+          <li key={template.id}>
+            <span className="workspace-name" title={template.description} onClick={() => {onTemplate(template.id)}}>{template.name}</span>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+};
+
+// Save the debugger state to a file or a link, and open one
+const SessionPanel = ({ onExport, onImport, onCopyLink }) => (
+  <div className="context-panel">
+    <div className="buttons-container">
+      <button className="vector-load-button" title="Script, breakpoints, context, trace and current step as JSON" onClick={onExport}>Export file</button>
+      <button className="vector-load-button" title="Link that runs the script again and opens the current step" onClick={onCopyLink}>Copy link</button>
+    </div>
+    <label className="placeholder-row">
+      <span>Import session</span>
+      <input type="file" accept=".json,application/json" onChange={(e) => {e.target.files[0] && onImport(e.target.files[0])}}/>
+    </label>
+  </div>
+);
+
+// Scripts of a result (name -> hex) as bytes
+const scriptBytes = (scripts) =>
+  Object.fromEntries(Object.entries(scripts).map(([name, hex]) => [name, hexToBytes(hex)]));
+
+// Open IF blocks at the current step (vfExec), outermost first.
+const ConditionPanel = ({ frames, script }) => {
+  if( !frames.length ) return <div className="condition-panel">No open IF block</div>;
+  let outerRuns = true;
+  return (
+    <div className="condition-panel">
+      {frames.map((frame, depth) => {
+        let name = "?";
+        try {
+          name = VAL2NAME.get(readOp(script, frame.pc).opcode);
+        } catch {
+          // script edited since the run
+        }
+        const state = !outerRuns ? "skipped (outer branch)" : frame.value === null ? "unknown" : frame.value ? "executing" : "skipped";
+        const className = `condition-row ${!outerRuns || frame.value === false ? "skipped" : frame.value ? "active" : ""}`;
+        outerRuns = outerRuns && frame.value === true;
+        return (
+          <div key={depth} className={className} style={{ paddingLeft: `${depth * 16}px` }}>
+            {name} @{frame.pc}: {state}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
 const ServerRequestButton = ({ caption, handleClick }) => {
   return (
     <button onClick={handleClick} className="server-request-button">
@@ -370,63 +661,27 @@ const ServerRequestButton = ({ caption, handleClick }) => {
   );
 };
 
-// -------------------- Self-tests --------------------
-function normalizeAsm(s) {
-  let indent = "\t"
-  let depth = 0;
-  let words = s.split(/\s+/g);
-  let result = "";
-  for (let w of words) {
-    if( w === "OP_ENDIF" || w === "OP_ELSE" ) depth--;
-    result += indent.repeat(depth) + w + "\n";
-    if( w === "OP_IF" || w === "OP_NOTIF" || w == "OP_ELSE" ) depth++;
+// Inline hint of each line: the stack depth range after it, and the
+// altstack's when something may be on it.
+function depthHints(analysis) {
+  const range = ([min, max]) => (min === max ? `${min}` : `${min}–${max}`);
+  let hints = {};
+  for( let [line, { depth, altDepth }] of Object.entries(analysis?.lines || {}) ) {
+    if( !depth ) continue;
+    hints[line] = `depth ${range(depth)}` + (altDepth[1] > 0 ? ` · alt ${range(altDepth)}` : "");
   }
-  return result;
+  return hints;
 }
 
-// function runSelfTests() {
-//   const cases = [];
-
-//   // Provided samples
-//   Object.entries(SAMPLES).forEach(([name, v]) => {
-//     if (v.hex && v.asm) cases.push({ name: `${name} (asm↔hex)`, asm: v.asm, hex: v.hex });
-//   });
-
-//   // Boundary push sizes
-//   const mkhex = (n) => bytesToHex(new Uint8Array(n).fill(0xab));
-//   const p75 = `<${mkhex(75)}>`; // single-byte length
-//   const p76 = `<${mkhex(76)}>`; // PUSHDATA1
-//   const p255 = `<${mkhex(255)}>`; // PUSHDATA1
-//   const p256 = `<${mkhex(256)}>`; // PUSHDATA2
-
-//   cases.push({ name: "PUSH 75", asm: p75 });
-//   cases.push({ name: "PUSH 76", asm: p76 });
-//   cases.push({ name: "PUSH 255", asm: p255 });
-//   cases.push({ name: "PUSH 256", asm: p256 });
-
-//   // Small integers
-//   cases.push({ name: "Small ints", asm: "0 1 2 15 16 -1" });
-
-//   // OP_RETURN with data
-//   cases.push({ name: "OP_RETURN", asm: `OP_RETURN <${bytesToHex(new Uint8Array([1,2,3,4]))}>` });
-
-//   const results = [];
-
-//   for (const c of cases) {
-//     try {
-//       const hex = c.hex ?? asmToHex(c.asm);
-//       const asm = c.asm ?? hexToAsm(c.hex);
-//       const rAsm = hexToAsm(hex);
-//       const rHex = asmToHex(asm);
-//       const pass = normalizeAsm(asm) === normalizeAsm(rAsm) && cleanHex(hex) === cleanHex(rHex);
-//       results.push({ name: c.name, pass, asm, hex, rAsm, rHex, err: null });
-//     } catch (e) {
-//       results.push({ name: c.name, pass: false, asm: c.asm, hex: c.hex, rAsm: null, rHex: null, err: e.message || String(e) });
-//     }
-//   }
-
-//   return results;
-// }
+// Words of the script, comments excluded.
+const asmTerms = (asm) => tokenizeAsm(asm).map((t) => t.text);
+
+// Size of the script plus any MINIMALDATA warnings.
+function hexInfo(hex) {
+  if( !hex ) return "";
+  const warnings = nonMinimalPushes(hexToBytes(hex)).map((w) => w.message);
+  return [`${(cleanHex(hex).length / 2).toString()} bytes`, ...warnings].join(" · ⚠️ ");
+}
 
 function loadURLParams(){
   const params = new URLSearchParams(window.location.search);
@@ -437,7 +692,7 @@ function loadURLParams(){
     result.asm = hexToAsm(result.hex);
     result.python = asmToPy(result.asm);
     result.cpp = hexToCpp(result.hex);
-    result.info = result.hex ? `${(cleanHex(result.hex).length / 2).toString()} bytes` : "";
+    result.info = hexInfo(result.hex);
   } catch (e) {
     result.info = "";
     result.error = e.message || String(e);
@@ -455,27 +710,150 @@ export default function App() {
   const [cpp, setCpp] = useState(params.cpp? params.cpp : "");
   const [error, setError] = useState(params.error? params.error : "");
   const [info, setInfo] = useState(params.info? params.info : "");
+  const [minimalPush, setMinimalPush] = useState(false);
+  const [decimalNumbers, setDecimalNumbers] = useState(false);
+  const [showDepth, setShowDepth] = useState(true);
+  const [bindings, setBindings] = useState({});
+  const [engine, setEngine] = useState(localStorage.getItem("engine") || "server"); // "server" | "local" | "compare"
+  const [engineDiff, setEngineDiff] = useState(null); // { diff, server, local } in "compare" mode
+  const [jobHash, setJobHash] = useState(""); // server cache key of the last trace
+  const [context, setContext] = useState(loadContext);
+  const [spendMode, setSpendMode] = useState(false);
+  const [spend, setSpend] = useState(EMPTY_SPEND);
+  const [spendBreakpoints, setSpendBreakpoints] = useState({}); // pane -> breakpoint lines
+  const [debugScript, setDebugScript] = useState(SCRIPT_PUBKEY); // script of the current step
+  const [showContext, setShowContext] = useState(false);
+  const [showVectors, setShowVectors] = useState(false);
+  const [vectors, setVectors] = useState(null); // { name, list } of a script_tests.json file
+  const [vectorResults, setVectorResults] = useState({}); // vector index -> checkVector result
+  const [vectorsRunning, setVectorsRunning] = useState(false);
   // const [tests, setTests] = useState([]);
-  const [stackData, setStackData] = useState("");
-  const [altStackData, setAltStackData] = useState("");
+  const [stackData, setStackData] = useState([]);
+  const [altStackData, setAltStackData] = useState([]);
+  const [previousStacks, setPreviousStacks] = useState(null); // { stack, altstack } of the step before
   const [searchParams, setSearchParams] = useSearchParams(); // Now useLocation can be used here
   const [debugWord, setDebugWord] = useState();
   const [breakpoints, setBreakpoints] = useState([]);
+  const [breakpointOptions, setBreakpointOptions] = useState({}); // script name -> line -> { condition, hitCount, enabled }
+  const [wordBreakpoints, setWordBreakpoints] = useState({}); // script name -> word indices
+  const [wordBreakpointOptions, setWordBreakpointOptions] = useState({}); // script name -> word index -> options
+  const [watches, setWatches] = useState([]); // [{ expression, enabled }]
+  const [showBreakpoints, setShowBreakpoints] = useState(false);
+  const [showSession, setShowSession] = useState(false);
+  const [workspace, setWorkspace] = useState(loadWorkspace);
+  const [showWorkspace, setShowWorkspace] = useState(false);
+  const [pendingSession, setPendingSession] = useState(null); // restored session waiting for its hex
+  const breakpointLinesRef = useRef({}); // breakpoint lines the options belong to
+  const wordBreakpointsRef = useRef({}); // word breakpoints the options belong to
   const [trace, setTrace] = useState(false);
+  const [traceScripts, setTraceScripts] = useState({}); // script name -> bytes the trace ran
+  const runRef = useRef(0); // id of the latest run, older streams stop updating
+  const debugStepRef = useRef(0); // step shown, for the end of a stream
   const [previousTerms, setPreviousTerms] = useState([]);
   const [status, setStatus] = useState(false);
   const [currentStepStatus, setCurrentStepStatus] = useState(""); // "success" | "error" | ""
   const [executionError, setExecutionError] = useState("");
-  const [pcWordMap, setPcWordMap] = useState({});
+  const [pcWordMap, setPcWordMap] = useState({}); // script name -> { pc: word index }
   const [pc, setPc] = useState(0);
   const [currentDebugStep, setCurrentDebugStep] = useState(0);
 
+  const asmOptions = useMemo(() => ({ minimal: minimalPush, bindings }), [minimalPush, bindings]);
+  const placeholders = listPlaceholders(asm);
+
   const debAsm = useDebounced(asm);
   const debHex = useDebounced(hex);
 
+  // Items the scriptSig leaves for the scriptPubKey: its pushes in spend
+  // mode, unknown (whatever the script needs) when it runs alone or the
+  // scriptSig does more than push
+  const spendInitialDepth = useMemo(() => {
+    if( !spendMode ) return undefined;
+    try {
+      const ops = decodeScript(assembleSpend(spend, asmOptions).scriptSig);
+      return ops.every((op) => op.opcode <= OPC.OP_16) ? ops.length : undefined;
+    } catch {
+      return undefined;
+    }
+  }, [spendMode, spend, asmOptions]);
+
+  // Static checks of the ASM editor, shown as markers with quick fixes
+  const lintOptions = useMemo(() => ({ ...asmOptions, tapscript: context.sigversion === SIGVERSION.TAPSCRIPT }),
+    [asmOptions, context.sigversion]);
+  const lintOptionsRef = useRef(lintOptions); // read by the quick fix provider
+  lintOptionsRef.current = lintOptions;
+  const stackDepth = useMemo(() => analyzeStackDepth(debAsm, { ...asmOptions, initialDepth: spendInitialDepth }),
+    [debAsm, asmOptions, spendInitialDepth]);
+  const diagnostics = useMemo(() => [...lintAsm(debAsm, lintOptions), ...(stackDepth?.diagnostics || [])]
+    .sort((a, b) => a.line - b.line || a.column - b.column), [debAsm, lintOptions, stackDepth]);
+
   const monaco = useMonaco();
 
-  useEffect(()=>{}, [breakpoints]);
+  // Breakpoint lines of every debuggable editor, by script name
+  const allBreakpointLines = () => ({ [SCRIPT_PUBKEY]: breakpoints, ...spendBreakpoints });
+
+  // Keep conditions and hit counts on their breakpoints when edits move them
+  useEffect(() => {
+    const lines = { [SCRIPT_PUBKEY]: breakpoints, ...spendBreakpoints };
+    const previous = breakpointLinesRef.current;
+    setBreakpointOptions((options) => Object.fromEntries(
+      Object.entries(lines).map(([script, list]) => [script, moveBreakpointOptions(options[script] || {}, previous[script] || [], list)])
+    ));
+    breakpointLinesRef.current = lines;
+  }, [breakpoints, spendBreakpoints]);
+
+  useEffect(() => {
+    const previous = wordBreakpointsRef.current;
+    setWordBreakpointOptions((options) => Object.fromEntries(
+      Object.entries(wordBreakpoints).map(([script, list]) => [script, moveBreakpointOptions(options[script] || {}, previous[script] || [], list)])
+    ));
+    wordBreakpointsRef.current = wordBreakpoints;
+  }, [wordBreakpoints]);
+
+  const changeWordBreakpoints = (script, words) => {
+    setWordBreakpoints((bps) => ({ ...bps, [script]: words }));
+  }
+
+  // Rows of the breakpoint list: line breakpoints, then word breakpoints
+  const breakpointRows = () => {
+    const texts = { [SCRIPT_PUBKEY]: asm, ...(spendMode ? spend : {}) };
+    const lines = spendMode ? allBreakpointLines() : { [SCRIPT_PUBKEY]: breakpoints };
+    let rows = [];
+    for( let [script, list] of Object.entries(lines) ) {
+      for( let line of list ) {
+        rows.push({ id: `${script}:${line}`, script, line, label: `${script}:${line}`, option: breakpointOptions[script]?.[line] });
+      }
+    }
+    for( let [script, list] of Object.entries(wordBreakpoints) ) {
+      if( !(script in texts) ) continue;
+      const tokens = tokenizeAsm(texts[script]);
+      for( let word of list ) {
+        rows.push({
+          id: `${script}#${word}`, script, word,
+          label: `${script} ${tokens[word]?.text ?? "?"} (word ${word + 1})`,
+          option: wordBreakpointOptions[script]?.[word],
+        });
+      }
+    }
+    return rows;
+  }
+
+  const changeBreakpointOption = (row, option) => {
+    if( row.word !== undefined ) {
+      setWordBreakpointOptions((options) => ({ ...options, [row.script]: { ...options[row.script], [row.word]: option } }));
+    } else {
+      setBreakpointOptions((options) => ({ ...options, [row.script]: { ...options[row.script], [row.line]: option } }));
+    }
+  }
+
+  const removeBreakpoint = (row) => {
+    if( row.word !== undefined ) {
+      changeWordBreakpoints(row.script, (wordBreakpoints[row.script] || []).filter((w) => w !== row.word));
+    } else if( row.script === SCRIPT_PUBKEY ) {
+      setBreakpoints((lines) => lines.filter((l) => l !== row.line));
+    } else {
+      setSpendBreakpoints((bps) => ({ ...bps, [row.script]: (bps[row.script] || []).filter((l) => l !== row.line) }));
+    }
+  }
 
   useEffect(() => {
     if (!monaco) return;
@@ -487,9 +865,16 @@ export default function App() {
     monaco.languages.setMonarchTokensProvider("bitcoin-script", {
       tokenizer: {
         root: [
-          [/\bOP_[A-Z0-9_]+\b/, "keyword"], // opcodes
-          [/<[a-zA-Z0-9]+>/, "string"], // push data like <pubKeyHash>
-          [/[0-9]+/, "number"],          // numbers
+          [/\/\/.*$/, "comment"],
+          [/\/\*/, "comment", "@comment"],
+          [/\bOP_[A-Za-z0-9_]+\b/, "keyword"], // opcodes
+          [/<[a-zA-Z0-9_]+>/, "string"], // push data like <pubKeyHash>
+          [/-?[0-9]+/, "number"],        // numbers
+        ],
+        comment: [
+          [/[^*]+/, "comment"],
+          [/\*\//, "comment", "@pop"],
+          [/\*/, "comment"],
         ],
       },
     });
@@ -498,6 +883,7 @@ export default function App() {
     monaco.languages.setLanguageConfiguration("bitcoin-script", {
       comments: {
         lineComment: "//",
+        blockComment: ["/*", "*/"],
       },
       // Monaco gets confused if these arrays are empty → give it one safe pair
       brackets: [["<", ">"]],
@@ -533,7 +919,7 @@ export default function App() {
           : "\t";
 
         const lineToken = (ln) => {
-          const t = model.getLineContent(ln).trim();
+          const t = asmTerms(model.getLineContent(ln)).join(" ");
           if (/^OP_IF$/i.test(t)) return "OP_IF";
           if (/^OP_NOTIF$/i.test(t)) return "OP_NOTIF";
           if (/^OP_ELSE$/i.test(t)) return "OP_ELSE";
@@ -572,9 +958,6 @@ export default function App() {
         } else if (prevTok === "OP_ELSE") {
           if( depthPrev > 0 )
             edits.push(replaceLeadingWs(prevLine, indentUnit.repeat(depthPrev - 1)));
-          else{
-            setError("Unmatched OP_ELSE");
-          }
           edits.push(replaceLeadingWs(newLine, indentUnit.repeat(depthPrev)));
         } else if (prevTok === "OP_ENDIF") {
           edits.push(replaceLeadingWs(prevLine, indentUnit.repeat(depthPrev)));
@@ -586,119 +969,650 @@ export default function App() {
         return edits;
       },
     });
+
+    // Quick fixes of the markers published by lintAsm, checked again against
+    // the text the editor has now
+    monaco.languages.registerCodeActionProvider("bitcoin-script", {
+      provideCodeActions(model, range, context) {
+        const diagnostics = lintAsm(model.getValue(), lintOptionsRef.current);
+        const actions = [];
+        for( let marker of context.markers ) {
+          const d = diagnostics.find((d) => d.fix && d.code === marker.code && d.message === marker.message &&
+            d.line === marker.startLineNumber && d.column === marker.startColumn);
+          if( !d ) continue;
+          actions.push({
+            title: d.fix.title,
+            kind: "quickfix",
+            diagnostics: [marker],
+            isPreferred: true,
+            edit: { edits: [{
+              resource: model.uri,
+              versionId: model.getVersionId(),
+              textEdit: { range: new monaco.Range(d.fix.line, d.fix.column, d.fix.endLine, d.fix.endColumn), text: d.fix.text },
+            }] },
+          });
+        }
+        return { actions, dispose() {} };
+      },
+    });
   }, [monaco]);
 
-  // Line array contains first word index for each line.
-  const computeLineArray = () => {
+  // Line array contains the byte position of the first word of each line.
+  const computeLineArray = (asm) => {
     if( error ) return;
-    let lines = asm.trim().split("\n");
+    const { bytes, words } = assemble(asm, asmOptions);
+    let lineCount = asm.split("\n").length;
     let cur = 0;
     let lineArray = []
-    for(let i=0; i<lines.length; i++) {
-      let terms = lines[i].split(/\s+/g);
-      lineArray.push(cur);
-      for(let j=0; j<terms.length; j++){
-        let term = terms[j].trim();
-        if( term == "" ) continue;
-        if( term.startsWith("<") && term.endsWith(">") )  {
-          let l = (term.length - 2) / 2;
-          if( l < 76 )
-            cur += l;
-          else if( 75 < l && l < 256 )
-            cur += 1 + l;
-          else if( 255 < l && l < 521 )
-            cur += 2 + l;
-          else
-            cur += 4 + l;
-        }
-        cur++;
-      }
+    for(let line=1; line<=lineCount; line++) {
+      while( cur < words.length && words[cur].line < line ) cur++;
+      lineArray.push(cur < words.length ? words[cur].pos : bytes.length);
     }
     return lineArray;
   };
 
-  const computeBreakpointBytePositions = (lineArray) => {
+  const computeBreakpointBytePositions = (lineArray, lines, options = {}) => {
     const bytePositions = [];
-    for( let bp of breakpoints ) {
-      bytePositions.push(lineArray[bp - 1]);
+    for( let bp of lines ) {
+      bytePositions.push({ ...options[bp], line: bp, pc: lineArray[bp - 1] });
     }
     return bytePositions;
   }
 
-  const computePcWordMap = () => {
-    let terms = asm.trim().split(/\s+/g);
-    let wordMap = {};
-    let cur = 0;
-    for (let i = 0; i < terms.length; i++) {
-      wordMap[cur] = i;
-      if( terms[i].startsWith("<") && terms[i].endsWith(">") )  {
-        let l = (terms[i].length - 2) / 2;
-        if( l < 76 )
-          cur += l;
-        else if( 75 < l && l < 256 )
-          cur += 1 + l;
-        else if( 255 < l && l < 521 )
-          cur += 2 + l;
-        else
-          cur += 4 + l;
+  // Word breakpoints at the byte position of their word, the position
+  // computePcWordMap maps back to that word
+  const computeWordBreakpointPositions = (asm, indices, options = {}) => {
+    if( error || !indices ) return [];
+    const { words } = assemble(asm, asmOptions);
+    return indices.map((word) => ({ ...options[word], word, pc: words[word]?.pos }));
+  }
+
+  // Breakpoints ({ pc, line or word, condition, hitCount, enabled }) of every
+  // debuggable editor, by script name
+  const computeAllBreakpoints = () => {
+    let positions = {
+      [SCRIPT_PUBKEY]: [
+        ...computeBreakpointBytePositions(computeLineArray(asm), breakpoints, breakpointOptions[SCRIPT_PUBKEY]),
+        ...computeWordBreakpointPositions(asm, wordBreakpoints[SCRIPT_PUBKEY], wordBreakpointOptions[SCRIPT_PUBKEY]),
+      ],
+    };
+    if( spendMode ) {
+      for( let name of [SCRIPT_SIG, REDEEM_SCRIPT, WITNESS_SCRIPT] ) {
+        positions[name] = [
+          ...computeBreakpointBytePositions(computeLineArray(spend[name]), spendBreakpoints[name] || [], breakpointOptions[name]),
+          ...computeWordBreakpointPositions(spend[name], wordBreakpoints[name], wordBreakpointOptions[name]),
+        ];
       }
-      cur++;
     }
-    wordMap[cur] = terms.length - 1;
-    console.log(JSON.stringify(wordMap));
+    return positions;
+  }
+
+  const activeWatches = () => watches.some((w) => w.enabled !== false && w.expression.trim());
+
+  const hasStops = (breakpoints) =>
+    Object.values(breakpoints).some((p) => p.length > 0) || activeWatches();
+
+  // Trace indices the breakpoints and watches stop at, null (with the
+  // reason in info) when a condition does not parse or the steps it reads
+  // cannot be loaded. Conditions and watches read the stacks, so the stubs of
+  // a long streamed trace are fetched for them first.
+  const stopIndices = async (trace, breakpoints) => {
+    const readsStacks = activeWatches() ||
+      Object.values(breakpoints).some((list) => list.some((bp) => bp.enabled !== false && bp.condition?.trim()));
+    let steps = trace;
+    if( readsStacks && trace.some((entry) => entry.job) ) {
+      steps = await loadStubbedSteps(trace);
+      if( !steps ) return null;
+    }
+    try {
+      return breakIndices(steps, breakpoints, watches);
+    } catch (e) {
+      setInfo("⚠️ Breakpoint: " + e.message);
+      return null;
+    }
+  }
+
+  const computeWordMap = (asm) => {
+    const { bytes, words } = assemble(asm, asmOptions);
+    let wordMap = {};
+    for (let i = words.length - 1; i >= 0; i--) {
+      // OP_PUSHDATAn <data> shares one position, map it to the opcode word
+      wordMap[words[i].pos] = i;
+    }
+    wordMap[bytes.length] = words.length - 1;
     return wordMap;
   }
 
-  // breakpoints == false -- first step
-  // breakpoints == [byte positions] -- first step after 0
-  // breakpoints == true -- last step
-  async function handleServerRequest(breakpoints) {
-    normalizeData();
-    if(error) return;
-    setPreviousTerms(debAsm.trim().split(/\s+/));
-    // Handle the server request here
+  const computePcWordMap = () => {
+    let wordMaps = { [SCRIPT_PUBKEY]: computeWordMap(asm) };
+    if( spendMode ) {
+      for( let name of [SCRIPT_SIG, REDEEM_SCRIPT, WITNESS_SCRIPT] )
+        wordMaps[name] = computeWordMap(spend[name]);
+      // the appended redeem script push has no word of its own
+      const { scriptSig, scriptSigAsmSize } = assembleSpend(spend, asmOptions);
+      wordMaps[SCRIPT_SIG][scriptSig.length] = wordMaps[SCRIPT_SIG][scriptSigAsmSize];
+    }
+    return wordMaps;
+  }
+
+  // Bytes of every script a trace can name, from the editors
+  const computeScripts = () => {
+    let scripts = { [SCRIPT_PUBKEY]: hexToBytes(hex) };
+    if( spendMode ) {
+      scripts[SCRIPT_SIG] = assembleSpend(spend, asmOptions).scriptSig;
+      scripts[REDEEM_SCRIPT] = asmToBytes(spend[REDEEM_SCRIPT], asmOptions);
+      scripts[WITNESS_SCRIPT] = asmToBytes(spend[WITNESS_SCRIPT], asmOptions);
+    }
+    return scripts;
+  }
+
+  // Same result shape as /run-job, computed by the in-browser interpreter
+  const runLocal = () => {
+    let options;
+    try {
+      options = contextOptions(context);
+    } catch (e) {
+      setInfo("⚠️ Context: " + (e.message || String(e)));
+      return;
+    }
+    if( !spendMode ) return runScript(hexToBytes(hex), options);
+    let parts;
+    try {
+      parts = assembleSpend(spend, asmOptions);
+    } catch (e) {
+      setInfo("⚠️ Spend: " + (e.message || String(e)));
+      return;
+    }
+    return verifyScript({ scriptSig: parts.scriptSig, scriptPubKey: hexToBytes(hex), witness: parts.witness }, options);
+  };
+
+  const spendRequest = () => {
+    if( !spendMode ) return undefined;
+    const parts = assembleSpend(spend, asmOptions);
+    return { scriptSig: bytesToHex(parts.scriptSig), witness: parts.witness.map(bytesToHex) };
+  }
 
-    const response = await fetch("http://localhost:3000/run-job", {
+  // POST the job to the server, undefined (and a message) on failure
+  const postJob = async (path) => {
+    let spendParts;
+    try {
+      spendParts = spendRequest();
+    } catch (e) {
+      setInfo("⚠️ Spend: " + (e.message || String(e)));
+      return;
+    }
+    const response = await fetch(`${SERVER_URL}${path}`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ input: hex })
+      body: JSON.stringify({ input: hex, context: contextRequest(context), spend: spendParts })
     }).catch((error) => {
-      // Your error is here!
       setInfo("⚠️ Server connection error: " + error);
     });
 
-    if( !response || !response.ok ) return;
+    if( !response ) return;
+    if( !response.ok ) {
+      // 400 bad input, 413 too large, 429 queue full, 504 timeout
+      let message = response.statusText;
+      try {
+        message = (await response.json()).error || message;
+      } catch {
+        // not a JSON error body
+      }
+      setInfo(`⚠️ Server error ${response.status}: ${message}`);
+      return;
+    }
+    setJobHash(response.headers.get("X-Job-Hash") || "");
+    return response;
+  }
 
-    const data = await response.json();
+  const runOnServer = async () => {
+    const response = await postJob("/run-job");
+    return response && await response.json();
+  }
+
+  // Like runOnServer, passing the steps to onSteps while the job runs
+  const streamOnServer = async (onSteps) => {
+    const response = await postJob("/run-job/stream");
+    if( !response ) return;
+    try {
+      return await readTraceStream(response, onSteps);
+    } catch (e) {
+      setInfo("⚠️ Server error: " + (e.message || String(e)));
+    }
+  }
+
+  // Stubs of steps dropped from a long trace, reloaded around `index`
+  const loadTraceSteps = async (index, trace) => {
+    const from = Math.max(0, index - TRACE_PAGE / 2);
+    const response = await fetch(`${SERVER_URL}/jobs/${trace[index].job}?from=${from}&count=${TRACE_PAGE}`)
+      .catch(() => undefined);
+    if( !response || !response.ok ) {
+      setInfo(`⚠️ Could not load step ${index + 1} from the server`);
+      return;
+    }
+    const page = await response.json();
+    const loaded = trace.slice();
+    page.trace.forEach((step, i) => { loaded[from + i] = step; });
+    return loaded;
+  }
+
+  // The trace with every stub fetched back, without keeping it: the steps a
+  // search through the whole trace reads. Null if a page fails to load.
+  const loadStubbedSteps = async (trace) => {
+    const loaded = trace.slice();
+    for( let from = loaded.findIndex((entry) => entry.job); from >= 0; ) {
+      setInfo(`⏳ Loading steps ${from + 1} to ${Math.min(from + TRACE_MAX_PAGE, loaded.length)} from the server...`);
+      const response = await fetch(`${SERVER_URL}/jobs/${loaded[from].job}?from=${from}&count=${TRACE_MAX_PAGE}`)
+        .catch(() => undefined);
+      if( !response || !response.ok ) {
+        setInfo(`⚠️ Could not load step ${from + 1} from the server for the breakpoint conditions`);
+        return null;
+      }
+      const page = await response.json();
+      if( !page.trace.length ) {
+        setInfo(`⚠️ Step ${from + 1} is no longer on the server`);
+        return null;
+      }
+      page.trace.forEach((step, i) => { loaded[from + i] = step; });
+      from = loaded.findIndex((entry, i) => i >= from + page.trace.length && entry.job);
+    }
+    setInfo("");
+    return loaded;
+  }
+
+  const openVectors = async (file) => {
+    try {
+      setVectors({ name: file.name, list: parseScriptTests(await file.text()) });
+      setVectorResults({});
+    } catch (e) {
+      setInfo(`⚠️ ${file.name}: ` + (e.message || String(e)));
+    }
+  }
+
+  // Every vector on the local interpreter, or in one /run-batch request
+  const runVectors = async () => {
+    const list = vectors.list;
+    const results = {};
+    const jobs = [];
+    for( const vector of list ) {
+      try {
+        jobs.push({ vector, job: vectorJob(vector) });
+      } catch (e) {
+        results[vector.index] = { pass: false, expected: vector.expected, actual: "not run: " + e.message };
+      }
+    }
+    setVectorsRunning(true);
+    setVectorResults({ ...results });
+    if( engine === "local" ) {
+      for( let i = 0; i < jobs.length; i++ ) {
+        results[jobs[i].vector.index] = checkVector(jobs[i].vector, runJob(jobs[i].job));
+        if( i % 50 === 49 ) {
+          // let the page render the progress
+          setVectorResults({ ...results });
+          await new Promise((resolve) => setTimeout(resolve));
+        }
+      }
+    } else {
+      try {
+        const response = await fetch(`${SERVER_URL}/run-batch`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ jobs: jobs.map((j) => j.job) })
+        });
+        if( !response.ok ) throw new Error(`${response.status} ${(await response.json().catch(() => ({}))).error || response.statusText}`);
+        await readNdjson(response, (message) => {
+          if( message.type !== "result" ) return;
+          const vector = jobs[message.index].vector;
+          results[vector.index] = message.rejected
+            ? { pass: false, expected: vector.expected, actual: `rejected (${message.rejected}): ${message.error}` }
+            : checkVector(vector, message);
+        }, () => setVectorResults({ ...results }));
+      } catch (e) {
+        setInfo("⚠️ Server error: " + (e.message || String(e)));
+      }
+    }
+    setVectorResults({ ...results });
+    setVectorsRunning(false);
+  }
+
+  // Debug a vector: its scriptPubKey in the editor, its spend and transaction
+  const loadVector = (vector) => {
+    try {
+      const job = vectorJob(vector);
+      const asmOf = (hex) => hexToAsm(hex, { decimals: decimalNumbers });
+      setActiveTab("ASM");
+      setAsm(asmOf(job.input));
+      toggleSpendMode(true);
+      setSpend({
+        [SCRIPT_SIG]: asmOf(job.spend.scriptSig),
+        witness: job.spend.witness.map((item) => asmOf(bytesToHex(pushData(hexToBytes(item))))).join("\n"),
+        [REDEEM_SCRIPT]: "",
+        [WITNESS_SCRIPT]: "",
+      });
+      changeContext({
+        ...DEFAULT_CONTEXT,
+        tx: job.context.tx,
+        amounts: job.context.amounts.join(","),
+        scriptPubKeys: job.context.scriptPubKeys.join(","),
+        flags: job.context.flags,
+      });
+      setDebugWord(0);
+      setInfo(`Vector #${vector.index}: expected ${vector.expected}`);
+    } catch (e) {
+      setInfo(`⚠️ Vector #${vector.index}: ` + (e.message || String(e)));
+    }
+  }
+
+  // -------------------- Sessions --------------------
+  const currentSession = () => {
+    const { [SCRIPT_PUBKEY]: lines = [], ...spendLines } = allBreakpointLines();
+    return createSession({
+      asm,
+      spend: spendMode ? spend : null,
+      context,
+      bindings,
+      minimalPush,
+      breakpoints: {
+        lines: { [SCRIPT_PUBKEY]: lines, ...(spendMode ? spendLines : {}) },
+        lineOptions: breakpointOptions,
+        words: wordBreakpoints,
+        wordOptions: wordBreakpointOptions,
+        watches,
+      },
+      result: trace ? {
+        status,
+        error: executionError,
+        trace,
+        scripts: Object.fromEntries(Object.entries(traceScripts).map(([name, bytes]) => [name, bytesToHex(bytes)])),
+      } : null,
+      step: trace ? currentDebugStep : 0,
+    });
+  }
+
+  const exportSession = () => {
+    const blob = new Blob([JSON.stringify(currentSession(), null, 2)], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `debug-session${jobHash ? "-" + jobHash.slice(0, 12) : ""}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  const copySessionLink = async () => {
+    try {
+      const url = `${window.location.origin}${window.location.pathname}?session=${await encodeSessionUrl(currentSession())}`;
+      await navigator.clipboard.writeText(url);
+      setInfo("🔗 Session link copied");
+    } catch (e) {
+      setInfo("⚠️ " + (e.message || String(e)));
+    }
+  }
+
+  // Put the editors, context and breakpoints of a session in place; its
+  // trace is replayed, or the script run again, once the hex follows the ASM
+  const restoreSession = (session) => {
+    const { lines, lineOptions, words, wordOptions, watches } = session.breakpoints;
+    const { [SCRIPT_PUBKEY]: scriptLines = [], ...spendLines } = lines;
+    setActiveTab("ASM");
+    setAsm(session.asm);
+    setPreviousTerms(asmTerms(session.asm));
+    setBindings(session.bindings);
+    setMinimalPush(session.minimalPush);
+    if( session.context ) changeContext({ ...DEFAULT_CONTEXT, ...session.context });
+    toggleSpendMode(Boolean(session.spend));
+    setSpend(session.spend ? { ...EMPTY_SPEND, ...session.spend } : EMPTY_SPEND);
+    // options already belong to these lines, nothing to move
+    breakpointLinesRef.current = { [SCRIPT_PUBKEY]: scriptLines, ...spendLines };
+    wordBreakpointsRef.current = words;
+    setBreakpoints(scriptLines);
+    setSpendBreakpoints(spendLines);
+    setBreakpointOptions(lineOptions);
+    setWordBreakpoints(words);
+    setWordBreakpointOptions(wordOptions);
+    setWatches(watches);
+    setEngineDiff(null);
+    setJobHash("");
+    setTrace(false);
+    setPendingSession(session);
+  }
+
+  const importSession = async (file) => {
+    try {
+      restoreSession(parseSession(await file.text()));
+    } catch (e) {
+      setInfo(`⚠️ ${file.name}: ` + (e.message || String(e)));
+    }
+  }
+
+  // The session effects run on their triggers only and call the functions of
+  // the latest render through refs
+  const restoreSessionRef = useRef(restoreSession);
+  restoreSessionRef.current = restoreSession;
+
+  useEffect(() => {
+    const text = new URLSearchParams(window.location.search).get("session");
+    if( !text ) return;
+    decodeSessionUrl(text).then((session) => {restoreSessionRef.current(session)}, (e) => {setInfo("⚠️ " + e.message)});
+  }, []);
+
+  // Shows the trace of a restored session once the editors hold its script
+  const applyPendingSession = () => {
+    if( !pendingSession || debAsm !== pendingSession.asm ) return;
+    let expectedHex;
+    try {
+      expectedHex = pendingSession.asm.trim() ? asmToHex(pendingSession.asm, asmOptions) : "";
+    } catch {
+      setPendingSession(null); // normalizeData reports the error
+      return;
+    }
+    if( hex !== expectedHex ) return;
+    const { result, step } = pendingSession;
+    setPendingSession(null);
+    if( !result ) {
+      if( step > 0 ) handleServerRequest(step);
+      return;
+    }
+    const wordMap = computePcWordMap();
+    setTraceScripts(result.scripts ? scriptBytes(result.scripts) : computeScripts());
+    setTrace(result.trace);
+    setStatus(result.status);
+    setExecutionError(result.status == "error" ? result.error : "");
+    setPcWordMap(wordMap);
+    updateDebugStep(Math.min(Math.max(step, 1), result.trace.length), wordMap, result.trace, result.status);
+    setInfo(result.status == "success" ? "✅ Success!" : "⚠️ " + result.error);
+  }
+  const applyPendingSessionRef = useRef(applyPendingSession);
+  applyPendingSessionRef.current = applyPendingSession;
+
+  useEffect(() => {
+    applyPendingSessionRef.current();
+  }, [pendingSession, debAsm, hex]);
+
+  // -------------------- Workspace --------------------
+  // The workspace stays in memory when it cannot be stored
+  const changeWorkspace = (newWorkspace) => {
+    const failure = saveWorkspace(newWorkspace);
+    if( failure ) setInfo("⚠️ Workspace not saved: " + failure);
+    setWorkspace(newWorkspace);
+  }
+
+  // The workspace with the open script holding the editors' latest state
+  const savedWorkspace = () => {
+    if( !workspace.activeId || pendingSession ) return workspace;
+    return updateScript(workspace, workspace.activeId, currentSession());
+  }
+
+  // Saves the open script once the editors settle, on the changes below only
+  const autosave = () => {
+    if( !workspace.activeId || pendingSession || debAsm !== asm ) return;
+    changeWorkspace(savedWorkspace());
+  }
+  const autosaveRef = useRef(autosave);
+  autosaveRef.current = autosave;
+
+  useEffect(() => {
+    autosaveRef.current();
+  }, [debAsm, spend, spendMode, context, bindings, minimalPush, breakpoints, spendBreakpoints, breakpointOptions, wordBreakpoints, wordBreakpointOptions, watches]);
+
+  const openScript = (id) => {
+    const script = workspace.scripts.find((s) => s.id === id);
+    if( !script || id === workspace.activeId ) return;
+    changeWorkspace({ ...savedWorkspace(), activeId: id });
+    restoreSession(script.session);
+  }
+
+  const newScript = () => {
+    const session = createSession({ asm: "" });
+    changeWorkspace(addScript(savedWorkspace(), "Untitled", session));
+    restoreSession(session);
+  }
+
+  const saveScriptAs = () => {
+    changeWorkspace(addScript(savedWorkspace(), "Untitled", currentSession()));
+  }
+
+  const duplicateWorkspaceScript = (id) => {
+    const newWorkspace = duplicateScript(savedWorkspace(), id);
+    changeWorkspace(newWorkspace);
+    restoreSession(newWorkspace.scripts[newWorkspace.scripts.length - 1].session);
+  }
+
+  const deleteWorkspaceScript = (id) => {
+    const script = workspace.scripts.find((s) => s.id === id);
+    if( script && window.confirm(`Delete "${script.name}"?`) ) changeWorkspace(deleteScript(workspace, id));
+  }
+
+  // Open a template as an unsaved script
+  const loadSample = (key) => {
+    const s = TEMPLATES.find((t) => t.id === key);
+    if (!s) return;
+    changeWorkspace({ ...savedWorkspace(), activeId: null });
+    restoreSession(createSession({ asm: s.asm ?? hexToAsm(s.hex, { decimals: decimalNumbers }), bindings: s.bindings }));
+  };
+
+  const changeContext = (newContext) => {
+    localStorage.setItem("context", JSON.stringify(newContext));
+    setContext(newContext);
+    setTrace(false);
+  }
+
+  const changeSpend = (field, value) => {
+    setSpend({ ...spend, [field]: value });
+    setTrace(false);
+    setDebugWord(0);
+  }
+
+  const toggleSpendMode = (checked) => {
+    setSpendMode(checked);
+    setTrace(false);
+    setDebugWord(0);
+    setDebugScript(SCRIPT_PUBKEY);
+  }
+
+  const changeEngine = (newEngine) => {
+    localStorage.setItem("engine", newEngine);
+    setEngine(newEngine);
+    setTrace(false);
+    setEngineDiff(null);
+  }
+
+  // breakpoints == false -- first step
+  // breakpoints == { script name: [byte positions] } -- first step after 0
+  // breakpoints == true -- last step
+  // breakpoints == step number -- that step (a restored session)
+  async function handleServerRequest(breakpoints) {
+    normalizeData();
+    if(error) return;
+    setPreviousTerms(asmTerms(debAsm));
+
+    const run = ++runRef.current;
+    let wordMap = computePcWordMap();
+    setTraceScripts(computeScripts());
+    let data;
+    let diff = null;
+    if( engine === "compare" ) {
+      // The server trace is the reference, the local one is checked against it
+      data = await runOnServer();
+      if( !data ) return;
+      const local = runLocal();
+      if( !local ) return;
+      diff = compareTraces(data, local);
+      setEngineDiff({ diff, server: data, local });
+    } else if( engine === "local" ) {
+      setEngineDiff(null);
+      setJobHash("");
+      data = runLocal();
+    } else {
+      setEngineDiff(null);
+      // Without breakpoints stepping starts with the first streamed step;
+      // breakpoints and the end wait for the whole trace.
+      let started = false;
+      setInfo("⏳ Running...");
+      data = await streamOnServer((steps) => {
+        if( run !== runRef.current || !steps.length ) return;
+        const partial = steps.slice();
+        setTrace(partial);
+        setStatus("running");
+        if( !breakpoints && !started ) {
+          started = true;
+          setPcWordMap(wordMap);
+          updateDebugStep(1, wordMap, partial, "running");
+        }
+      });
+      if( run !== runRef.current ) return;
+      if( data && started ) {
+        if( data.scripts ) setTraceScripts(scriptBytes(data.scripts));
+        setTrace(data.trace);
+        setStatus(data.status);
+        setExecutionError(data.status == "error" ? data.error : "");
+        // The step being shown may now be the final one
+        updateDebugStep(Math.min(debugStepRef.current || 1, data.trace.length), wordMap, data.trace, data.status);
+        setInfo(data.status == "success" ? "✅ Success!" : "⚠️ " + data.error);
+        return;
+      }
+    }
+    if( !data ) return;
+
+    if( data.scripts ) setTraceScripts(scriptBytes(data.scripts));
     setTrace(data.trace);
     setStatus(data.status);
     setExecutionError(data.status == "error" ? data.error : "");
-    let wordMap = computePcWordMap();
     setPcWordMap(wordMap);
-    if( breakpoints && !Array.isArray(breakpoints) && data.trace && data.trace.length > 0 ) {
-      console.log("Set debug step to last ", data.trace.length);
+    if( diff && !diff.equal ) {
+      updateDebugStep(diff.firstDifference + 1, wordMap, data.trace, data.status);
+    } else if( typeof breakpoints === "number" && data.trace && data.trace.length > 0 ) {
+      updateDebugStep(Math.min(breakpoints, data.trace.length), wordMap, data.trace, data.status);
+    } else if( breakpoints && !Array.isArray(breakpoints) && data.trace && data.trace.length > 0 ) {
       updateDebugStep(data.trace.length, wordMap, data.trace, data.status);
-    } else if ( breakpoints && Array.isArray(breakpoints) && breakpoints.length > 0 ) {
-      let newDebugStep = newDebugStepAfterBreakpoint(0, data.trace, breakpoints)
-      console.log("Set debug step to first breakpoint after 0 newDebugStep = ", newDebugStep);
+    } else if ( breakpoints && typeof breakpoints === "object" && hasStops(breakpoints) ) {
+      let newDebugStep = await newDebugStepAfterBreakpoint(0, data.trace, breakpoints) || 1;
+      if( run !== runRef.current ) return;
       updateDebugStep(newDebugStep, wordMap, data.trace, data.status);
     } else {
       updateDebugStep(1, wordMap, data.trace, data.status);
     }
-    if( data.status == "success" ) setInfo( "✅ Success!" );
+    if( diff && !diff.equal ) setInfo(`⚠️ Engines differ at step ${diff.firstDifference + 1}`);
+    else if( data.status == "success" ) setInfo( "✅ Success!" );
     else if( data.status == "error") setInfo("⚠️ " + data.error);
     else setInfo("");
   }
 
+  // Keep the ASM as typed (layout, comments) while it still matches the hex;
+  // read through a ref by the effect below, which runs on URL changes only
+  const asmForHex = (newHex) =>
+    activeTab === "ASM" && asmToHex(asm, asmOptions) == newHex ? asm : syncAsm(newHex);
+  const asmForHexRef = useRef(asmForHex);
+  asmForHexRef.current = asmForHex;
+
   useEffect(()=>{
     if((!searchParams.has("hex") && hex != "") || searchParams.get("hex") != hex ){
       try {
         const newHex = searchParams.has("hex") ? searchParams.get("hex") : "";
-        const newAsm = newHex ? hexToAsm(newHex) : "";
+        const newAsm = asmForHexRef.current(newHex);
         setHex(newHex);
         setAsm(newAsm);
         setError("");
-        setInfo(newHex ? `${(cleanHex(newHex).length / 2).toString()} bytes` : "");
+        setInfo(hexInfo(newHex));
       } catch (e){
         setInfo("");
         setError(e.message || String(e));
@@ -706,15 +1620,39 @@ export default function App() {
     }
   }, [searchParams])
 
+  // ASM for a hex edited in the HEX tab: the operations it still has keep
+  // their text and the scriptPubKey breakpoints move with them
+  const syncAsm = (newHex) => {
+    if( !newHex ) return "";
+    const synced = syncAsmToHex(asm, newHex, { ...asmOptions, decimals: decimalNumbers });
+    const moveOptions = (options, pairs) => Object.fromEntries(
+      pairs.filter(([from]) => options?.[from]).map(([from, to]) => [to, options[from]])
+    );
+    const movedLines = syncBreakpointLines(tokenizeAsm(asm), tokenizeAsm(synced.asm), synced.words, breakpoints);
+    const linePairs = breakpoints.map((line, i) => [line, movedLines[i]]).filter(([, to]) => to !== null);
+    const wordPairs = (wordBreakpoints[SCRIPT_PUBKEY] || []).map((word) => [word, synced.words[word] ?? null]).filter(([, to]) => to !== null);
+    const lines = Array.from(new Set(linePairs.map(([, to]) => to))).sort((a, b) => a - b);
+    const words = Array.from(new Set(wordPairs.map(([, to]) => to))).sort((a, b) => a - b);
+
+    // The options move here, the remap effects then see nothing to move
+    breakpointLinesRef.current = { ...breakpointLinesRef.current, [SCRIPT_PUBKEY]: lines };
+    wordBreakpointsRef.current = { ...wordBreakpointsRef.current, [SCRIPT_PUBKEY]: words };
+    setBreakpoints(lines);
+    setBreakpointOptions((options) => ({ ...options, [SCRIPT_PUBKEY]: moveOptions(options[SCRIPT_PUBKEY], linePairs) }));
+    setWordBreakpoints((bps) => ({ ...bps, [SCRIPT_PUBKEY]: words }));
+    setWordBreakpointOptions((options) => ({ ...options, [SCRIPT_PUBKEY]: moveOptions(options[SCRIPT_PUBKEY], wordPairs) }));
+    return synced.asm;
+  }
+
   const normalizeData = () => {
     if (activeTab === "ASM") { // only compile from active editor
       try {
-        const newHex = debAsm.trim() ? asmToHex(debAsm) : "";
+        const newHex = debAsm.trim() ? asmToHex(debAsm, asmOptions) : "";
         setHex(newHex);
-        setPython(asmToPy(debAsm));
+        setPython(asmToPy(debAsm, asmOptions));
         setCpp(hexToCpp(newHex));
         setError("");
-        setInfo(newHex ? `${(newHex.length / 2).toString()} bytes` : "");
+        setInfo(hexInfo(newHex));
         if( searchParams.get("hex") != newHex)
           setSearchParams(new URLSearchParams(newHex == "" ? {} : { hex: newHex }));
       } catch (e) {
@@ -725,12 +1663,12 @@ export default function App() {
       try {
         const newHex = debHex ? cleanHex(debHex) : "";
         let newAsm = asm;
-        if( asmToHex(asm) != newHex )
-          newAsm = newHex ? hexToAsm(newHex) : "";
+        if( asmToHex(asm, asmOptions) != newHex )
+          newAsm = syncAsm(newHex);
         setHex(newHex);
         setAsm(newAsm);
         setError("");
-        setInfo(newHex ? `${(cleanHex(newHex).length / 2).toString()} bytes` : "");
+        setInfo(hexInfo(newHex));
       } catch (e) {
         setInfo("");
         setError(e.message || String(e));
@@ -742,16 +1680,28 @@ export default function App() {
   // Sync HEX when ASM changes
   useEffect(() => {
     normalizeData();
-    if( previousTerms.join(" ") !== debAsm.trim().split(/\s+/).join(" ") ){
+    if( previousTerms.join(" ") !== asmTerms(debAsm).join(" ") ){
       setDebugWord(0);
       setTrace(false);
-      setStackData("");
-      setAltStackData("");
-      setPreviousTerms(debAsm.trim().split(/\s+/));
+      setStackData([]);
+      setAltStackData([]);
+      setPreviousStacks(null);
+      setPreviousTerms(asmTerms(debAsm));
       setPcWordMap({});
       setPc(0);
     }
-  }, [activeTab, debAsm, debHex]);
+  }, [activeTab, debAsm, debHex, minimalPush, bindings]);
+
+  const toggleDecimalNumbers = (checked) => {
+    // Re-render ASM only if it is still the untouched disassembly of the hex
+    try {
+      if( hex && asm === hexToAsm(hex, { decimals: decimalNumbers }) )
+        setAsm(hexToAsm(hex, { decimals: checked }));
+    } catch {
+      // keep the user's ASM as is
+    }
+    setDecimalNumbers(checked);
+  };
 
   const onPaste = async () => {
     try {
@@ -770,12 +1720,11 @@ export default function App() {
     setInfo("");
   };
 
-  const loadSample = (key) => {
-    const s = SAMPLES[key];
-    if (!s) return;
-    setActiveTab("ASM");
-    setAsm(s.asm);
-  };
+  // Entry of the step before a step, null for the first one and for stubs
+  const previousEntry = (trace, step) => {
+    const entry = step >= 2 ? trace[Math.min(step, trace.length) - 2] : null;
+    return entry && !entry.job ? entry : null;
+  }
 
   // Default 0
   const updateDebugStep = (newDebugStep, pcWordMap, trace, status) => {
@@ -783,33 +1732,50 @@ export default function App() {
     if( error ) return;
     setActiveTab("ASM");
     setCurrentDebugStep(newDebugStep);
+    debugStepRef.current = newDebugStep;
     if( newDebugStep == 0){
       setPc(0);
       setDebugWord(0);
-      setStackData("");
-      setAltStackData("");
+      setStackData([]);
+      setAltStackData([]);
+      setPreviousStacks(null);
       setCurrentStepStatus("");
       return;
     }
-    let newPc = newDebugStep > trace.length ? trace[trace.length - 1].pc : trace[newDebugStep-1].pc;
-    let newDebugWord = pcWordMap[newPc.toString()];
-    if( newDebugStep >= trace.length) {
+    let entry = newDebugStep > trace.length ? trace[trace.length - 1] : trace[newDebugStep - 1];
+    if( entry.job ) {
+      // Stub of a step out of the streaming window
+      loadTraceSteps(newDebugStep - 1, trace).then((loaded) => {
+        if( !loaded ) return;
+        setTrace(loaded);
+        updateDebugStep(newDebugStep, pcWordMap, loaded, status);
+      });
+      return;
+    }
+    let newPc = entry.pc;
+    let script = entry.script || SCRIPT_PUBKEY;
+    setDebugScript(script);
+    let newDebugWord = pcWordMap[script]?.[newPc.toString()];
+    if( newDebugWord === undefined ) newDebugWord = -1; // no editor for this script
+    // The last step of a running job is not final yet
+    if( newDebugStep >= trace.length && status !== "running" ) {
       setCurrentStepStatus(status);
-      console.log("Set to final status ", status, " newDebugStep = ", newDebugStep, " trace.length = ", trace.length);
       if( status === "success" )
         setInfo( "✅ Success!" );
       else
         setInfo("⚠️ " + executionError);
       setDebugWord(newDebugWord);
       setPc(newPc);
-      setStackData(trace[trace.length - 1].stack.join('\n'));
-      setAltStackData(trace[trace.length - 1].altstack.join('\n'));
+      setStackData(trace[trace.length - 1].stack);
+      setAltStackData(trace[trace.length - 1].altstack);
+      setPreviousStacks(previousEntry(trace, trace.length));
     } else {
       setCurrentStepStatus("");
       setDebugWord(newDebugWord + 1);
       setPc(newPc);
-      setStackData(trace[newDebugStep - 1].stack.join('\n'));
-      setAltStackData(trace[newDebugStep - 1].altstack.join('\n'));
+      setStackData(entry.stack);
+      setAltStackData(entry.altstack);
+      setPreviousStacks(previousEntry(trace, newDebugStep));
     }
   }
 
@@ -842,29 +1808,73 @@ export default function App() {
     }
   }
 
-  const newDebugStepAfterBreakpoint = (currentDebugStep, trace, indices) => {
-    let newDebugStep = currentDebugStep >= trace.length ? trace.length : currentDebugStep + 1;
-    while( newDebugStep < trace.length ) {
-      if( indices.includes( parseInt(trace[newDebugStep - 1].pc, 10) ) ){
-        break;
-      }
-      newDebugStep++;
+  // vfExec of every step, for the condition view and the branch navigation
+  const conditions = useMemo(() => (trace ? conditionStacks(trace, traceScripts) : []), [trace, traceScripts]);
+  const currentIndex = () => Math.max(Math.min(currentDebugStep, trace.length) - 1, 0);
+  const timeline = useMemo(() => (trace ? timelineRows(trace, traceScripts, conditions) : []), [trace, traceScripts, conditions]);
+
+  const debugStepOverBranch = () => {
+    if( !trace || trace.length == 0 ) {
+      handleServerRequest();
+      return;
     }
-    return newDebugStep;
+    const index = branchEndIndex(trace, traceScripts, currentIndex());
+    if( index === null ) debugForward();
+    else updateDebugStep(index + 1, pcWordMap, trace, status);
   }
 
-  const debugBreakpoint = () => {
-    let indices = computeBreakpointBytePositions(computeLineArray());
+  const debugStepOut = () => {
+    if( !trace || trace.length == 0 ) {
+      handleServerRequest();
+      return;
+    }
+    const index = blockExitIndex(trace, conditions, currentIndex());
+    if( index === null ) setInfo("Not inside an IF block");
+    else updateDebugStep(index + 1, pcWordMap, trace, status);
+  }
+
+  // Step of the last stop before currentDebugStep, 1 without one
+  const newDebugStepBeforeBreakpoint = async (currentDebugStep, trace, indices) => {
+    const stops = await stopIndices(trace, indices);
+    if( stops === null ) return null;
+    const before = stops.filter((i) => i + 1 < Math.min(currentDebugStep, trace.length) && i > 0);
+    return before.length ? before[before.length - 1] + 1 : 1;
+  }
+
+  const debugBreakpointBackward = async () => {
+    if( !trace || trace.length == 0 ) return;
+    let newDebugStep = await newDebugStepBeforeBreakpoint(currentDebugStep, trace, computeAllBreakpoints());
+    if( newDebugStep !== null ) updateDebugStep(newDebugStep, pcWordMap, trace, status);
+  }
+
+  // Step of the first stop after currentDebugStep, the last step without one
+  const newDebugStepAfterBreakpoint = async (currentDebugStep, trace, indices) => {
+    const stops = await stopIndices(trace, indices);
+    if( stops === null ) return null;
+    const next = stops.find((i) => i + 1 > currentDebugStep);
+    return next !== undefined ? next + 1 : trace.length;
+  }
+
+  const debugBreakpoint = async () => {
+    let indices = computeAllBreakpoints();
     if( !trace || trace.length == 0 ) {
       handleServerRequest(indices);
     } else {
-      let newDebugStep = newDebugStepAfterBreakpoint(currentDebugStep, trace, indices);
-      updateDebugStep(newDebugStep, pcWordMap, trace, status);
+      let newDebugStep = await newDebugStepAfterBreakpoint(currentDebugStep, trace, indices);
+      if( newDebugStep !== null ) updateDebugStep(newDebugStep, pcWordMap, trace, status);
     }
   }
 
   return (
     <div className="min-h-screen w-full bg-gray-50 text-gray-900 antialiased p-4">
+      {showWorkspace ? (
+        <WorkspaceSidebar workspace={workspace} onOpen={openScript} onNew={newScript} onSaveAs={saveScriptAs}
+          onRename={(id, name) => {changeWorkspace(renameScript(workspace, id, name))}}
+          onDuplicate={duplicateWorkspaceScript} onDelete={deleteWorkspaceScript} onTemplate={loadSample}
+          onClose={() => {setShowWorkspace(false)}}/>
+      ) : (
+        <button className="workspace-toggle" title="Saved scripts and templates" onClick={() => {setShowWorkspace(true)}}>&#9776; Workspace</button>
+      )}
       <div className="max-w-3xl mx-auto">
         <Header />
 
@@ -902,8 +1912,11 @@ export default function App() {
             </div>
             <div className="float-right" style={{ marginRight: "16px" }}>
               <button className="debug-button" title="Restart" onClick={()=>{debugRestart();}}>&#8630;</button>
+              <button className="debug-button" title="Back to previous breakpoint" onClick={()=>{debugBreakpointBackward();}}>&uarr;</button>
               <button className="debug-button" title="Step back" onClick={()=>{debugBackward();}}>&larr;</button>
               <button className="debug-button" title="Step forward" onClick={()=>{debugForward();}}>&rarr;</button>
+              <button className="debug-button" title="Step over branch (to the matching OP_ELSE/OP_ENDIF)" onClick={()=>{debugStepOverBranch();}}>&#8631;</button>
+              <button className="debug-button" title="Step out of the current IF" onClick={()=>{debugStepOut();}}>&#8613;</button>
               <button className="debug-button" title="Execute until breakpoint" onClick={()=>{debugBreakpoint();}}>&darr;</button>
               <button className="debug-button" title="Execute till the end" onClick={()=>{debugEnd();}}>&darr;&darr;</button>
             </div>
@@ -923,10 +1936,16 @@ export default function App() {
                     value={asm}
                     onChange={(e) => {setAsm(e)}}
                     isDebuggable={true}
-                    highlightWord={debugWord}
+                    highlightWord={debugScript === SCRIPT_PUBKEY ? debugWord : 0}
                     breakpoints={breakpoints}
+                    breakpointClasses={breakpointClasses(breakpointOptions[SCRIPT_PUBKEY])}
                     onBreakpointsChange={setBreakpoints}
-                    status={currentStepStatus}
+                    wordBreakpoints={wordBreakpoints[SCRIPT_PUBKEY] || []}
+                    wordBreakpointClasses={breakpointClasses(wordBreakpointOptions[SCRIPT_PUBKEY])}
+                    onWordBreakpointsChange={(words) => {changeWordBreakpoints(SCRIPT_PUBKEY, words)}}
+                    diagnostics={diagnostics}
+                    lineHints={showDepth ? depthHints(stackDepth) : {}}
+                    status={debugScript === SCRIPT_PUBKEY ? currentStepStatus : ""}
                   />
                 </motion.div>
               ) : activeTab === "HEX" ? (
@@ -992,23 +2011,112 @@ export default function App() {
           <Card className="stack-frame">
             <div className="p-3 items-center gap-2">
               <TabButton>Stack</TabButton>
-              <SimpleEditor
-                placeholder="Stack"
-                value={stackData}
-                is_readonly={true}
-              />
+              <StackView items={stackData} previous={previousStacks?.stack}/>
             </div>
           </Card>
           <Card className="stack-frame">
             <div className="p-3 items-center gap-2">
               <TabButton>AltStack</TabButton>
-              <SimpleEditor
-                placeholder="AltStack"
-                value={altStackData}
-                is_readonly={true}
-              />
+              <StackView items={altStackData} previous={previousStacks?.altstack}/>
+            </div>
+          </Card>
+          {trace && (
+            <Card>
+              <div className="p-3 items-center gap-2">
+                <TabButton>Conditions</TabButton>
+                <ConditionPanel frames={conditions[currentIndex()] || []} script={traceScripts[debugScript]}/>
+              </div>
+            </Card>
+          )}
+          {trace && (
+            <Card>
+              <div className="p-3 items-center gap-2">
+                <TabButton>Timeline</TabButton>
+                <TimelinePanel rows={timeline} debugStep={currentDebugStep} status={status} executionError={executionError}
+                  scripts={traceScripts} onSelectStep={(step) => {updateDebugStep(step, pcWordMap, trace, status)}}/>
+              </div>
+            </Card>
+          )}
+          {engineDiff && trace && (
+            <Card>
+              <div className="p-3 items-center gap-2">
+                <TabButton>Engines</TabButton>
+                <EngineDiffPanel
+                  engineDiff={engineDiff}
+                  debugStep={currentDebugStep}
+                  onSelectStep={(step) => {updateDebugStep(step, pcWordMap, trace, status)}}
+                />
+              </div>
+            </Card>
+          )}
+          {spendMode && (
+            <Card>
+              <div className="p-3 items-center gap-2">
+                <TabButton>Spend</TabButton>
+                {trace && <span className="script-label">Current script: {debugScript}</span>}
+                {SPEND_PANES.map((pane) => (
+                  <div key={pane.field} className={`spend-pane ${trace && debugScript === pane.field ? "current" : ""}`}>
+                    <div className="spend-pane-title">{pane.title}</div>
+                    <SimpleEditor
+                      id={`editor-${pane.field}`}
+                      height="120px"
+                      language={"bitcoin-script"}
+                      value={spend[pane.field]}
+                      onChange={(e) => {changeSpend(pane.field, e)}}
+                      placeholder={pane.placeholder}
+                      isDebuggable={pane.field !== "witness"}
+                      highlightWord={debugScript === pane.field ? debugWord : 0}
+                      breakpoints={spendBreakpoints[pane.field] || []}
+                      breakpointClasses={breakpointClasses(breakpointOptions[pane.field])}
+                      wordBreakpoints={wordBreakpoints[pane.field] || []}
+                      wordBreakpointClasses={breakpointClasses(wordBreakpointOptions[pane.field])}
+                      onWordBreakpointsChange={(words) => {changeWordBreakpoints(pane.field, words)}}
+                      onBreakpointsChange={(lines) => {setSpendBreakpoints((bps) => ({ ...bps, [pane.field]: lines }))}}
+                      status={debugScript === pane.field ? currentStepStatus : ""}
+                    />
+                  </div>
+                ))}
+              </div>
+            </Card>
+          )}
+          <Card>
+            <div className="p-3 items-center gap-2">
+              <TabButton active={showBreakpoints} onClick={() => {setShowBreakpoints(!showBreakpoints)}}>Breakpoints</TabButton>
+              {showBreakpoints && (
+                <BreakpointsPanel rows={breakpointRows()} watches={watches}
+                  onChangeOption={changeBreakpointOption} onRemove={removeBreakpoint} onChangeWatches={setWatches}/>
+              )}
             </div>
           </Card>
+          <Card>
+            <div className="p-3 items-center gap-2">
+              <TabButton active={showSession} onClick={() => {setShowSession(!showSession)}}>Session</TabButton>
+              {showSession && <SessionPanel onExport={exportSession} onImport={importSession} onCopyLink={copySessionLink}/>}
+            </div>
+          </Card>
+          <Card>
+            <div className="p-3 items-center gap-2">
+              <TabButton active={showContext} onClick={() => {setShowContext(!showContext)}}>Context</TabButton>
+              {showContext && <ContextPanel context={context} onChange={changeContext}/>}
+            </div>
+          </Card>
+          <Card>
+            <div className="p-3 items-center gap-2">
+              <TabButton active={showVectors} onClick={() => {setShowVectors(!showVectors)}}>Test vectors</TabButton>
+              {showVectors && (
+                <VectorsPanel vectors={vectors} results={vectorResults} running={vectorsRunning}
+                  onOpen={openVectors} onRun={runVectors} onLoad={loadVector}/>
+              )}
+            </div>
+          </Card>
+          {placeholders.length > 0 && (
+            <Card>
+              <div className="p-3 items-center gap-2">
+                <TabButton>Placeholders</TabButton>
+                <PlaceholderPanel names={placeholders} bindings={bindings} onChange={setBindings}/>
+              </div>
+            </Card>
+          )}
             <div className="buttons-container">
             <div className="float-left" width="50%">
               {error && (
@@ -1017,25 +2125,41 @@ export default function App() {
                 </div>
               )}
               <div className="ml-auto text-xs text-gray-500">{info}</div>
+              {trace && jobHash && (
+                <a className="job-link" href={`${SERVER_URL}/jobs/${jobHash}`} target="_blank" rel="noreferrer" title="Trace cached on the server">
+                  trace
+                </a>
+              )}
             </div>
             <div className="float-right">
-              <ServerRequestButton caption="Run script on server" handleClick={() => {handleServerRequest(true)}}/>
+              <label className="option-checkbox" title="Encode pushes per MINIMALDATA (OP_0, OP_1..OP_16, OP_1NEGATE, smallest PUSHDATA)">
+                <input type="checkbox" checked={minimalPush} onChange={(e) => {setMinimalPush(e.target.checked)}}/>
+                Minimal pushes
+              </label>
+              <label className="option-checkbox" title="Debug a whole spend: scriptSig and witness, then the scriptPubKey in the ASM editor">
+                <input type="checkbox" checked={spendMode} onChange={(e) => {toggleSpendMode(e.target.checked)}}/>
+                Spend
+              </label>
+              <label className="option-checkbox" title="Show the stack depth range after each line of the ASM, over all branches">
+                <input type="checkbox" checked={showDepth} onChange={(e) => {setShowDepth(e.target.checked)}}/>
+                Stack depth
+              </label>
+              <label className="option-checkbox" title="Disassemble number pushes of up to 4 bytes as decimals">
+                <input type="checkbox" checked={decimalNumbers} onChange={(e) => {toggleDecimalNumbers(e.target.checked)}}/>
+                Decimal numbers
+              </label>
+              <select className="engine-select" title="Debugger engine" value={engine} onChange={(e) => {changeEngine(e.target.value)}}>
+                <option value="server">Server (bitcoin-debugger)</option>
+                <option value="local">Local (in-browser)</option>
+                <option value="compare">Compare engines</option>
+              </select>
+              <ServerRequestButton caption={engine === "local" ? "Run script locally" : engine === "compare" ? "Run on both engines" : "Run script on server"} handleClick={() => {handleServerRequest(true)}}/>
             </div>
             </div>
         </div>
 
         <div style={{ display: "none" }}>PC={pc}</div>
         <div style={{ display: "none" }}>WORD_MAP={JSON.stringify(pcWordMap, null, 2)}</div>
-        <div style={{ display: "none" }} width="100%"><pre>{JSON.stringify(trace, null, 2)}</pre></div>
-        <div>
-          <a href="?hex=0181018193020180020180930301008003010080930401000080040100008093876987690280010280019302000387">
-            Negative numbers arithmetics demo
-          </a>
-          <br/>
-          <a href="?hex=006351675a685151946351675a6801806351675a68028000635a6751680200006351675a680200806351675a689393939393013c87">
-            What is false demo
-          </a>
-        </div>
       </div>
     </div>
   );
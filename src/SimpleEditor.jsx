@@ -3,6 +3,7 @@ import { motion, AnimatePresence } from "framer-motion";
 import { useSearchParams } from 'react-router-dom';
 
 import {Editor, useMonaco} from '@monaco-editor/react';
+import {tokenizeAsm} from "./script";
 
 export const SimpleEditor = ({
   id,
@@ -15,8 +16,15 @@ export const SimpleEditor = ({
   isDebuggable,
   highlightWord,
   breakpoints,
+  breakpointClasses,
   onBreakpointsChange,
-  status
+  wordBreakpoints,
+  wordBreakpointClasses,
+  onWordBreakpointsChange,
+  diagnostics,
+  lineHints,
+  status,
+  height
 }) => {
   useEffect(() => {highlightCurrent(highlightWord);}, [highlightWord]);
   useEffect(() => {highlightCurrent(highlightWord)}, [status]);
@@ -26,6 +34,13 @@ export const SimpleEditor = ({
   const monacoRef = useRef(null);
   const breakpointsDecorationsRef = useRef([]);
   const debugDecorationsRef = useRef([]);
+  const wordDecorationsRef = useRef([]);
+  const hintDecorationsRef = useRef([]);
+  const wordBreakpointsRef = useRef(wordBreakpoints || []); // word indices of the markers
+  const tokenTextsRef = useRef([]); // words the markers were placed on
+  const wordClassesRef = useRef(); // read by the listeners registered on mount
+  wordClassesRef.current = wordBreakpointClasses;
+  const applyingValueRef = useRef(false); // the parent's value is being applied
 
   let previousBreakpoints = [];
   let words = [];
@@ -52,7 +67,7 @@ export const SimpleEditor = ({
   };
 
   // ---- helper (define it BEFORE using it) ----
-  function makeBpDescriptor(rangeOrRangeLike) {
+  function makeBpDescriptor(rangeOrRangeLike, className) {
     // Accept either a real monaco.Range or a plain object with startLineNumber...
     const range =
       rangeOrRangeLike instanceof monaco.Range
@@ -68,11 +83,71 @@ export const SimpleEditor = ({
       range,
       options: {
         isWholeLine: true,
-        glyphMarginClassName: "myBreakpoint" // change to your CSS class
+        glyphMarginClassName: className ? `myBreakpoint ${className}` : "myBreakpoint"
       }
     };
   }
 
+  // ---- per-word breakpoints: inline markers on single opcodes, by word index ----
+  function renderWordBreakpoints(indices) {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    if (!editor?.getModel() || !monaco) return;
+    const tokens = tokenizeAsm(editor.getModel().getValue());
+    tokenTextsRef.current = tokens.map(t => t.text);
+    wordBreakpointsRef.current = indices;
+    wordDecorationsRef.current = editor.deltaDecorations(
+      wordDecorationsRef.current,
+      indices.filter(i => i < tokens.length).map(i => ({
+        range: new monaco.Range(tokens[i].line, tokens[i].column, tokens[i].line, tokens[i].endColumn),
+        options: {
+          className: `wordBreakpoint ${wordClassesRef.current?.[i] || ""}`,
+          beforeContentClassName: "wordBreakpointMarker",
+          stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+        },
+      }))
+    );
+  }
+
+  function changeWordBreakpoints(indices) {
+    const sorted = Array.from(new Set(indices)).sort((a, b) => a - b);
+    const previous = wordBreakpointsRef.current;
+    renderWordBreakpoints(sorted);
+    if (sorted.length !== previous.length || sorted.some((v, i) => v !== previous[i])) {
+      onWordBreakpointsChange?.(sorted);
+    }
+  }
+
+  // After an edit the markers keep their word indices when the words are
+  // unchanged (reformatting), otherwise they move with the word they are on
+  function trackWordBreakpoints() {
+    const model = editorRef.current.getModel();
+    const tokens = tokenizeAsm(model.getValue());
+    const texts = tokenTextsRef.current;
+    if (tokens.length === texts.length && tokens.every((t, i) => t.text === texts[i])) {
+      changeWordBreakpoints(wordBreakpointsRef.current);
+      return;
+    }
+    changeWordBreakpoints(
+      wordDecorationsRef.current
+        .map(id => model.getDecorationRange(id))
+        .filter(r => r && !r.isEmpty())
+        .map(r => tokens.findIndex(t => t.line === r.startLineNumber && t.column <= r.startColumn && r.startColumn < t.endColumn))
+        .filter(i => i >= 0)
+    );
+  }
+
+  // Props and functions of the latest render, for the effects that run only
+  // when the content they are keyed by changes
+  const latestRef = useRef();
+  latestRef.current = { wordBreakpoints, renderBreakpoints, renderLineHints };
+
+  const wordsKey = (wordBreakpoints || []).join(",") + JSON.stringify(wordBreakpointClasses || {});
+  useEffect(() => {
+    const { wordBreakpoints } = latestRef.current;
+    if (wordBreakpoints) renderWordBreakpoints(wordBreakpoints);
+  }, [wordsKey]);
+
   const handleEditorDidMount = (editor, monaco) => {
     if( isDebuggable !== true ) return;
     editorRef.current = editor;
@@ -140,15 +215,35 @@ export const SimpleEditor = ({
       }
     });
 
+    // Shift+F9 or the context menu toggles a breakpoint on the word at the cursor
+    editor.addAction({
+      id: "toggle-word-breakpoint",
+      label: "Toggle Breakpoint on Opcode",
+      keybindings: [monaco.KeyMod.Shift | monaco.KeyCode.F9],
+      contextMenuGroupId: "navigation",
+      run: (ed) => {
+        const position = ed.getPosition();
+        const index = tokenizeAsm(ed.getModel().getValue()).findIndex(t =>
+          t.line === position.lineNumber && t.column <= position.column && position.column <= t.endColumn
+        );
+        if (index < 0) return;
+        const current = wordBreakpointsRef.current;
+        changeWordBreakpoints(current.includes(index) ? current.filter(i => i !== index) : [...current, index]);
+      },
+    });
+
     const model = editorRef.current.getModel();
     const contentListener = model?.onDidChangeContent(() => {
+      // the parent already placed the breakpoints for a value it set
+      if (applyingValueRef.current) return;
       // just recompute lines from decoration ids
       notifyParent();
+      trackWordBreakpoints();
     });
 
     let initialDescriptors = [];
     for( let line of breakpoints ) {
-      initialDescriptors.push(makeBpDescriptor(new monaco.Range(line, 1, line, 1)));
+      initialDescriptors.push(makeBpDescriptor(new monaco.Range(line, 1, line, 1), breakpointClasses?.[line]));
     }
     // Update decorations in the editor and keep new IDs
     breakpointsDecorationsRef.current = editor.deltaDecorations(
@@ -157,35 +252,107 @@ export const SimpleEditor = ({
     );
 
     notifyParent();
+    renderWordBreakpoints(wordBreakpoints || []);
     // updateDebugLine();
   };
 
-  // Parse model into space-separated commands
+  // ---- follow breakpoints changed by the parent (breakpoint list, conditions) ----
+  function renderBreakpoints() {
+    const editor = editorRef.current;
+    const Range = monacoRef.current?.Range;
+    if (!editor?.getModel() || !Range || !breakpoints) return;
+    breakpointsDecorationsRef.current = editor.deltaDecorations(
+      breakpointsDecorationsRef.current,
+      breakpoints.map(line => makeBpDescriptor(new Range(line, 1, line, 1), breakpointClasses?.[line]))
+    );
+  }
+
+  const classesKey = JSON.stringify(breakpointClasses || {});
+  useEffect(() => {
+    latestRef.current.renderBreakpoints();
+  }, [breakpoints, classesKey]);
+
+  // ---- diagnostics (see lintAsm) as model markers ----
+  useEffect(() => {
+    const model = editorRef.current?.getModel();
+    const monaco = monacoRef.current;
+    if (!model || !monaco || !diagnostics) return;
+    const severities = { error: monaco.MarkerSeverity.Error, warning: monaco.MarkerSeverity.Warning, info: monaco.MarkerSeverity.Info };
+    monaco.editor.setModelMarkers(model, "bitcoin-script", diagnostics.map(d => ({
+      severity: severities[d.severity],
+      code: d.code,
+      message: d.message,
+      startLineNumber: d.line,
+      startColumn: d.column,
+      endLineNumber: d.endLine,
+      endColumn: d.endColumn,
+      tags: d.unnecessary ? [monaco.MarkerTag.Unnecessary] : [],
+    })));
+  }, [diagnostics]);
+
+  // ---- inline hints after the end of lines, by line number ----
+  function renderLineHints() {
+    const editor = editorRef.current;
+    const model = editor?.getModel();
+    const Range = monacoRef.current?.Range;
+    if (!model || !Range) return;
+    hintDecorationsRef.current = editor.deltaDecorations(
+      hintDecorationsRef.current,
+      Object.entries(lineHints || {})
+        .filter(([line]) => line <= model.getLineCount())
+        .map(([line, text]) => {
+          const end = model.getLineMaxColumn(Number(line));
+          return {
+            range: new Range(Number(line), end, Number(line), end),
+            options: { after: { content: `  ${text}`, inlineClassName: "lineHint" } },
+          };
+        })
+    );
+  }
+
+  const hintsKey = JSON.stringify(lineHints || {});
+  useEffect(() => {
+    latestRef.current.renderLineHints();
+  }, [hintsKey]);
+
+  // ---- apply a value set by the parent as one undoable edit of the changed part ----
+  useEffect(() => {
+    const editor = editorRef.current;
+    const model = editor?.getModel();
+    const Range = monacoRef.current?.Range;
+    if (!model || !Range || value === undefined) return;
+    const text = model.getValue();
+    if (text === value) return;
+
+    let start = 0;
+    while (start < text.length && start < value.length && text[start] === value[start]) start++;
+    let end = 0;
+    while (end < text.length - start && end < value.length - start && text[text.length - 1 - end] === value[value.length - 1 - end]) end++;
+    const from = model.getPositionAt(start);
+    const to = model.getPositionAt(text.length - end);
+
+    applyingValueRef.current = true;
+    editor.pushUndoStop();
+    editor.executeEdits("parent", [{
+      range: new Range(from.lineNumber, from.column, to.lineNumber, to.column),
+      text: value.slice(start, value.length - end),
+    }]);
+    editor.pushUndoStop();
+    applyingValueRef.current = false;
+
+    latestRef.current.renderBreakpoints();
+    renderWordBreakpoints(latestRef.current.wordBreakpoints || []);
+  }, [value]);
+
+  // Parse model into space-separated commands, skipping comments
   function parseCommands() {
     if (!editorRef.current) return [];
     const model = editorRef.current.getModel();
 
-    let result = [];
-    for (let line = 1; line <= model.getLineCount(); line++) {
-      const text = model.getLineContent(line);
-
-      // Split by spaces, filter out empty tokens
-      let offset = 0;
-      text.split(/\s+/).forEach(word => {
-        if (word) {
-          // find where this word starts
-          let startColumn = text.indexOf(word, offset) + 1;
-          let endColumn = startColumn + word.length;
-          offset = startColumn + word.length;
-
-          result.push({
-            word,
-            range: new monaco.Range(line, startColumn, line, endColumn),
-          });
-        }
-      });
-    }
-    return result;
+    return tokenizeAsm(model.getValue()).map(token => ({
+      word: token.text,
+      range: new monaco.Range(token.line, token.column, token.line, token.endColumn),
+    }));
   }
 
   // Highlight current command
@@ -240,11 +407,14 @@ export const SimpleEditor = ({
 
   return (
     <Editor
-      height="400px"
+      height={height || "400px"}
       theme={theme || "vs-dark"}
       id={id}
       language={language || "plaintext"}
-      value={value}
+      // debuggable editors apply value changes themselves (see above) so
+      // that undo and the breakpoint markers survive them
+      defaultValue={isDebuggable ? value : undefined}
+      value={isDebuggable ? undefined : value}
       onChange={onChange}
       onInput={onInput}
       options={{
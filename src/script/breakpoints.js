@@ -0,0 +1,156 @@
+/**
+ * Breakpoint conditions and watchpoints evaluated on debugger trace entries.
+ *
+ * An operand reads a value from one entry: `depth`, `altdepth`, `pc`, an item
+ * (`top`, `stack[i]` or `altstack[i]`, counted from the top) or a number made
+ * of one (`size(<item>)`, `num(<item>)`). A condition compares operands with
+ * literals, `depth > 3 && top == 00`: numbers for numeric operands, hex (or
+ * `""` for the empty item) for items, which only support `==` and `!=`. `&&`
+ * binds tighter than `||`.
+ */
+
+import { hexToBytes, isHex } from "./codec.js";
+import { decodeScriptNum } from "./scriptnum.js";
+import { SCRIPT_PUBKEY } from "./interpreter.js";
+
+const ITEM = String.raw`top|(?:stack|altstack)\[\d+\]`;
+const OPERAND = new RegExp(String.raw`^(depth|altdepth|pc|${ITEM}|(?:size|num)\((?:${ITEM})\))$`);
+const CLAUSE = /^(.+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/;
+
+const COMPARE = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+// -------------------- Operands --------------------
+// Hex of a stack item counted from the top, undefined when the stack is
+// shorter or the entry has no stack (steps outside a loaded trace window)
+function itemReader(text) {
+  const [, name = "stack", index = "0"] = /^(stack|altstack)\[(\d+)\]$/.exec(text) || [];
+  const depth = Number(index);
+  return (entry) => {
+    const stack = entry[name];
+    if (!stack || depth >= stack.length) return undefined;
+    return String(stack[stack.length - 1 - depth]).toLowerCase();
+  };
+}
+
+// Reader of an operand and whether it is numeric (bigint) or an item (hex)
+function parseOperand(text) {
+  if (!OPERAND.test(text)) throw new Error(`Unknown operand: ${text}`);
+  if (text === "depth" || text === "altdepth") {
+    const name = text === "depth" ? "stack" : "altstack";
+    return { numeric: true, read: (entry) => (entry[name] ? BigInt(entry[name].length) : undefined) };
+  }
+  if (text === "pc") return { numeric: true, read: (entry) => BigInt(entry.pc) };
+  const call = /^(size|num)\((.+)\)$/.exec(text);
+  if (!call) return { numeric: false, read: itemReader(text) };
+  const item = itemReader(call[2]);
+  const toNumber = call[1] === "size" ? (hex) => BigInt(hex.length / 2) : (hex) => decodeScriptNum(hexToBytes(hex));
+  return {
+    numeric: true,
+    read: (entry) => {
+      const hex = item(entry);
+      return hex === undefined ? undefined : toNumber(hex);
+    },
+  };
+}
+
+function parseLiteral(text, numeric) {
+  if (numeric) {
+    if (!/^-?[0-9]+$/.test(text)) throw new Error(`Expected a number, got ${text}`);
+    return BigInt(text);
+  }
+  if (text === '""' || text === "''") return "";
+  const hex = text.replace(/^0x/i, "");
+  if (!isHex(hex) || hex.length % 2) throw new Error(`Expected hex bytes, got ${text}`);
+  return hex.toLowerCase();
+}
+
+function parseClause(text) {
+  const match = CLAUSE.exec(text.trim());
+  if (!match) throw new Error(`Expected <operand> <comparison> <value>, got "${text.trim()}"`);
+  const [, left, op, right] = match;
+  const operand = parseOperand(left.trim());
+  if (!operand.numeric && op !== "==" && op !== "!=") throw new Error(`Stack items only support == and !=`);
+  const literal = parseLiteral(right.trim(), operand.numeric);
+  return (entry) => {
+    const value = operand.read(entry);
+    return value !== undefined && COMPARE[op](value, literal);
+  };
+}
+
+/**
+ * Compile a breakpoint condition. An empty condition is always true; a
+ * condition on values an entry does not have (a missing stack item) is false.
+ * @param {string} text e.g. "depth > 3", "top == 00", "altdepth > 0"
+ * @returns {(entry: object) => boolean}
+ * @throws {Error} on syntax errors
+ */
+export function parseCondition(text) {
+  if (!text || !text.trim()) return () => true;
+  const any = text.split("||").map((part) => part.split("&&").map(parseClause));
+  return (entry) => any.some((all) => all.every((clause) => clause(entry)));
+}
+
+/**
+ * Compile a watch expression: any operand, its value as a string (undefined
+ * when the entry does not have it).
+ * @param {string} text e.g. "top", "stack[2]", "altdepth"
+ * @returns {(entry: object) => string|undefined}
+ * @throws {Error} on unknown operands
+ */
+export function parseWatch(text) {
+  const { read } = parseOperand(text.trim());
+  return (entry) => {
+    const value = read(entry);
+    return value === undefined ? undefined : String(value);
+  };
+}
+
+// -------------------- Stops --------------------
+/**
+ * Trace indices where running to a breakpoint stops, ascending.
+ *
+ * A breakpoint `{pc, condition, hitCount, enabled}` of a script is hit at the
+ * steps about to execute the opcode at `pc` whose entry satisfies the
+ * condition; it stops from its `hitCount`-th hit on. A watch `{expression,
+ * enabled}` stops at every step where its value differs from the previous
+ * step's. Disabled ones are ignored.
+ * @param {object[]} trace
+ * @param {object} breakpoints script name -> breakpoints
+ * @param {object[]} [watches]
+ * @returns {number[]}
+ * @throws {Error} on invalid conditions or watch expressions
+ */
+export function breakIndices(trace, breakpoints, watches = []) {
+  const active = {};
+  for (const [script, list] of Object.entries(breakpoints)) {
+    active[script] = list
+      .filter((bp) => bp.enabled !== false && bp.pc !== undefined)
+      .map((bp) => ({ pc: Number(bp.pc), test: parseCondition(bp.condition), hitCount: Math.max(Number(bp.hitCount) || 1, 1), hits: 0 }));
+  }
+  const readers = watches.filter((w) => w.enabled !== false && w.expression.trim()).map((w) => parseWatch(w.expression));
+
+  const indices = [];
+  trace.forEach((entry, i) => {
+    const pc = Number(entry.pc);
+    let stop = false;
+    for (const bp of active[entry.script || SCRIPT_PUBKEY] || []) {
+      if (bp.pc === pc && bp.test(entry) && ++bp.hits >= bp.hitCount) stop = true;
+    }
+    if (i > 0) {
+      for (const read of readers) {
+        const before = read(trace[i - 1]);
+        const after = read(entry);
+        if (before !== undefined && after !== undefined && before !== after) stop = true;
+      }
+    }
+    if (stop) indices.push(i);
+  });
+  return indices;
+}
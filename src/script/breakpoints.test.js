@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { asmToBytes } from "./codec.js";
+import { runScript } from "./interpreter.js";
+import { parseCondition, parseWatch, breakIndices } from "./breakpoints.js";
+
+const step = (pc, stack, altstack = []) => ({ pc, stack, altstack });
+
+test("conditions compare depths, items and their numbers", () => {
+  const entry = step(3, ["", "00", "81", "0302"], ["01"]);
+  assert.equal(parseCondition("depth > 3")(entry), true);
+  assert.equal(parseCondition("depth > 4")(entry), false);
+  assert.equal(parseCondition("top == 0302")(entry), true);
+  assert.equal(parseCondition("stack[2] == 0x00")(entry), true);
+  assert.equal(parseCondition('stack[3] == ""')(entry), true);
+  assert.equal(parseCondition("num(stack[1]) == -1")(entry), true);
+  assert.equal(parseCondition("size(top) >= 2 && altdepth > 0")(entry), true);
+  assert.equal(parseCondition("altstack[1] == 01 || pc == 3")(entry), true);
+  assert.equal(parseCondition("stack[9] != 00")(entry), false);
+  assert.equal(parseCondition("  ")(entry), true);
+
+  assert.throws(() => parseCondition("top > 00"), /only support == and !=/);
+  assert.throws(() => parseCondition("depth == ab"), /Expected a number/);
+  assert.throws(() => parseCondition("height > 1"), /Unknown operand/);
+  assert.throws(() => parseCondition("depth"), /Expected <operand>/);
+});
+
+test("watches read values and stubs without a stack", () => {
+  assert.equal(parseWatch("top")(step(0, ["01", "AB"])), "ab");
+  assert.equal(parseWatch("depth")(step(0, ["01"])), "1");
+  assert.equal(parseWatch("altstack[0]")(step(0, [])), undefined);
+  assert.equal(parseWatch("depth")({ pc: 0 }), undefined);
+});
+
+test("breakIndices applies conditions, hit counts and watches", () => {
+  // 0:1 1:DUP 2:ADD 3:DUP 4:ADD 5:TOALTSTACK 6:2 7:DUP 8:ADD 9:DROP
+  const { trace } = runScript(asmToBytes("OP_1 OP_DUP OP_ADD OP_DUP OP_ADD OP_TOALTSTACK OP_2 OP_DUP OP_ADD OP_DROP"));
+  const at = (pc) => trace.findIndex((e) => e.pc === pc);
+  const adds = [{ pc: 2 }, { pc: 4 }, { pc: 8 }];
+
+  assert.deepEqual(breakIndices(trace, { scriptPubKey: adds }), [at(2), at(4), at(8)]);
+  assert.deepEqual(breakIndices(trace, { scriptPubKey: adds.map((bp) => ({ ...bp, condition: "top == 02" })) }), [at(4), at(8)]);
+  assert.deepEqual(breakIndices(trace, { scriptPubKey: [{ pc: 2 }, { pc: 4, hitCount: 2 }, { pc: 8, enabled: false }] }), [at(2)]);
+  assert.deepEqual(breakIndices(trace, { redeemScript: adds }), []);
+
+  assert.deepEqual(breakIndices(trace, {}, [{ expression: "altdepth" }]), [at(6)]);
+  assert.deepEqual(breakIndices(trace, {}, [{ expression: "altdepth", enabled: false }]), []);
+  assert.throws(() => breakIndices(trace, { scriptPubKey: [{ pc: 2, condition: "depth >" }] }), /Expected/);
+});
@@ -0,0 +1,551 @@
+/**
+ * Bitcoin Script ASM ⇄ HEX codec.
+ *
+ * Pure JS, no dependencies: importable from the browser bundle and from Node
+ * (backend, scripts, tests). Scripts are handled as Uint8Array; hex strings
+ * are lowercase without separators.
+ */
+
+import { OPC, VAL2NAME, UNKNOWN_OPCODE_RE, unknownOpcodeName } from "./opcodes.js";
+import { encodeScriptNum, decodeScriptNum, isMinimalScriptNum } from "./scriptnum.js";
+
+// -------------------- Helpers --------------------
+/** True if `s` consists of hex digits only (the empty string included). */
+export const isHex = (s) => /^[0-9a-fA-F]*$/.test(s);
+
+/** Strip all whitespace and lowercase a hex string. */
+export const cleanHex = (s) => s.replace(/\s+/g, "").toLowerCase();
+
+/**
+ * Decode a hex string (whitespace allowed) into bytes.
+ * @param {string} hex
+ * @returns {Uint8Array}
+ * @throws {Error} on non-hex characters or odd length
+ */
+export function hexToBytes(hex) {
+  const h = cleanHex(hex);
+  if (!isHex(h)) throw new Error("Invalid hex format");
+  if (h.length % 2 !== 0) throw new Error("Invalid hex: odd length");
+  const out = new Uint8Array(h.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(h.substr(i * 2, 2), 16);
+  if (Number.isNaN(out[out.length - 1])) throw new Error("Invalid hex: non-hex char");
+  return out;
+}
+
+/**
+ * Encode bytes as a lowercase hex string.
+ * @param {ArrayLike<number>} bytes
+ * @returns {string}
+ */
+export function bytesToHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Encode the smallest pushdata prefix for a data buffer of length `len`.
+ * @param {number} len
+ * @returns {Uint8Array}
+ */
+export function pushPrefix(len) {
+  if (len <= 75) return new Uint8Array([len]);
+  if (len <= 0xff) return new Uint8Array([OPC.OP_PUSHDATA1, len]);
+  if (len <= 0xffff) return new Uint8Array([OPC.OP_PUSHDATA2, len & 0xff, (len >>> 8) & 0xff]);
+  return new Uint8Array([
+    OPC.OP_PUSHDATA4,
+    len & 0xff,
+    (len >>> 8) & 0xff,
+    (len >>> 16) & 0xff,
+    (len >>> 24) & 0xff,
+  ]);
+}
+
+/**
+ * Encode a data push with the smallest push prefix and never as OP_N, like
+ * Core's `CScript() << data` (used for P2SH redeem script pushes).
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function pushData(data) {
+  const pref = pushPrefix(data.length);
+  const out = new Uint8Array(pref.length + data.length);
+  out.set(pref);
+  out.set(data, pref.length);
+  return out;
+}
+
+/**
+ * Encode a data push the way MINIMALDATA requires: OP_0 for empty data,
+ * OP_1..OP_16 / OP_1NEGATE for one-byte values they can express, otherwise
+ * the smallest push prefix.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function minimalPush(data) {
+  if (data.length === 0) return new Uint8Array([OPC.OP_0]);
+  if (data.length === 1 && data[0] >= 1 && data[0] <= 16) return new Uint8Array([OPC.OP_1 + data[0] - 1]);
+  if (data.length === 1 && data[0] === 0x81) return new Uint8Array([OPC.OP_1NEGATE]);
+  return pushData(data);
+}
+
+// -------------------- Tokenizer --------------------
+/**
+ * Split ASM into whitespace-separated words, skipping `//` line comments and
+ * C-style block comments. An unterminated block comment runs to the end.
+ *
+ * Each token is `{text, line, column, endColumn, comment}` with 1-based,
+ * end-exclusive columns as used by Monaco ranges.
+ * @param {string} asm
+ * @param {object} [options]
+ * @param {boolean} [options.comments] also return comment tokens (`comment: true`)
+ * @returns {object[]}
+ */
+export function tokenizeAsm(asm, options = {}) {
+  const tokens = [];
+  let line = 1;
+  let column = 1;
+  let cur = null;
+
+  const flush = () => {
+    if (cur) tokens.push({ ...cur, endColumn: cur.column + cur.text.length });
+    cur = null;
+  };
+
+  for (let i = 0; i < asm.length; ) {
+    const c = asm[i];
+    const lineComment = c === "/" && asm[i + 1] === "/";
+    const blockComment = c === "/" && asm[i + 1] === "*";
+
+    if (lineComment || blockComment) {
+      flush();
+      const start = { line, column };
+      let end = lineComment ? asm.indexOf("\n", i) : asm.indexOf("*/", i + 2);
+      if (end < 0) end = asm.length;
+      else if (blockComment) end += 2;
+      const text = asm.slice(i, end);
+      for (const ch of text) {
+        if (ch === "\n") { line++; column = 1; } else column++;
+      }
+      if (options.comments) tokens.push({ text, ...start, endColumn: start.column + text.length, comment: true });
+      i = end;
+      continue;
+    }
+
+    if (/\s/.test(c)) {
+      flush();
+      if (c === "\n") { line++; column = 1; } else column++;
+      i++;
+      continue;
+    }
+
+    if (!cur) cur = { text: "", line, column, comment: false };
+    cur.text += c;
+    column++;
+    i++;
+  }
+  flush();
+
+  return tokens;
+}
+
+const DECIMAL_RE = /^(0|-?[1-9][0-9]*)$/;
+
+// <name> where name is an identifier with at least one non-hex character,
+// so that <dead> stays a data push and <sig> is a placeholder.
+const PLACEHOLDER_RE = /^<([A-Za-z_][A-Za-z0-9_]*)>$/;
+
+function placeholderName(token) {
+  const m = token.match(PLACEHOLDER_RE);
+  return m && !isHex(m[1]) ? m[1] : null;
+}
+
+/**
+ * Names of all `<name>` placeholders in `asm`, in order of first appearance.
+ * @param {string} asm
+ * @returns {string[]}
+ */
+export function listPlaceholders(asm) {
+  const names = tokenizeAsm(asm).map((t) => placeholderName(t.text)).filter(Boolean);
+  return [...new Set(names)];
+}
+
+// ASM token a bound value stands for: decimals stay numbers, hex becomes <hex>.
+function bindingToken(name, value) {
+  const v = String(value).trim();
+  if (DECIMAL_RE.test(v)) return v;
+  const h = cleanHex(v.replace(/^0x/i, ""));
+  if (!isHex(h) || h.length % 2 !== 0) throw new Error(`Invalid value for <${name}>: ${value}`);
+  return `<${h}>`;
+}
+
+const PUSHDATA_WIDTH = { [OPC.OP_PUSHDATA1]: 1, [OPC.OP_PUSHDATA2]: 2, [OPC.OP_PUSHDATA4]: 4 };
+
+// -------------------- ASM → HEX --------------------
+/**
+ * Assemble ASM into script bytes, keeping track of where every word landed.
+ *
+ * Accepted tokens: `OP_*` names (and aliases), `OP_UNKNOWN_0xNN`, signed
+ * decimals (-1..16 as opcodes, anything else as a minimal CScriptNum push),
+ * `<hex>` pushes and bare hex pushes. A bare token is decimal unless it has a
+ * leading zero or hex letters: `1000` is a number, `0181` is hex data.
+ * `OP_PUSHDATA1|2|4 <hex>` forces that exact push opcode, which is how
+ * non-minimal pushes are written. `<name>` placeholders are replaced with
+ * their value from `options.bindings` (hex or decimal).
+ *
+ * @param {string} asm
+ * @param {object} [options]
+ * @param {boolean} [options.minimal] encode pushes per MINIMALDATA and reject
+ *   explicit non-minimal `OP_PUSHDATAn <hex>` pushes
+ * @param {Object<string, string>} [options.bindings] placeholder values
+ * @returns {{bytes: Uint8Array, words: object[]}} `words` are the tokens of
+ *   `tokenizeAsm` plus `pos`, the byte offset of the opcode the word belongs to
+ * @throws {Error} on the first token that cannot be assembled, or listing
+ *   every unbound placeholder by name
+ */
+export function assemble(asm, options = {}) {
+  const tokens = tokenizeAsm(asm);
+
+  const out = [];
+  const words = [];
+  const unbound = new Set();
+  const bindings = options.bindings || {};
+
+  const emit = (bytes) => {
+    for (const b of bytes) out.push(b);
+  };
+
+  const pushData = (dataBytes) => {
+    if (options.minimal) {
+      emit(minimalPush(dataBytes));
+      return;
+    }
+    emit(pushPrefix(dataBytes.length));
+    emit(dataBytes);
+  };
+
+  for (let k = 0; k < tokens.length; k++) {
+    let t = tokens[k].text;
+    words.push({ ...tokens[k], pos: out.length });
+
+    // <name> placeholder -- assemble its bound value instead
+    const name = placeholderName(t);
+    if (name) {
+      const value = bindings[name];
+      if (value === undefined || String(value).trim() === "") { unbound.add(name); continue; }
+      t = bindingToken(name, value);
+    }
+
+    // <hex> form
+    const m = t.match(/^<([0-9a-fA-F]*)>$/);
+    if (m) {
+      const h = m[1];
+      if (!isHex(h) || h.length % 2 !== 0) throw new Error(`Invalid hex data: ${t}`);
+      pushData(hexToBytes(h));
+      continue;
+    }
+
+    // Small integers -1, 0..16
+    if (t === "-1") { out.push(OPC.OP_1NEGATE); continue; }
+    if (/^(0|1[0-6]?|[1-9])$/.test(t)) {
+      const n = Number(t);
+      if (n === 0) { out.push(OPC.OP_0); continue; }
+      if (n >= 1 && n <= 16) { out.push(OPC.OP_1 + (n - 1)); continue; }
+    }
+
+    // Any other decimal -- CScriptNum push
+    if (DECIMAL_RE.test(t)) {
+      pushData(encodeScriptNum(t));
+      continue;
+    }
+
+    // OP_UNKNOWN_0xNN -- raw opcode byte
+    const u = t.match(UNKNOWN_OPCODE_RE);
+    if (u) { out.push(parseInt(u[1], 16)); continue; }
+
+    // OP_* names
+    if (/^OP_[A-Z0-9_]+$/.test(t)) {
+      const code = OPC[t];
+      if (typeof code !== "number") throw new Error(`Unknown opcode: ${t}`);
+
+      // OP_PUSHDATAn <hex> -- explicit push encoding
+      const width = PUSHDATA_WIDTH[code];
+      const next = tokens[k + 1]?.text.match(/^<([0-9a-fA-F]*)>$/);
+      if (width && next) {
+        if (next[1].length % 2 !== 0) throw new Error(`Invalid hex data: ${tokens[k + 1].text}`);
+        const data = hexToBytes(next[1]);
+        if (data.length >= 2 ** (8 * width)) throw new Error(`Data too long for ${t}: ${data.length} bytes`);
+        if (options.minimal && pushPrefix(data.length)[0] !== code) throw new Error(`Non-minimal push: ${t} <${next[1]}>`);
+        words.push({ ...tokens[++k], pos: words[words.length - 1].pos });
+        out.push(code);
+        for (let b = 0; b < width; b++) out.push(Math.floor(data.length / 2 ** (8 * b)) & 0xff);
+        emit(data);
+        continue;
+      }
+
+      out.push(code);
+      continue;
+    }
+
+    // Bare hex treated as data push
+    if (isHex(t)) {
+      if (t.length % 2 !== 0) throw new Error(`Odd-length hex: ${t}`);
+      pushData(hexToBytes(t));
+      continue;
+    }
+
+    throw new Error(`Unrecognized token: ${t}`);
+  }
+
+  if (unbound.size) throw new Error(`Unbound placeholder${unbound.size > 1 ? "s" : ""}: ${[...unbound].join(", ")}`);
+
+  return { bytes: new Uint8Array(out), words };
+}
+
+/**
+ * Assemble ASM into script bytes. See `assemble` for syntax and options.
+ * @param {string} asm
+ * @param {object} [options]
+ * @returns {Uint8Array}
+ */
+export function asmToBytes(asm, options) {
+  return assemble(asm, options).bytes;
+}
+
+/**
+ * Assemble ASM into a hex string. See `assemble` for syntax and options.
+ * @param {string} asm
+ * @param {object} [options]
+ * @returns {string}
+ */
+export function asmToHex(asm, options) {
+  return bytesToHex(asmToBytes(asm, options));
+}
+
+/**
+ * Assemble push-only ASM into the stack items it pushes, bottom first (for
+ * witness stacks). OP_1NEGATE and OP_1..OP_16 give their number.
+ * @param {string} asm
+ * @param {object} [options] see `assemble`
+ * @returns {Uint8Array[]}
+ * @throws {Error} on opcodes other than pushes
+ */
+export function asmToStack(asm, options) {
+  return decodeScript(asmToBytes(asm, options)).map((op) => {
+    if (op.data) return op.data;
+    if (op.opcode === OPC.OP_1NEGATE) return encodeScriptNum(-1);
+    if (op.opcode >= OPC.OP_1 && op.opcode <= OPC.OP_16) return encodeScriptNum(op.opcode - (OPC.OP_1 - 1));
+    throw new Error(`Only pushes are allowed in a stack: ${VAL2NAME.get(op.opcode) ?? unknownOpcodeName(op.opcode)}`);
+  });
+}
+
+// -------------------- HEX → ASM --------------------
+/**
+ * Read the operation starting at byte `pos`.
+ *
+ * Returns `{pos, opcode, data, size, nonMinimal}`: `data` is the pushed
+ * Uint8Array for push opcodes (0x00..0x4e) and null otherwise, `size` is the
+ * encoded length in bytes and `nonMinimal` flags pushes that violate
+ * MINIMALDATA.
+ * @param {Uint8Array} bytes
+ * @param {number} pos
+ * @returns {object}
+ * @throws {Error} if a push runs past the end of the script
+ */
+export function readOp(bytes, pos) {
+  let i = pos;
+  const readLE = (n) => {
+    let v = 0;
+    for (let k = 0; k < n; k++) v += bytes[i + k] * 2 ** (8 * k);
+    i += n;
+    return v;
+  };
+
+  const op = bytes[i++];
+  let data = null;
+
+  if (op >= 0x01 && op <= 0x4b) {
+    const len = op;
+    data = bytes.slice(i, i + len);
+    if (data.length !== len) throw new Error("PUSHDATA truncated");
+    i += len;
+  } else if (PUSHDATA_WIDTH[op]) {
+    const name = VAL2NAME.get(op);
+    if (i + PUSHDATA_WIDTH[op] > bytes.length) throw new Error(`${name.slice(3)} truncated`);
+    const len = readLE(PUSHDATA_WIDTH[op]);
+    data = bytes.slice(i, i + len);
+    if (data.length !== len) throw new Error(`${name.slice(3)} truncated`);
+    i += len;
+  } else if (op === OPC.OP_0) {
+    data = new Uint8Array(0);
+  }
+
+  const nonMinimal = data !== null && minimalPush(data)[0] !== op;
+  return { pos, opcode: op, data, size: i - pos, nonMinimal };
+}
+
+/**
+ * Split script bytes into operations (see `readOp`).
+ * @param {Uint8Array} bytes
+ * @returns {object[]}
+ * @throws {Error} if a push runs past the end of the script
+ */
+export function decodeScript(bytes) {
+  const ops = [];
+  for (let i = 0; i < bytes.length; i += ops[ops.length - 1].size) ops.push(readOp(bytes, i));
+  return ops;
+}
+
+/**
+ * List the pushes in `bytes` that violate MINIMALDATA.
+ * @param {Uint8Array} bytes
+ * @returns {{pos: number, message: string}[]}
+ */
+export function nonMinimalPushes(bytes) {
+  return decodeScript(bytes)
+    .filter((op) => op.nonMinimal)
+    .map((op) => {
+      const expected = minimalPush(op.data)[0];
+      const name = op.opcode <= 0x4b ? `direct push of ${op.data.length} bytes` : VAL2NAME.get(op.opcode);
+      const better = expected <= 0x4b ? `direct push` : VAL2NAME.get(expected);
+      return { pos: op.pos, message: `Non-minimal push at byte ${op.pos}: ${name}, expected ${better}` };
+    });
+}
+
+// Decimal rendering of a push, or null if the decimal would not assemble
+// back to the same bytes.
+function pushAsDecimal(op, data) {
+  if (op !== data.length || data.length > 4 || !isMinimalScriptNum(data)) return null;
+  const n = decodeScriptNum(data);
+  if (n >= -1n && n <= 16n) return null; // those would assemble to OP_N
+  return n.toString();
+}
+
+/**
+ * Disassemble script bytes into formatted ASM (see `normalizeAsm`).
+ *
+ * The output assembles back to exactly the same bytes: pushes using a larger
+ * PUSHDATA opcode than needed are written as `OP_PUSHDATAn <hex>`. Bytes
+ * without an assigned opcode come out as `OP_UNKNOWN_0xNN`.
+ * @param {Uint8Array} bytes
+ * @param {object} [options]
+ * @param {boolean} [options.decimals] show minimal number pushes of up to
+ *   4 bytes as decimals instead of `<hex>`
+ * @returns {string}
+ * @throws {Error} if a push runs past the end of the script
+ */
+export function bytesToAsm(bytes, options = {}) {
+  const out = [];
+
+  for (const { opcode: op, data } of decodeScript(bytes)) {
+    if (data !== null && op !== OPC.OP_0) {
+      const decimal = options.decimals ? pushAsDecimal(op, data) : null;
+      if (decimal !== null) { out.push(decimal); continue; }
+      const hex = `<${bytesToHex(data)}>`;
+      out.push(pushPrefix(data.length)[0] === op ? hex : `${VAL2NAME.get(op)} ${hex}`);
+      continue;
+    }
+
+    // Small ints
+    if (op === OPC.OP_0) { out.push("0"); continue; }
+    if (op === OPC.OP_1NEGATE) { out.push("-1"); continue; }
+    if (op >= OPC.OP_1 && op <= OPC.OP_16) { out.push(String(op - OPC.OP_1 + 1)); continue; }
+
+    out.push(VAL2NAME.get(op) ?? unknownOpcodeName(op));
+  }
+
+  return normalizeAsm(out.join(" ") );
+}
+
+/**
+ * Disassemble a hex string into formatted ASM.
+ * @param {string} hex
+ * @param {object} [options] see `bytesToAsm`
+ * @returns {string}
+ */
+export function hexToAsm(hex, options) {
+  const bytes = hexToBytes(cleanHex(hex));
+  if (bytes.length === 0) return "";
+  return bytesToAsm(bytes, options);
+}
+
+// -------------------- Formatting --------------------
+/**
+ * Put every operation on its own line, indenting OP_IF/OP_NOTIF/OP_ELSE bodies
+ * with tabs. Comments are kept: one that followed a word on the same line
+ * stays at the end of that word's line, any other gets a line of its own.
+ * @param {string} s
+ * @returns {string}
+ */
+export function normalizeAsm(s) {
+  let indent = "\t"
+  let depth = 0;
+  let words = tokenizeAsm(s, { comments: true });
+  let lines = [];
+  let prevLine = 0;
+  for (let i = 0; i < words.length; i++) {
+    let w = words[i].text;
+    if( words[i].comment ) {
+      if( words[i].line === prevLine && lines.length ) lines[lines.length - 1] += " " + w;
+      else lines.push(indent.repeat(depth) + w);
+      continue;
+    }
+    if( w === "OP_ENDIF" || w === "OP_ELSE" ) depth = Math.max(0, depth - 1);
+    // keep an explicit OP_PUSHDATAn on the same line as its data
+    if( /^OP_PUSHDATA[124]$/.test(w) && words[i + 1]?.text.startsWith("<") ) w += " " + words[++i].text;
+    lines.push(indent.repeat(depth) + w);
+    prevLine = words[i].line;
+    if( w === "OP_IF" || w === "OP_NOTIF" || w == "OP_ELSE" ) depth++;
+  }
+  return lines.map((l) => l + "\n").join("");
+}
+
+// -------------------- ASM->PY --------------------------
+/**
+ * Render ASM as a Python list literal (python-bitcoinlib CScript style).
+ * @param {string} raw_asm
+ * @param {object} [options] assembler options, see `assemble`
+ * @returns {string}
+ */
+export function asmToPy(raw_asm, options) {
+  const bytes = asmToBytes(raw_asm, options);
+  const asm = bytesToAsm(bytes);
+  let result = "[";
+  let terms = asm.trim().split(/\s+/g);
+  for (let i = 0; i < terms.length; i++) {
+    const term = terms[i].trim();
+    if (term.startsWith("<") && term.endsWith(">")) {
+      // Hex data
+      const hex = term.slice(1, -1);
+      terms[i] = `0x${hex}`;
+    }
+  }
+  result += terms.join(", ");
+  result += "]";
+  return result;
+}
+
+// -------------------- Hex->CPP -------------------------
+/**
+ * Render hex as a C++ brace initializer of bytes.
+ * @param {string} hex
+ * @returns {string}
+ */
+export function hexToCpp(hex) {
+  const bytes = hexToBytes(cleanHex(hex));
+  if (bytes.length === 0) return "";
+  return bytesToCpp(bytes);
+}
+
+/**
+ * Render bytes as a C++ brace initializer.
+ * @param {ArrayLike<number>} bytes
+ * @returns {string}
+ */
+export function bytesToCpp(bytes) {
+  let result = "{";
+  for (let i = 0; i < bytes.length; i++) {
+    if( i > 0) result += ", ";
+    result += `0x${bytes[i].toString(16).padStart(2, "0")}`;
+  }
+  result += "}";
+  return result;
+}
@@ -0,0 +1,253 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  OPC,
+  OPCODE_TABLE,
+  cleanHex,
+  hexToBytes,
+  bytesToHex,
+  pushPrefix,
+  assemble,
+  asmToHex,
+  asmToStack,
+  hexToAsm,
+  nonMinimalPushes,
+  listPlaceholders,
+  tokenizeAsm,
+  bytesToAsm,
+  normalizeAsm,
+  asmToPy,
+  hexToCpp,
+} from "./index.js";
+
+const SAMPLES = {
+  "P2PKH (legacy)": {
+    asm: "OP_DUP OP_HASH160 <00112233445566778899aabbccddeeff00112233> OP_EQUALVERIFY OP_CHECKSIG",
+    hex: "76a91400112233445566778899aabbccddeeff0011223388ac",
+  },
+  "P2SH (redeem-hash)": {
+    asm: "OP_HASH160 <16b000aabbccddeeff00112233445566778899aa> OP_EQUAL",
+    hex: "a91416b000aabbccddeeff00112233445566778899aa87",
+  },
+  "P2WPKH (v0)": {
+    asm: "0 <00112233445566778899aabbccddeeff00112233>",
+    hex: "001400112233445566778899aabbccddeeff00112233",
+  },
+};
+
+const mkhex = (n) => bytesToHex(new Uint8Array(n).fill(0xab));
+
+// asm -> hex -> asm and hex -> asm -> hex must agree
+function assertRoundTrip(asm, hex) {
+  hex = hex ?? asmToHex(asm);
+  asm = asm ?? hexToAsm(hex);
+  assert.equal(normalizeAsm(hexToAsm(hex)), normalizeAsm(normalizeAsm(asm)));
+  assert.equal(cleanHex(asmToHex(asm)), cleanHex(hex));
+}
+
+for (const [name, { asm, hex }] of Object.entries(SAMPLES)) {
+  test(`sample ${name} round-trips`, () => {
+    assert.equal(asmToHex(asm), hex);
+    assertRoundTrip(asm, hex);
+  });
+}
+
+test("push prefixes at the size boundaries", () => {
+  const cases = [
+    [75, "4b"],
+    [76, "4c4c"],
+    [255, "4cff"],
+    [256, "4d0001"],
+    [65535, "4dffff"],
+    [65536, "4e00000100"],
+  ];
+  for (const [len, prefix] of cases) {
+    assert.equal(bytesToHex(pushPrefix(len)), prefix, `len ${len}`);
+    const hex = asmToHex(`<${mkhex(len)}>`);
+    assert.equal(hex.slice(0, prefix.length), prefix, `len ${len}`);
+    assert.equal(hex.length, prefix.length + 2 * len, `len ${len}`);
+    assertRoundTrip(`<${mkhex(len)}>`);
+  }
+});
+
+test("small integers", () => {
+  assert.equal(asmToHex("0 1 2 15 16 -1"), "0051525f604f");
+  assertRoundTrip("0 1 2 15 16 -1");
+});
+
+test("OP_RETURN with data", () => {
+  assert.equal(asmToHex("OP_RETURN <01020304>"), "6a0401020304");
+  assertRoundTrip("OP_RETURN <01020304>");
+});
+
+test("aliases assemble to their canonical opcode", () => {
+  assert.equal(asmToHex("OP_TRUE OP_FALSE OP_NOP2 OP_NOP3"), "5100b1b2");
+  assert.equal(hexToAsm("b1b2"), "OP_CHECKLOCKTIMEVERIFY\nOP_CHECKSEQUENCEVERIFY\n");
+});
+
+test("every byte value round-trips as an opcode", () => {
+  for (let op = 0; op <= 0xff; op++) {
+    // skip the push opcodes, they need a payload
+    if (op >= 0x01 && op <= 0x4e) continue;
+    const hex = bytesToHex([op]);
+    assert.equal(asmToHex(hexToAsm(hex)), hex, `opcode 0x${hex}`);
+  }
+});
+
+test("unassigned bytes disassemble as OP_UNKNOWN_0xNN", () => {
+  assert.equal(hexToAsm("bbff"), "OP_UNKNOWN_0xbb\nOP_UNKNOWN_0xff\n");
+  assert.equal(asmToHex("OP_UNKNOWN_0xBB"), "bb");
+});
+
+test("opcode table has unique codes and statuses", () => {
+  const codes = new Set();
+  for (const op of OPCODE_TABLE) {
+    assert.ok(!codes.has(op.code), op.name);
+    codes.add(op.code);
+    assert.ok(["enabled", "disabled", "reserved"].includes(op.status), op.name);
+    assert.equal(OPC[op.name], op.code);
+  }
+  assert.equal(OPC.OP_CHECKSIGADD, 0xba);
+});
+
+test("invalid input is rejected", () => {
+  assert.throws(() => asmToHex("OP_FOO"), /Unknown opcode: OP_FOO/);
+  assert.throws(() => asmToHex("<abc>"), /Invalid hex data/);
+  assert.throws(() => asmToHex("abc"), /Odd-length hex/);
+  assert.throws(() => hexToBytes("zz"), /Invalid hex format/);
+  assert.throws(() => hexToAsm("4c05ab"), /PUSHDATA1 truncated/);
+});
+
+test("python and C++ renderings", () => {
+  assert.equal(asmToPy("OP_DUP <abcd> 1"), "[OP_DUP, 0xabcd, 1]");
+  assert.equal(hexToCpp("76ab"), "{0x76, 0xab}");
+  assert.equal(hexToCpp(""), "");
+});
+
+test("unbalanced conditionals still format", () => {
+  assert.equal(normalizeAsm("OP_ENDIF OP_DUP"), "OP_ENDIF\nOP_DUP\n");
+});
+
+test("bytesToAsm accepts a Uint8Array", () => {
+  assert.equal(bytesToAsm(new Uint8Array([0x76])), "OP_DUP\n");
+});
+
+test("minimal mode uses small-integer opcodes for one-byte pushes", () => {
+  assert.equal(asmToHex("<> <01> <10> <81> <11>"), "000101011001810111");
+  assert.equal(asmToHex("<> <01> <10> <81> <11>", { minimal: true }), "0051604f0111");
+});
+
+test("non-minimal PUSHDATA encodings are kept exact", () => {
+  for (const hex of ["4c01ab", "4c00", "4d0100ab", "4e01000000ab", `4d4c00${mkhex(76)}`]) {
+    const asm = hexToAsm(hex);
+    assert.match(asm, /^OP_PUSHDATA[124] </);
+    assert.equal(asmToHex(asm), hex);
+  }
+  assert.equal(hexToAsm("4c01ab"), "OP_PUSHDATA1 <ab>\n");
+});
+
+test("explicit non-minimal pushes are rejected in minimal mode", () => {
+  assert.throws(() => asmToHex("OP_PUSHDATA1 <ab>", { minimal: true }), /Non-minimal push/);
+  assert.equal(asmToHex(`OP_PUSHDATA1 <${mkhex(76)}>`, { minimal: true }), `4c4c${mkhex(76)}`);
+});
+
+test("non-minimal pushes are reported", () => {
+  const warnings = nonMinimalPushes(hexToBytes("76010501814c01ab"));
+  assert.deepEqual(warnings.map((w) => w.pos), [1, 3, 5]);
+  assert.match(warnings[2].message, /OP_PUSHDATA1, expected direct push/);
+  assert.deepEqual(nonMinimalPushes(hexToBytes("0051024000")), []);
+});
+
+test("word positions point at the opcode they belong to", () => {
+  const { words } = assemble("OP_DUP OP_PUSHDATA1 <ab> <cdef> OP_EQUAL");
+  assert.deepEqual(words.map((w) => w.pos), [0, 1, 1, 4, 7]);
+});
+
+test("hex -> asm -> hex is byte-identical", () => {
+  // xorshift32, fixed seed so failures reproduce
+  let x = 0x2545f491;
+  const rnd = () => {
+    x ^= x << 13; x ^= x >>> 17; x ^= x << 5;
+    return (x >>> 0) & 0xff;
+  };
+  let checked = 0;
+  for (let n = 0; n < 2000; n++) {
+    const bytes = Uint8Array.from({ length: 1 + (rnd() % 40) }, rnd);
+    let asm;
+    try {
+      asm = bytesToAsm(bytes);
+    } catch {
+      continue; // truncated push
+    }
+    assert.equal(asmToHex(asm), bytesToHex(bytes), asm);
+    checked++;
+  }
+  assert.ok(checked > 100);
+});
+
+test("decimal literals assemble to minimal CScriptNum pushes", () => {
+  assert.equal(asmToHex("1000 -129 2147483647 17 -2"), "02e80302818004ffffff7f01110182");
+  assert.equal(asmToHex("0181 00"), "0201810100"); // leading zero: still hex
+  assert.throws(() => asmToHex("-0"), /Unrecognized token/);
+});
+
+test("decimals option shows small number pushes as decimals", () => {
+  const hex = asmToHex("1000 -129 2147483647 17 <0100> <0000008000> <05>");
+  const asm = hexToAsm(hex, { decimals: true });
+  assert.equal(asm, "1000\n-129\n2147483647\n17\n<0100>\n<0000008000>\n<05>\n");
+  assert.equal(asmToHex(asm), hex);
+  assert.equal(hexToAsm("02e803"), "<e803>\n");
+});
+
+test("placeholders are listed in order of appearance", () => {
+  const asm = "<sig> <pubKey> OP_DUP OP_HASH160 <pubKeyHash> OP_EQUALVERIFY OP_CHECKSIG <sig> <dead>";
+  assert.deepEqual(listPlaceholders(asm), ["sig", "pubKey", "pubKeyHash"]);
+});
+
+test("placeholders assemble to their bound values", () => {
+  const asm = "<sig> OP_DROP <n> <h> OP_EQUAL";
+  const bindings = { sig: "3045ff", n: "1000", h: "0xAB CD" };
+  assert.equal(asmToHex(asm, { bindings }), "033045ff7502e80302abcd87");
+  assert.equal(asmToHex("<n>", { bindings: { n: "5" } }), "55");
+  assert.throws(() => asmToHex("<n>", { bindings: { n: "xyz" } }), /Invalid value for <n>: xyz/);
+});
+
+test("unbound placeholders are reported by name", () => {
+  assert.throws(() => asmToHex("<sig> <pubKey> <sig>", { bindings: { pubKey: "" } }), /^Error: Unbound placeholders: sig, pubKey$/);
+  assert.throws(() => asmToHex("<sig>"), /^Error: Unbound placeholder: sig$/);
+});
+
+test("comments are ignored by the assembler", () => {
+  const asm = `OP_DUP // duplicate
+/* hash it
+   twice? no, once */ OP_HASH160 <00112233445566778899aabbccddeeff00112233>/*pkh*/OP_EQUALVERIFY
+OP_CHECKSIG // done`;
+  assert.equal(asmToHex(asm), SAMPLES["P2PKH (legacy)"].hex);
+  assert.equal(asmToHex("OP_DUP /* unterminated OP_DROP"), "76");
+});
+
+test("tokens carry line and column positions", () => {
+  const tokens = tokenizeAsm("// head\n\tOP_DUP /* x */ <ab>\nOP_DROP//tail");
+  assert.deepEqual(
+    tokens.map(({ text, line, column, endColumn }) => [text, line, column, endColumn]),
+    [["OP_DUP", 2, 2, 8], ["<ab>", 2, 17, 21], ["OP_DROP", 3, 1, 8]],
+  );
+  assert.equal(tokenizeAsm("a // b", { comments: true })[1].text, "// b");
+});
+
+test("word positions skip comments", () => {
+  const { words } = assemble("OP_1 // one\n/* two */ <abcd> OP_ADD");
+  assert.deepEqual(words.map((w) => [w.text, w.pos, w.line]), [["OP_1", 0, 1], ["<abcd>", 1, 2], ["OP_ADD", 4, 2]]);
+});
+
+test("normalizeAsm keeps comments", () => {
+  const asm = "OP_IF // taken\n/* note */ OP_DUP OP_ELSE OP_DROP OP_ENDIF";
+  assert.equal(normalizeAsm(asm), "OP_IF // taken\n\t/* note */\n\tOP_DUP\nOP_ELSE\n\tOP_DROP\nOP_ENDIF\n");
+  assert.equal(asmToHex(normalizeAsm(asm)), asmToHex(asm));
+});
+
+test("asmToStack returns pushed items", () => {
+  assert.deepEqual(asmToStack("0 1 -1 16 <abcd>").map(bytesToHex), ["", "01", "81", "10", "abcd"]);
+  assert.throws(() => asmToStack("1 OP_DUP"), /Only pushes/);
+});
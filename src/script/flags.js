@@ -0,0 +1,57 @@
+/**
+ * Script verification flags and signature versions, named as in Bitcoin
+ * Core's SCRIPT_VERIFY_* constants without the prefix (the spelling used by
+ * script_tests.json and passed to bitcoin-debugger).
+ */
+
+export const SCRIPT_FLAGS = [
+  { name: "P2SH", description: "Evaluate P2SH redeem scripts (BIP16)" },
+  { name: "STRICTENC", description: "Strict signature and public key encoding" },
+  { name: "DERSIG", description: "Strict DER signatures (BIP66)" },
+  { name: "LOW_S", description: "Signature S values must be low" },
+  { name: "NULLDUMMY", description: "CHECKMULTISIG dummy element must be empty (BIP147)" },
+  { name: "SIGPUSHONLY", description: "scriptSig must be push-only" },
+  { name: "MINIMALDATA", description: "Pushes and numbers must be minimally encoded" },
+  { name: "DISCOURAGE_UPGRADABLE_NOPS", description: "Fail on OP_NOP1, OP_NOP4..OP_NOP10" },
+  { name: "CLEANSTACK", description: "Exactly one element left after evaluation" },
+  { name: "CHECKLOCKTIMEVERIFY", description: "Enforce OP_CHECKLOCKTIMEVERIFY (BIP65)" },
+  { name: "CHECKSEQUENCEVERIFY", description: "Enforce OP_CHECKSEQUENCEVERIFY (BIP112)" },
+  { name: "WITNESS", description: "Evaluate segwit programs (BIP141)" },
+  { name: "DISCOURAGE_UPGRADABLE_WITNESS_PROGRAM", description: "Fail on unknown witness versions" },
+  { name: "MINIMALIF", description: "OP_IF/NOTIF argument must be empty or 0x01 in segwit v0" },
+  { name: "NULLFAIL", description: "Failed signature checks require empty signatures" },
+  { name: "WITNESS_PUBKEYTYPE", description: "Only compressed public keys in segwit v0" },
+  { name: "CONST_SCRIPTCODE", description: "Fail on OP_CODESEPARATOR and signature FindAndDelete in legacy scripts" },
+  { name: "TAPROOT", description: "Evaluate taproot and tapscript (BIP341/342)" },
+  { name: "DISCOURAGE_UPGRADABLE_TAPROOT_VERSION", description: "Fail on unknown tapleaf versions" },
+  { name: "DISCOURAGE_OP_SUCCESS", description: "Fail on OP_SUCCESSx in tapscript" },
+  { name: "DISCOURAGE_UPGRADABLE_PUBKEYTYPE", description: "Fail on unknown tapscript public key types" },
+];
+
+export const SCRIPT_FLAG_NAMES = SCRIPT_FLAGS.map((f) => f.name);
+
+// Signature versions: the script context the interpreter evaluates in.
+export const SIGVERSION = {
+  BASE: "base", // legacy scriptSig/scriptPubKey and P2SH redeem scripts
+  WITNESS_V0: "witness_v0", // P2WSH witness scripts (BIP143 sighash)
+  TAPSCRIPT: "tapscript", // taproot script path (BIP341 sighash, BIP342 rules)
+};
+
+/**
+ * Parse a flag list given as "P2SH,STRICTENC" (script_tests.json style) or as
+ * an array of names. "NONE" and empty entries are ignored.
+ * @param {string|string[]|Set<string>} flags
+ * @returns {Set<string>}
+ * @throws {Error} on unknown flag names
+ */
+export function parseFlags(flags) {
+  const list = typeof flags === "string" ? flags.split(",") : [...(flags || [])];
+  const out = new Set();
+  for (const raw of list) {
+    const name = raw.trim().toUpperCase();
+    if (!name || name === "NONE") continue;
+    if (!SCRIPT_FLAG_NAMES.includes(name)) throw new Error(`Unknown script flag: ${raw}`);
+    out.add(name);
+  }
+  return out;
+}
@@ -0,0 +1,28 @@
+/**
+ * Bitcoin Script library: opcode tables, CScriptNum, the ASM ⇄ HEX codec,
+ * static checks and stack-depth analysis, the script interpreter, the
+ * transaction context it verifies against, debugger jobs, breakpoint
+ * conditions, stack item decoding, the HEX → ASM sync, debug sessions, the
+ * script workspace and templates, and Core's script_tests.json vectors.
+ *
+ *   import { asmToHex, hexToAsm } from "./script/index.js";
+ */
+
+export * from "./opcodes.js";
+export * from "./scriptnum.js";
+export * from "./codec.js";
+export * from "./lint.js";
+export * from "./stackdepth.js";
+export * from "./errors.js";
+export * from "./flags.js";
+export * from "./transaction.js";
+export * from "./interpreter.js";
+export * from "./trace.js";
+export * from "./breakpoints.js";
+export * from "./inspect.js";
+export * from "./job.js";
+export * from "./vectors.js";
+export * from "./sync.js";
+export * from "./session.js";
+export * from "./templates.js";
+export * from "./workspace.js";
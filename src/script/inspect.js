@@ -0,0 +1,79 @@
+/**
+ * Stack items as the stack inspector shows them: every reading of an item's
+ * bytes (script number, truthiness, text, a guess at what it is) and the
+ * changes between the stacks of two steps.
+ */
+
+import { hexToBytes } from "./codec.js";
+import { decodeScriptNum } from "./scriptnum.js";
+import { castToBool, isValidSignatureEncoding } from "./interpreter.js";
+
+const SIGHASH_TYPES = [0x01, 0x02, 0x03, 0x81, 0x82, 0x83];
+const utf8 = new TextDecoder("utf-8", { fatal: true });
+
+/**
+ * Guess what a stack item is from its size and encoding.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function guessItemType(bytes) {
+  const size = bytes.length;
+  if (size === 0) return "empty";
+  if (size === 33 && (bytes[0] === 0x02 || bytes[0] === 0x03)) return "compressed pubkey";
+  if (size === 65 && bytes[0] === 0x04) return "uncompressed pubkey";
+  if (isValidSignatureEncoding(bytes)) return "DER signature";
+  if (size === 64) return "Schnorr signature";
+  if (size === 65 && SIGHASH_TYPES.includes(bytes[64])) return "Schnorr signature + sighash";
+  if (size === 32) return "32-byte hash / x-only pubkey";
+  if (size === 20) return "20-byte hash";
+  if (size <= 4) return "number";
+  return "data";
+}
+
+// UTF-8 text without control characters, null otherwise
+function itemText(bytes) {
+  try {
+    const text = utf8.decode(bytes);
+    return /^[^\p{C}]+$/u.test(text) ? text : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode a stack item.
+ *
+ * `number` is its CScriptNum value when it fits an arithmetic operand (4
+ * bytes), as a decimal string; `text` is set for printable UTF-8.
+ * @param {string} hex
+ * @returns {{hex: string, size: number, number: string|null, bool: boolean, text: string|null, type: string}}
+ */
+export function describeItem(hex) {
+  const bytes = hexToBytes(hex);
+  return {
+    hex: hex.toLowerCase(),
+    size: bytes.length,
+    number: bytes.length <= 4 ? decodeScriptNum(bytes).toString() : null,
+    bool: castToBool(bytes),
+    text: bytes.length ? itemText(bytes) : null,
+    type: guessItemType(bytes),
+  };
+}
+
+/**
+ * Changes from one step's stack to the next, both bottom first as in traces.
+ *
+ * Items are matched by their position from the bottom: `changes[i]` is
+ * "same", "modified" or "pushed" for `after[i]`, and `popped` lists the items
+ * above the new top that are gone (bottom first).
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {{changes: string[], popped: string[]}}
+ */
+export function diffStack(before, after) {
+  const changes = after.map((item, i) => {
+    if (i >= before.length) return "pushed";
+    return item.toLowerCase() === before[i].toLowerCase() ? "same" : "modified";
+  });
+  return { changes, popped: before.slice(after.length) };
+}
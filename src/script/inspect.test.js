@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { describeItem, guessItemType, diffStack } from "./inspect.js";
+import { hexToBytes } from "./codec.js";
+
+const DER_SIG =
+  "3044022057292e2d4dfe775becdd0a9e6547997c728cdf35390f6a017da56d654d374e4902206b643be2fc53763b4e284845bfea2c597d2dc7759941dce937636c9d341b71ed01";
+
+test("describeItem decodes numbers, truthiness and text", () => {
+  assert.deepEqual(describeItem("81"), { hex: "81", size: 1, number: "-1", bool: true, text: null, type: "number" });
+  assert.deepEqual(describeItem(""), { hex: "", size: 0, number: "0", bool: false, text: null, type: "empty" });
+  assert.equal(describeItem("0080").bool, false);
+  assert.equal(describeItem("68656c6c6f").text, "hello");
+  assert.equal(describeItem("68656c6c6f").number, null);
+  assert.equal(describeItem("ff").text, null);
+});
+
+test("guessItemType recognizes keys, signatures and hashes", () => {
+  const type = (hex) => guessItemType(hexToBytes(hex));
+  assert.equal(type("02" + "11".repeat(32)), "compressed pubkey");
+  assert.equal(type("04" + "11".repeat(64)), "uncompressed pubkey");
+  assert.equal(type(DER_SIG), "DER signature");
+  assert.equal(type("22".repeat(64)), "Schnorr signature");
+  assert.equal(type("22".repeat(64) + "83"), "Schnorr signature + sighash");
+  assert.equal(type("33".repeat(32)), "32-byte hash / x-only pubkey");
+  assert.equal(type("44".repeat(20)), "20-byte hash");
+  assert.equal(type("55".repeat(10)), "data");
+});
+
+test("diffStack matches items from the bottom", () => {
+  assert.deepEqual(diffStack(["01", "02", "03"], ["01", "05"]), { changes: ["same", "modified"], popped: ["03"] });
+  assert.deepEqual(diffStack(["01"], ["01", "01"]), { changes: ["same", "pushed"], popped: [] });
+  assert.deepEqual(diffStack([], []), { changes: [], popped: [] });
+});
@@ -0,0 +1,913 @@
+/**
+ * Bitcoin Script interpreter.
+ *
+ * A JavaScript port of Bitcoin Core's EvalScript that produces the same
+ * result shape as the bitcoin-debugger behind `/run-job`, so the debugger can
+ * run in the browser without the backend:
+ *
+ *   { status: "success" | "error", error: string, trace: [{ pc, stack, altstack }] }
+ *
+ * `trace[0]` is the state before the first opcode; each later entry is the
+ * state after one more opcode, with `pc` pointing at the next one. Stack items
+ * are hex strings, bottom first. `verifyScript` runs a whole spend
+ * (scriptSig, scriptPubKey, redeem and witness scripts) into a single trace.
+ *
+ * Signature opcodes, CHECKLOCKTIMEVERIFY and CHECKSEQUENCEVERIFY are delegated
+ * to a checker; `createTxChecker` in transaction.js binds one to a spending
+ * transaction. Without one every signature check fails, as in Core.
+ */
+
+import { sha256 } from "@noble/hashes/sha2";
+import { ripemd160, sha1 } from "@noble/hashes/legacy";
+
+import { OPC, OPCODE_INFO, DISABLED, isOpSuccess } from "./opcodes.js";
+import { bytesToHex, readOp, pushData } from "./codec.js";
+import { encodeScriptNum, decodeScriptNum } from "./scriptnum.js";
+import { scriptError } from "./errors.js";
+import { SIGVERSION, parseFlags } from "./flags.js";
+import {
+  SEQUENCE_LOCKTIME_DISABLE_FLAG,
+  TAPSCRIPT_LEAF_VERSION,
+  TAPROOT_LEAF_MASK,
+  TAPROOT_CONTROL_BASE_SIZE,
+  TAPROOT_CONTROL_NODE_SIZE,
+  TAPROOT_CONTROL_MAX_NODE_COUNT,
+  tapleafHash,
+  tapscriptValidationWeight,
+  verifyTaprootCommitment,
+} from "./transaction.js";
+
+export const MAX_SCRIPT_SIZE = 10000;
+export const MAX_SCRIPT_ELEMENT_SIZE = 520;
+export const MAX_OPS_PER_SCRIPT = 201;
+export const MAX_STACK_SIZE = 1000;
+export const MAX_PUBKEYS_PER_MULTISIG = 20;
+export const VALIDATION_WEIGHT_PER_SIGOP_PASSED = 50;
+
+const TRUE = Uint8Array.of(1);
+const FALSE = new Uint8Array(0);
+
+/**
+ * Script truthiness: any non-zero byte, except for negative zero.
+ * @param {Uint8Array} item
+ * @returns {boolean}
+ */
+export function castToBool(item) {
+  for (let i = 0; i < item.length; i++) {
+    if (item[i] !== 0) return !(i === item.length - 1 && item[i] === 0x80);
+  }
+  return false;
+}
+
+function equalBytes(a, b) {
+  return a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+// Used when no transaction is available: every signature and locktime check
+// fails, like Core's BaseSignatureChecker.
+const NULL_CHECKER = {
+  checkSig: () => false,
+  checkSchnorrSig: () => false,
+  checkLockTime: () => false,
+  checkSequence: () => false,
+};
+
+// -------------------- Signature encoding --------------------
+/**
+ * BIP66 strict DER, with the sighash type byte appended.
+ * @param {Uint8Array} sig
+ * @returns {boolean}
+ */
+export function isValidSignatureEncoding(sig) {
+  if (sig.length < 9 || sig.length > 73) return false;
+  if (sig[0] !== 0x30 || sig[1] !== sig.length - 3) return false;
+  const lenR = sig[3];
+  if (5 + lenR >= sig.length) return false;
+  const lenS = sig[5 + lenR];
+  if (lenR + lenS + 7 !== sig.length) return false;
+  if (sig[2] !== 0x02 || lenR === 0 || sig[4] & 0x80) return false;
+  if (lenR > 1 && sig[4] === 0x00 && !(sig[5] & 0x80)) return false;
+  if (sig[lenR + 4] !== 0x02 || lenS === 0 || sig[lenR + 6] & 0x80) return false;
+  if (lenS > 1 && sig[lenR + 6] === 0x00 && !(sig[lenR + 7] & 0x80)) return false;
+  return true;
+}
+
+// secp256k1 group order / 2: larger S values have a low-S twin.
+const HALF_ORDER = 0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0n;
+
+function isLowS(sig) {
+  const lenR = sig[3];
+  const s = sig.slice(6 + lenR, 6 + lenR + sig[5 + lenR]);
+  return BigInt("0x" + bytesToHex(s)) <= HALF_ORDER;
+}
+
+function checkSignatureEncoding(sig, flags) {
+  if (!sig.length) return;
+  const strict = flags.has("DERSIG") || flags.has("LOW_S") || flags.has("STRICTENC");
+  if (strict && !isValidSignatureEncoding(sig)) throw scriptError("SIG_DER");
+  if (flags.has("LOW_S") && !isLowS(sig)) throw scriptError("SIG_HIGH_S");
+  if (flags.has("STRICTENC")) {
+    const base = sig[sig.length - 1] & ~0x80;
+    if (base < 1 || base > 3) throw scriptError("SIG_HASHTYPE");
+  }
+}
+
+function checkPubKeyEncoding(pubkey, flags, sigversion) {
+  const compressed = pubkey.length === 33 && (pubkey[0] === 0x02 || pubkey[0] === 0x03);
+  const uncompressed = pubkey.length === 65 && pubkey[0] === 0x04;
+  if (flags.has("STRICTENC") && !compressed && !uncompressed) throw scriptError("PUBKEYTYPE");
+  if (flags.has("WITNESS_PUBKEYTYPE") && sigversion === SIGVERSION.WITNESS_V0 && !compressed) {
+    throw scriptError("WITNESS_PUBKEYTYPE");
+  }
+}
+
+// Core's FindAndDelete: drop every push of `sig` that starts on an opcode
+// boundary. Returns the script and the number of removed pushes.
+function findAndDelete(script, sig) {
+  const needle = pushData(sig);
+  const out = [];
+  let found = 0;
+  let pc = 0;
+  let copied = 0;
+  while (pc < script.length) {
+    while (script.length - pc >= needle.length && equalBytes(script.subarray(pc, pc + needle.length), needle)) {
+      pc += needle.length;
+      found++;
+      copied = pc;
+    }
+    if (pc >= script.length) break;
+    let op;
+    try {
+      op = readOp(script, pc);
+    } catch {
+      break;
+    }
+    out.push(script.subarray(copied, pc + op.size));
+    pc += op.size;
+    copied = pc;
+  }
+  if (!found) return { script, found };
+  out.push(script.subarray(copied));
+  return { script: Uint8Array.from(out.flatMap((part) => Array.from(part))), found };
+}
+
+/**
+ * Evaluate `script` on `stack`, which is modified in place.
+ * @param {Uint8Array} script
+ * @param {Uint8Array[]} stack
+ * @param {object} [options]
+ * @param {object} [options.checker] `{checkSig, checkSchnorrSig, checkLockTime,
+ *   checkSequence}` (see `createTxChecker`), defaults to one that fails every check
+ * @param {string|string[]} [options.flags] verification flags, see flags.js
+ * @param {string} [options.sigversion] one of SIGVERSION, defaults to "base"
+ * @param {Uint8Array} [options.tapleafHash] tapscript only, defaults to the
+ *   hash of `script` as a 0xc0 leaf
+ * @param {number} [options.validationWeight] tapscript signature budget
+ * @param {function} [options.onStep] called as `onStep(pc, stack, altstack)`
+ *   before the first opcode and after each one
+ * @throws {Error} with a `code` from SCRIPT_ERRORS when the script fails
+ */
+export function evalScript(script, stack, options = {}) {
+  const checker = { ...NULL_CHECKER, ...options.checker };
+  const onStep = options.onStep || (() => {});
+  const flags = parseFlags(options.flags);
+  const sigversion = options.sigversion || SIGVERSION.BASE;
+  const tapscript = sigversion === SIGVERSION.TAPSCRIPT;
+  const requireMinimal = flags.has("MINIMALDATA");
+  const altstack = [];
+  const vfExec = [];
+  let opCount = 0;
+  let codeSepPos = 0;
+  // tapscript signs the index of the last executed OP_CODESEPARATOR
+  let opcodePos = 0;
+  let tapCodeSepPos = 0xffffffff;
+  let weightLeft = options.validationWeight ?? checker.validationWeight ?? Infinity;
+  const leafHash = tapscript ? options.tapleafHash || tapleafHash(script) : null;
+
+  if (!tapscript && script.length > MAX_SCRIPT_SIZE) throw scriptError("SCRIPT_SIZE");
+
+  const need = (n) => {
+    if (stack.length < n) throw scriptError("INVALID_STACK_OPERATION");
+  };
+  const top = (i) => stack[stack.length + i];
+  const pop = () => stack.pop();
+  const num = (item, maxSize = 4) => {
+    try {
+      return decodeScriptNum(item, { maxSize, minimal: requireMinimal });
+    } catch {
+      throw scriptError("UNKNOWN_ERROR"); // Core's scriptnum_error
+    }
+  };
+  const pushNum = (n) => stack.push(encodeScriptNum(n));
+  const pushBool = (b) => stack.push(b ? TRUE : FALSE);
+  const upgradableNop = () => {
+    if (flags.has("DISCOURAGE_UPGRADABLE_NOPS")) throw scriptError("DISCOURAGE_UPGRADABLE_NOPS");
+  };
+
+  // Core's EvalChecksig: returns whether the signature is valid, throws when
+  // the flags or tapscript rules turn a failed check into an error.
+  const checkSig = (sig, pubkey) => {
+    if (tapscript) {
+      const success = sig.length > 0;
+      if (success) {
+        weightLeft -= VALIDATION_WEIGHT_PER_SIGOP_PASSED;
+        if (weightLeft < 0) throw scriptError("TAPSCRIPT_VALIDATION_WEIGHT");
+      }
+      if (pubkey.length === 0) throw scriptError("PUBKEYTYPE");
+      if (pubkey.length === 32) {
+        if (success && !checker.checkSchnorrSig(sig, pubkey, { tapleafHash: leafHash, codesepPos: tapCodeSepPos })) {
+          throw scriptError("SCHNORR_SIG");
+        }
+      } else if (flags.has("DISCOURAGE_UPGRADABLE_PUBKEYTYPE")) {
+        throw scriptError("DISCOURAGE_UPGRADABLE_PUBKEYTYPE");
+      }
+      return success;
+    }
+
+    let scriptCode = script.slice(codeSepPos);
+    if (sigversion === SIGVERSION.BASE) {
+      const deleted = findAndDelete(scriptCode, sig);
+      if (deleted.found && flags.has("CONST_SCRIPTCODE")) throw scriptError("SIG_FINDANDDELETE");
+      scriptCode = deleted.script;
+    }
+    checkSignatureEncoding(sig, flags);
+    checkPubKeyEncoding(pubkey, flags, sigversion);
+    const ok = checker.checkSig(sig, pubkey, scriptCode, sigversion);
+    if (!ok && flags.has("NULLFAIL") && sig.length) throw scriptError("SIG_NULLFAIL");
+    return ok;
+  };
+
+  onStep(0, stack, altstack);
+
+  for (let pc = 0; pc < script.length; ) {
+    const fExec = vfExec.every(Boolean);
+    let op;
+    try {
+      op = readOp(script, pc);
+    } catch {
+      throw scriptError("BAD_OPCODE");
+    }
+    const { opcode, data } = op;
+
+    if (data && data.length > MAX_SCRIPT_ELEMENT_SIZE) throw scriptError("PUSH_SIZE");
+    if (!tapscript && opcode > OPC.OP_16 && ++opCount > MAX_OPS_PER_SCRIPT) throw scriptError("OP_COUNT");
+    if (OPCODE_INFO.get(opcode)?.status === DISABLED) throw scriptError("DISABLED_OPCODE");
+    // rejected even in an unexecuted branch
+    if (opcode === OPC.OP_CODESEPARATOR && sigversion === SIGVERSION.BASE && flags.has("CONST_SCRIPTCODE")) {
+      throw scriptError("OP_CODESEPARATOR");
+    }
+
+    if (fExec && data) {
+      if (requireMinimal && op.nonMinimal) throw scriptError("MINIMALDATA");
+      stack.push(data);
+    } else if (fExec || (opcode >= OPC.OP_IF && opcode <= OPC.OP_ENDIF)) {
+      switch (opcode) {
+        case OPC.OP_1NEGATE:
+        case OPC.OP_1: case OPC.OP_2: case OPC.OP_3: case OPC.OP_4:
+        case OPC.OP_5: case OPC.OP_6: case OPC.OP_7: case OPC.OP_8:
+        case OPC.OP_9: case OPC.OP_10: case OPC.OP_11: case OPC.OP_12:
+        case OPC.OP_13: case OPC.OP_14: case OPC.OP_15: case OPC.OP_16:
+          pushNum(opcode - (OPC.OP_1 - 1));
+          break;
+
+        // control
+        case OPC.OP_NOP:
+          break;
+
+        case OPC.OP_CHECKLOCKTIMEVERIFY: {
+          if (!flags.has("CHECKLOCKTIMEVERIFY")) {
+            upgradableNop();
+            break;
+          }
+          need(1);
+          // 5 bytes: locktimes reach 2^32 - 1
+          const lockTime = num(top(-1), 5);
+          if (lockTime < 0n) throw scriptError("NEGATIVE_LOCKTIME");
+          if (!checker.checkLockTime(lockTime)) throw scriptError("UNSATISFIED_LOCKTIME");
+          break;
+        }
+
+        case OPC.OP_CHECKSEQUENCEVERIFY: {
+          if (!flags.has("CHECKSEQUENCEVERIFY")) {
+            upgradableNop();
+            break;
+          }
+          need(1);
+          const sequence = num(top(-1), 5);
+          if (sequence < 0n) throw scriptError("NEGATIVE_LOCKTIME");
+          // relative locktime disabled: behaves as a NOP
+          if (sequence & BigInt(SEQUENCE_LOCKTIME_DISABLE_FLAG)) break;
+          if (!checker.checkSequence(sequence)) throw scriptError("UNSATISFIED_LOCKTIME");
+          break;
+        }
+
+        case OPC.OP_NOP1:
+        case OPC.OP_NOP4: case OPC.OP_NOP5: case OPC.OP_NOP6: case OPC.OP_NOP7:
+        case OPC.OP_NOP8: case OPC.OP_NOP9: case OPC.OP_NOP10:
+          upgradableNop();
+          break;
+
+        case OPC.OP_IF:
+        case OPC.OP_NOTIF: {
+          let value = false;
+          if (fExec) {
+            if (stack.length < 1) throw scriptError("UNBALANCED_CONDITIONAL");
+            const arg = top(-1);
+            const minimal = arg.length === 0 || (arg.length === 1 && arg[0] === 1);
+            if (tapscript && !minimal) throw scriptError("TAPSCRIPT_MINIMALIF");
+            if (sigversion === SIGVERSION.WITNESS_V0 && flags.has("MINIMALIF") && !minimal) {
+              throw scriptError("MINIMALIF");
+            }
+            value = castToBool(arg);
+            if (opcode === OPC.OP_NOTIF) value = !value;
+            pop();
+          }
+          vfExec.push(value);
+          break;
+        }
+
+        case OPC.OP_ELSE:
+          if (!vfExec.length) throw scriptError("UNBALANCED_CONDITIONAL");
+          vfExec[vfExec.length - 1] = !vfExec[vfExec.length - 1];
+          break;
+
+        case OPC.OP_ENDIF:
+          if (!vfExec.length) throw scriptError("UNBALANCED_CONDITIONAL");
+          vfExec.pop();
+          break;
+
+        case OPC.OP_VERIFY:
+          need(1);
+          if (!castToBool(top(-1))) throw scriptError("VERIFY");
+          pop();
+          break;
+
+        case OPC.OP_RETURN:
+          throw scriptError("OP_RETURN");
+
+        // stack ops
+        case OPC.OP_TOALTSTACK:
+          need(1);
+          altstack.push(pop());
+          break;
+
+        case OPC.OP_FROMALTSTACK:
+          if (!altstack.length) throw scriptError("INVALID_ALTSTACK_OPERATION");
+          stack.push(altstack.pop());
+          break;
+
+        case OPC.OP_2DROP:
+          need(2);
+          pop();
+          pop();
+          break;
+
+        case OPC.OP_2DUP: {
+          need(2);
+          const [a, b] = [top(-2), top(-1)];
+          stack.push(a, b);
+          break;
+        }
+
+        case OPC.OP_3DUP: {
+          need(3);
+          const [a, b, c] = [top(-3), top(-2), top(-1)];
+          stack.push(a, b, c);
+          break;
+        }
+
+        case OPC.OP_2OVER: {
+          need(4);
+          const [a, b] = [top(-4), top(-3)];
+          stack.push(a, b);
+          break;
+        }
+
+        case OPC.OP_2ROT: {
+          need(6);
+          stack.push(...stack.splice(stack.length - 6, 2));
+          break;
+        }
+
+        case OPC.OP_2SWAP:
+          need(4);
+          stack.push(...stack.splice(stack.length - 4, 2));
+          break;
+
+        case OPC.OP_IFDUP:
+          need(1);
+          if (castToBool(top(-1))) stack.push(top(-1));
+          break;
+
+        case OPC.OP_DEPTH:
+          pushNum(stack.length);
+          break;
+
+        case OPC.OP_DROP:
+          need(1);
+          pop();
+          break;
+
+        case OPC.OP_DUP:
+          need(1);
+          stack.push(top(-1));
+          break;
+
+        case OPC.OP_NIP:
+          need(2);
+          stack.splice(stack.length - 2, 1);
+          break;
+
+        case OPC.OP_OVER:
+          need(2);
+          stack.push(top(-2));
+          break;
+
+        case OPC.OP_PICK:
+        case OPC.OP_ROLL: {
+          need(2);
+          const n = num(top(-1));
+          pop();
+          if (n < 0n || n >= BigInt(stack.length)) throw scriptError("INVALID_STACK_OPERATION");
+          const idx = stack.length - 1 - Number(n);
+          const item = stack[idx];
+          if (opcode === OPC.OP_ROLL) stack.splice(idx, 1);
+          stack.push(item);
+          break;
+        }
+
+        case OPC.OP_ROT:
+          need(3);
+          stack.push(...stack.splice(stack.length - 3, 1));
+          break;
+
+        case OPC.OP_SWAP:
+          need(2);
+          stack.push(...stack.splice(stack.length - 2, 1));
+          break;
+
+        case OPC.OP_TUCK:
+          need(2);
+          stack.splice(stack.length - 2, 0, top(-1));
+          break;
+
+        // splice ops
+        case OPC.OP_SIZE:
+          need(1);
+          pushNum(top(-1).length);
+          break;
+
+        // bit logic
+        case OPC.OP_EQUAL:
+        case OPC.OP_EQUALVERIFY: {
+          need(2);
+          const equal = equalBytes(top(-2), top(-1));
+          pop();
+          pop();
+          pushBool(equal);
+          if (opcode === OPC.OP_EQUALVERIFY) {
+            if (!equal) throw scriptError("EQUALVERIFY");
+            pop();
+          }
+          break;
+        }
+
+        // numeric
+        case OPC.OP_1ADD:
+        case OPC.OP_1SUB:
+        case OPC.OP_NEGATE:
+        case OPC.OP_ABS:
+        case OPC.OP_NOT:
+        case OPC.OP_0NOTEQUAL: {
+          need(1);
+          let n = num(top(-1));
+          if (opcode === OPC.OP_1ADD) n += 1n;
+          else if (opcode === OPC.OP_1SUB) n -= 1n;
+          else if (opcode === OPC.OP_NEGATE) n = -n;
+          else if (opcode === OPC.OP_ABS) n = n < 0n ? -n : n;
+          else if (opcode === OPC.OP_NOT) n = n === 0n ? 1n : 0n;
+          else n = n !== 0n ? 1n : 0n;
+          pop();
+          pushNum(n);
+          break;
+        }
+
+        case OPC.OP_ADD:
+        case OPC.OP_SUB:
+        case OPC.OP_BOOLAND:
+        case OPC.OP_BOOLOR:
+        case OPC.OP_NUMEQUAL:
+        case OPC.OP_NUMEQUALVERIFY:
+        case OPC.OP_NUMNOTEQUAL:
+        case OPC.OP_LESSTHAN:
+        case OPC.OP_GREATERTHAN:
+        case OPC.OP_LESSTHANOREQUAL:
+        case OPC.OP_GREATERTHANOREQUAL:
+        case OPC.OP_MIN:
+        case OPC.OP_MAX: {
+          need(2);
+          const a = num(top(-2));
+          const b = num(top(-1));
+          const result = {
+            [OPC.OP_ADD]: () => a + b,
+            [OPC.OP_SUB]: () => a - b,
+            [OPC.OP_BOOLAND]: () => a !== 0n && b !== 0n,
+            [OPC.OP_BOOLOR]: () => a !== 0n || b !== 0n,
+            [OPC.OP_NUMEQUAL]: () => a === b,
+            [OPC.OP_NUMEQUALVERIFY]: () => a === b,
+            [OPC.OP_NUMNOTEQUAL]: () => a !== b,
+            [OPC.OP_LESSTHAN]: () => a < b,
+            [OPC.OP_GREATERTHAN]: () => a > b,
+            [OPC.OP_LESSTHANOREQUAL]: () => a <= b,
+            [OPC.OP_GREATERTHANOREQUAL]: () => a >= b,
+            [OPC.OP_MIN]: () => (a < b ? a : b),
+            [OPC.OP_MAX]: () => (a > b ? a : b),
+          }[opcode]();
+          pop();
+          pop();
+          pushNum(typeof result === "boolean" ? (result ? 1n : 0n) : result);
+          if (opcode === OPC.OP_NUMEQUALVERIFY) {
+            if (!castToBool(top(-1))) throw scriptError("NUMEQUALVERIFY");
+            pop();
+          }
+          break;
+        }
+
+        case OPC.OP_WITHIN: {
+          need(3);
+          const x = num(top(-3));
+          const min = num(top(-2));
+          const max = num(top(-1));
+          pop();
+          pop();
+          pop();
+          pushBool(min <= x && x < max);
+          break;
+        }
+
+        // crypto
+        case OPC.OP_RIPEMD160:
+        case OPC.OP_SHA1:
+        case OPC.OP_SHA256:
+        case OPC.OP_HASH160:
+        case OPC.OP_HASH256: {
+          need(1);
+          const item = pop();
+          if (opcode === OPC.OP_RIPEMD160) stack.push(ripemd160(item));
+          else if (opcode === OPC.OP_SHA1) stack.push(sha1(item));
+          else if (opcode === OPC.OP_SHA256) stack.push(sha256(item));
+          else if (opcode === OPC.OP_HASH160) stack.push(ripemd160(sha256(item)));
+          else stack.push(sha256(sha256(item)));
+          break;
+        }
+
+        case OPC.OP_CODESEPARATOR:
+          codeSepPos = pc + op.size;
+          tapCodeSepPos = opcodePos;
+          break;
+
+        case OPC.OP_CHECKSIG:
+        case OPC.OP_CHECKSIGVERIFY: {
+          need(2);
+          const ok = checkSig(top(-2), top(-1));
+          pop();
+          pop();
+          pushBool(ok);
+          if (opcode === OPC.OP_CHECKSIGVERIFY) {
+            if (!ok) throw scriptError("CHECKSIGVERIFY");
+            pop();
+          }
+          break;
+        }
+
+        case OPC.OP_CHECKSIGADD: {
+          if (!tapscript) throw scriptError("BAD_OPCODE");
+          need(3);
+          const sig = top(-3);
+          const n = num(top(-2));
+          const pubkey = top(-1);
+          const ok = checkSig(sig, pubkey);
+          pop();
+          pop();
+          pop();
+          pushNum(n + (ok ? 1n : 0n));
+          break;
+        }
+
+        case OPC.OP_CHECKMULTISIG:
+        case OPC.OP_CHECKMULTISIGVERIFY: {
+          if (tapscript) throw scriptError("TAPSCRIPT_CHECKMULTISIG");
+          let i = 1;
+          need(i);
+          let nKeys = Number(num(top(-i)));
+          if (nKeys < 0 || nKeys > MAX_PUBKEYS_PER_MULTISIG) throw scriptError("PUBKEY_COUNT");
+          const keyCount = nKeys;
+          opCount += nKeys;
+          if (opCount > MAX_OPS_PER_SCRIPT) throw scriptError("OP_COUNT");
+          let ikey = ++i;
+          i += nKeys;
+          need(i);
+          let nSigs = Number(num(top(-i)));
+          if (nSigs < 0 || nSigs > nKeys) throw scriptError("SIG_COUNT");
+          let isig = ++i;
+          i += nSigs;
+          need(i);
+
+          let scriptCode = script.slice(codeSepPos);
+          if (sigversion === SIGVERSION.BASE) {
+            for (let k = 0; k < nSigs; k++) {
+              const deleted = findAndDelete(scriptCode, top(-isig - k));
+              if (deleted.found && flags.has("CONST_SCRIPTCODE")) throw scriptError("SIG_FINDANDDELETE");
+              scriptCode = deleted.script;
+            }
+          }
+
+          let ok = true;
+          while (ok && nSigs > 0) {
+            const sig = top(-isig);
+            const pubkey = top(-ikey);
+            checkSignatureEncoding(sig, flags);
+            checkPubKeyEncoding(pubkey, flags, sigversion);
+            if (checker.checkSig(sig, pubkey, scriptCode, sigversion)) {
+              isig++;
+              nSigs--;
+            }
+            ikey++;
+            nKeys--;
+            // more signatures left than keys: cannot succeed
+            if (nSigs > nKeys) ok = false;
+          }
+
+          // keys, signatures and both counts, then the extra dummy element;
+          // with NULLFAIL a failed check requires every signature to be empty
+          let ikey2 = keyCount + 2;
+          while (i-- > 1) {
+            if (!ok && flags.has("NULLFAIL") && !ikey2 && top(-1).length) throw scriptError("SIG_NULLFAIL");
+            if (ikey2 > 0) ikey2--;
+            pop();
+          }
+          need(1);
+          if (flags.has("NULLDUMMY") && top(-1).length) throw scriptError("SIG_NULLDUMMY");
+          pop();
+          pushBool(ok);
+          if (opcode === OPC.OP_CHECKMULTISIGVERIFY) {
+            if (!ok) throw scriptError("CHECKMULTISIGVERIFY");
+            pop();
+          }
+          break;
+        }
+
+        default:
+          throw scriptError("BAD_OPCODE");
+      }
+    }
+
+    if (stack.length + altstack.length > MAX_STACK_SIZE) throw scriptError("STACK_SIZE");
+    pc += op.size;
+    opcodePos++;
+    onStep(pc, stack, altstack);
+  }
+
+  if (vfExec.length) throw scriptError("UNBALANCED_CONDITIONAL");
+}
+
+// BIP342: an OP_SUCCESSx anywhere in a tapscript, even unexecuted, makes it
+// succeed before evaluation starts.
+function hasOpSuccess(script) {
+  for (let pc = 0; pc < script.length; ) {
+    let op;
+    try {
+      op = readOp(script, pc);
+    } catch {
+      throw scriptError("BAD_OPCODE");
+    }
+    if (isOpSuccess(op.opcode)) return true;
+    pc += op.size;
+  }
+  return false;
+}
+
+/**
+ * Run a script and record a debugger trace.
+ *
+ * Succeeds when evaluation finishes with a true top stack element, or, for
+ * tapscript, when the script contains an OP_SUCCESSx.
+ * @param {Uint8Array} script
+ * @param {object} [options] see `evalScript`; `options.stack` is the
+ *   initial stack (Uint8Array items, bottom first) and `options.onTrace` is
+ *   called with each trace entry as it is recorded
+ * @returns {{status: string, error: string, trace: object[]}}
+ */
+export function runScript(script, options = {}) {
+  const stack = (options.stack || []).slice();
+  const trace = [];
+  const onStep = (pc, stack, altstack) => {
+    const entry = { pc, stack: stack.map(bytesToHex), altstack: altstack.map(bytesToHex) };
+    trace.push(entry);
+    options.onTrace?.(entry);
+  };
+
+  try {
+    if (options.sigversion === SIGVERSION.TAPSCRIPT && hasOpSuccess(script)) {
+      if (parseFlags(options.flags).has("DISCOURAGE_OP_SUCCESS")) throw scriptError("DISCOURAGE_OP_SUCCESS");
+      onStep(0, stack, []);
+      return { status: "success", error: "", trace };
+    }
+    evalScript(script, stack, { ...options, onStep });
+    if (!stack.length || !castToBool(stack[stack.length - 1])) throw scriptError("EVAL_FALSE");
+    return { status: "success", error: "", trace };
+  } catch (e) {
+    return { status: "error", error: e.message, trace };
+  }
+}
+
+// -------------------- Spends --------------------
+// Script names used in verifyScript traces.
+export const SCRIPT_SIG = "scriptSig";
+export const SCRIPT_PUBKEY = "scriptPubKey";
+export const REDEEM_SCRIPT = "redeemScript";
+export const WITNESS_SCRIPT = "witnessScript";
+
+/**
+ * True if the script only pushes data (OP_0..OP_16 included).
+ * @param {Uint8Array} script
+ * @returns {boolean}
+ */
+export function isPushOnly(script) {
+  for (let pc = 0; pc < script.length; ) {
+    let op;
+    try {
+      op = readOp(script, pc);
+    } catch {
+      return false;
+    }
+    if (op.opcode > OPC.OP_16) return false;
+    pc += op.size;
+  }
+  return true;
+}
+
+/**
+ * True for `OP_HASH160 <20 bytes> OP_EQUAL`.
+ * @param {Uint8Array} script
+ * @returns {boolean}
+ */
+export function isP2SH(script) {
+  return script.length === 23 && script[0] === OPC.OP_HASH160 && script[1] === 0x14 && script[22] === OPC.OP_EQUAL;
+}
+
+/**
+ * Split a witness program (`OP_n <2..40 bytes>`) into version and program.
+ * @param {Uint8Array} script
+ * @returns {{version: number, program: Uint8Array}|null} null for other scripts
+ */
+export function witnessProgram(script) {
+  if (script.length < 4 || script.length > 42) return null;
+  if (script[0] !== OPC.OP_0 && (script[0] < OPC.OP_1 || script[0] > OPC.OP_16)) return null;
+  if (script[1] + 2 !== script.length) return null;
+  return { version: script[0] === OPC.OP_0 ? 0 : script[0] - (OPC.OP_1 - 1), program: script.slice(2) };
+}
+
+/**
+ * Verify a spend the way Core's VerifyScript does: scriptSig, then
+ * scriptPubKey, then the P2SH redeem script and the witness program with its
+ * witness script (P2WPKH's implied script included).
+ *
+ * Trace entries carry a `script` field with the script they belong to
+ * (SCRIPT_SIG, SCRIPT_PUBKEY, REDEEM_SCRIPT or WITNESS_SCRIPT) and their `pc`
+ * is relative to it; `scripts` maps those names to the executed bytes (hex).
+ * @param {object} spend
+ * @param {Uint8Array} spend.scriptSig
+ * @param {Uint8Array} spend.scriptPubKey
+ * @param {Uint8Array[]} [spend.witness] witness stack, bottom first
+ * @param {object} [options] `checker` and `flags`, see `evalScript`, and
+ *   `onTrace`, called with each trace entry as it is recorded
+ * @returns {{status: string, error: string, trace: object[], scripts: object}}
+ */
+export function verifyScript({ scriptSig, scriptPubKey, witness = [] }, options = {}) {
+  const trace = [];
+  const scripts = {};
+
+  const run = (name, script, stack, sigversion, extra = {}) => {
+    scripts[name] = bytesToHex(script);
+    const onStep = (pc, stack, altstack) => {
+      const entry = { script: name, pc, stack: stack.map(bytesToHex), altstack: altstack.map(bytesToHex) };
+      trace.push(entry);
+      options.onTrace?.(entry);
+    };
+    evalScript(script, stack, { ...options, ...extra, sigversion, onStep });
+  };
+  const requireTrue = (stack) => {
+    if (!stack.length || !castToBool(stack[stack.length - 1])) throw scriptError("EVAL_FALSE");
+  };
+
+  const executeWitnessScript = (stack, script, sigversion, extra) => {
+    if (sigversion === SIGVERSION.TAPSCRIPT) {
+      if (hasOpSuccess(script)) {
+        if (flags.has("DISCOURAGE_OP_SUCCESS")) throw scriptError("DISCOURAGE_OP_SUCCESS");
+        scripts[WITNESS_SCRIPT] = bytesToHex(script);
+        return;
+      }
+      if (stack.length > MAX_STACK_SIZE) throw scriptError("STACK_SIZE");
+    }
+    if (stack.some((item) => item.length > MAX_SCRIPT_ELEMENT_SIZE)) throw scriptError("PUSH_SIZE");
+    run(WITNESS_SCRIPT, script, stack, sigversion, extra);
+    // witness scripts implicitly require a clean stack
+    if (stack.length !== 1) throw scriptError("CLEANSTACK");
+    requireTrue(stack);
+  };
+
+  const verifyWitnessProgram = ({ version, program }, p2sh) => {
+    const stack = witness.slice();
+    if (version === 0) {
+      if (program.length === 32) {
+        if (!stack.length) throw scriptError("WITNESS_PROGRAM_WITNESS_EMPTY");
+        const script = stack.pop();
+        if (!equalBytes(sha256(script), program)) throw scriptError("WITNESS_PROGRAM_MISMATCH");
+        executeWitnessScript(stack, script, SIGVERSION.WITNESS_V0);
+      } else if (program.length === 20) {
+        if (stack.length !== 2) throw scriptError("WITNESS_PROGRAM_MISMATCH");
+        const script = Uint8Array.from([
+          OPC.OP_DUP, OPC.OP_HASH160, ...pushData(program), OPC.OP_EQUALVERIFY, OPC.OP_CHECKSIG,
+        ]);
+        executeWitnessScript(stack, script, SIGVERSION.WITNESS_V0);
+      } else {
+        throw scriptError("WITNESS_PROGRAM_WRONG_LENGTH");
+      }
+    } else if (version === 1 && program.length === 32 && !p2sh) {
+      if (!flags.has("TAPROOT")) return;
+      if (!stack.length) throw scriptError("WITNESS_PROGRAM_WITNESS_EMPTY");
+      const last = stack[stack.length - 1];
+      if (stack.length >= 2 && last.length && last[0] === 0x50) stack.pop(); // annex
+      if (stack.length === 1) {
+        // key path
+        if (!checker.checkSchnorrSig(stack[0], program, {})) throw scriptError("SCHNORR_SIG");
+        return;
+      }
+      const control = stack.pop();
+      const script = stack.pop();
+      const nodes = (control.length - TAPROOT_CONTROL_BASE_SIZE) / TAPROOT_CONTROL_NODE_SIZE;
+      if (control.length < TAPROOT_CONTROL_BASE_SIZE || !Number.isInteger(nodes) || nodes > TAPROOT_CONTROL_MAX_NODE_COUNT) {
+        throw scriptError("TAPROOT_WRONG_CONTROL_SIZE");
+      }
+      const leafVersion = control[0] & TAPROOT_LEAF_MASK;
+      const leafHash = tapleafHash(script, leafVersion);
+      if (!verifyTaprootCommitment(control, program, leafHash)) throw scriptError("WITNESS_PROGRAM_MISMATCH");
+      if (leafVersion === TAPSCRIPT_LEAF_VERSION) {
+        executeWitnessScript(stack, script, SIGVERSION.TAPSCRIPT, {
+          tapleafHash: leafHash,
+          validationWeight: tapscriptValidationWeight(witness),
+        });
+      } else if (flags.has("DISCOURAGE_UPGRADABLE_TAPROOT_VERSION")) {
+        throw scriptError("DISCOURAGE_UPGRADABLE_TAPROOT_VERSION");
+      }
+    } else if (flags.has("DISCOURAGE_UPGRADABLE_WITNESS_PROGRAM")) {
+      throw scriptError("DISCOURAGE_UPGRADABLE_WITNESS_PROGRAM");
+    }
+  };
+
+  let flags;
+  let checker;
+  try {
+    flags = parseFlags(options.flags);
+    checker = { ...NULL_CHECKER, ...options.checker };
+    if (flags.has("SIGPUSHONLY") && !isPushOnly(scriptSig)) throw scriptError("SIG_PUSHONLY");
+
+    let stack = [];
+    run(SCRIPT_SIG, scriptSig, stack, SIGVERSION.BASE);
+    const stackCopy = stack.slice();
+    run(SCRIPT_PUBKEY, scriptPubKey, stack, SIGVERSION.BASE);
+    requireTrue(stack);
+
+    let hadWitness = false;
+    const program = flags.has("WITNESS") && witnessProgram(scriptPubKey);
+    if (program) {
+      hadWitness = true;
+      if (scriptSig.length) throw scriptError("WITNESS_MALLEATED");
+      verifyWitnessProgram(program, false);
+      stack.length = 1;
+    }
+
+    if (flags.has("P2SH") && isP2SH(scriptPubKey)) {
+      if (!isPushOnly(scriptSig)) throw scriptError("SIG_PUSHONLY");
+      stack = stackCopy;
+      const redeemScript = stack.pop();
+      run(REDEEM_SCRIPT, redeemScript, stack, SIGVERSION.BASE);
+      requireTrue(stack);
+
+      const redeemProgram = flags.has("WITNESS") && witnessProgram(redeemScript);
+      if (redeemProgram) {
+        hadWitness = true;
+        if (!equalBytes(scriptSig, pushData(redeemScript))) throw scriptError("WITNESS_MALLEATED_P2SH");
+        verifyWitnessProgram(redeemProgram, true);
+        stack.length = 1;
+      }
+    }
+
+    if (flags.has("CLEANSTACK") && stack.length !== 1) throw scriptError("CLEANSTACK");
+    if (flags.has("WITNESS") && !hadWitness && witness.length) throw scriptError("WITNESS_UNEXPECTED");
+    return { status: "success", error: "", trace, scripts };
+  } catch (e) {
+    return { status: "error", error: e.message, trace, scripts };
+  }
+}
@@ -0,0 +1,237 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { sha256 } from "@noble/hashes/sha2";
+import { ripemd160 } from "@noble/hashes/legacy";
+import { secp256k1, schnorr } from "@noble/curves/secp256k1";
+
+import { asmToBytes, bytesToHex, hexToBytes } from "./codec.js";
+import { SCRIPT_ERRORS } from "./errors.js";
+import { runScript, castToBool, verifyScript } from "./interpreter.js";
+import { tapleafHash } from "./transaction.js";
+
+const run = (asm, options) => runScript(asmToBytes(asm), options);
+
+function assertSuccess(asm, options) {
+  const r = run(asm, options);
+  assert.equal(r.error, "", asm);
+  assert.equal(r.status, "success", asm);
+  return r;
+}
+
+function assertError(asm, error, options) {
+  const r = run(asm, options);
+  assert.equal(r.status, "error", asm);
+  assert.equal(r.error, SCRIPT_ERRORS[error], asm);
+  return r;
+}
+
+test("trace starts before the first opcode and follows every step", () => {
+  const { trace } = assertSuccess("1 <abcd> OP_TOALTSTACK");
+  assert.deepEqual(trace, [
+    { pc: 0, stack: [], altstack: [] },
+    { pc: 1, stack: ["01"], altstack: [] },
+    { pc: 4, stack: ["01", "abcd"], altstack: [] },
+    { pc: 5, stack: ["01"], altstack: ["abcd"] },
+  ]);
+});
+
+test("failing step is the last trace entry", () => {
+  const { trace } = assertError("1 OP_VERIFY OP_DROP", "INVALID_STACK_OPERATION");
+  assert.deepEqual(trace.at(-1), { pc: 2, stack: [], altstack: [] });
+});
+
+test("editor demo scripts succeed", () => {
+  for (const hex of [
+    "0181018193020180020180930301008003010080930401000080040100008093876987690280010280019302000387",
+    "006351675a685151946351675a6801806351675a68028000635a6751680200006351675a680200806351675a689393939393013c87",
+  ]) {
+    assert.equal(runScript(hexToBytes(hex)).status, "success", hex);
+  }
+});
+
+test("final stack decides success", () => {
+  assertError("", "EVAL_FALSE");
+  assertError("0", "EVAL_FALSE");
+  assertError("<0080>", "EVAL_FALSE");
+  assertSuccess("<0001>");
+});
+
+test("castToBool treats negative zero as false", () => {
+  assert.equal(castToBool(hexToBytes("80")), false);
+  assert.equal(castToBool(hexToBytes("000080")), false);
+  assert.equal(castToBool(hexToBytes("8000")), true);
+});
+
+test("conditionals", () => {
+  assertSuccess("1 OP_IF 1 OP_ELSE 0 OP_ENDIF");
+  assertSuccess("0 OP_NOTIF 1 OP_ELSE 0 OP_ENDIF");
+  assertSuccess("0 OP_IF OP_RETURN OP_ENDIF 1");
+  assertSuccess("1 1 OP_IF OP_IF 1 OP_ELSE 0 OP_ENDIF OP_ELSE 0 OP_ENDIF");
+  assertError("1 OP_IF 1", "UNBALANCED_CONDITIONAL");
+  assertError("1 OP_ELSE", "UNBALANCED_CONDITIONAL");
+  assertError("OP_IF 1 OP_ENDIF", "UNBALANCED_CONDITIONAL");
+  assertError("0 OP_IF OP_VERIF OP_ENDIF 1", "BAD_OPCODE");
+});
+
+test("stack operations", () => {
+  assertSuccess("1 2 OP_2DUP OP_2DROP OP_SWAP 1 OP_EQUALVERIFY 2 OP_EQUAL");
+  assertSuccess("1 2 3 OP_3DUP OP_DEPTH 6 OP_EQUALVERIFY OP_2DROP OP_2DROP OP_DROP");
+  assertSuccess("1 2 3 4 OP_2OVER 2 OP_EQUALVERIFY 1 OP_EQUALVERIFY OP_2DROP OP_2DROP 1");
+  assertSuccess("1 2 3 4 5 6 OP_2ROT 2 OP_EQUALVERIFY 1 OP_EQUALVERIFY OP_2DROP OP_2DROP 1");
+  assertSuccess("1 2 3 4 OP_2SWAP 2 OP_EQUALVERIFY 1 OP_EQUALVERIFY OP_2DROP 1");
+  assertSuccess("1 2 3 OP_ROT 1 OP_EQUALVERIFY 3 OP_EQUALVERIFY 2 OP_EQUAL");
+  assertSuccess("1 2 OP_TUCK OP_DEPTH 3 OP_EQUALVERIFY OP_2DROP 2 OP_EQUAL");
+  assertSuccess("1 2 3 2 OP_PICK 1 OP_EQUALVERIFY OP_DEPTH 3 OP_EQUAL");
+  assertSuccess("1 2 3 2 OP_ROLL 1 OP_EQUALVERIFY OP_DEPTH 2 OP_EQUAL");
+  assertSuccess("1 2 OP_NIP 2 OP_EQUAL");
+  assertSuccess("0 OP_IFDUP OP_DEPTH 1 OP_EQUAL");
+  assertSuccess("<abcdef> OP_SIZE 3 OP_EQUAL");
+  assertError("1 2 2 OP_PICK", "INVALID_STACK_OPERATION");
+  assertError("OP_FROMALTSTACK", "INVALID_ALTSTACK_OPERATION");
+});
+
+test("arithmetic", () => {
+  assertSuccess("1000 -129 OP_ADD 871 OP_NUMEQUAL");
+  assertSuccess("5 OP_NEGATE OP_ABS 5 OP_NUMEQUALVERIFY 0 OP_NOT");
+  assertSuccess("3 2 7 OP_WITHIN OP_VERIFY 7 2 7 OP_WITHIN OP_NOT");
+  assertSuccess("3 9 OP_MIN 3 OP_EQUALVERIFY 3 9 OP_MAX 9 OP_EQUAL");
+  assertSuccess("2147483647 OP_1ADD <0000008000> OP_EQUAL");
+  assertError("<0000008000> OP_1ADD", "UNKNOWN_ERROR");
+  assertError("1 2 OP_NUMEQUALVERIFY", "NUMEQUALVERIFY");
+});
+
+test("hashes", () => {
+  assertSuccess("<> OP_SHA256 <e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855> OP_EQUAL");
+  assertSuccess("<> OP_RIPEMD160 <9c1185a5c5e9fc54612808977ee8f548b2258d31> OP_EQUAL");
+  assertSuccess("<> OP_SHA1 <da39a3ee5e6b4b0d3255bfef95601890afd80709> OP_EQUAL");
+  assertSuccess("<> OP_HASH160 <b472a266d0bd89c13706a4132ccfb16f7c3b9fcb> OP_EQUAL");
+  assertSuccess("<> OP_HASH256 <5df6e0e2761359d30a8275058e299fcc0381534545f55cf43e41983f5d4c9456> OP_EQUAL");
+});
+
+test("signature checks fail without a transaction", () => {
+  assertSuccess("<30> <02> OP_CHECKSIG OP_NOT");
+  assertError("<30> <02> OP_CHECKSIGVERIFY 1", "CHECKSIGVERIFY");
+  assertSuccess("0 0 <02> 1 OP_CHECKMULTISIG");
+  assertSuccess("0 <30> 1 <02> 1 OP_CHECKMULTISIG OP_NOT");
+  assertError("0 0 21 OP_CHECKMULTISIG", "PUBKEY_COUNT");
+  assertError("0 2 <02> 1 OP_CHECKMULTISIG", "SIG_COUNT");
+});
+
+test("disabled, reserved and unknown opcodes", () => {
+  assertError("0 OP_IF OP_CAT OP_ENDIF 1", "DISABLED_OPCODE");
+  assertError("OP_RESERVED", "BAD_OPCODE");
+  assertSuccess("0 OP_IF OP_RESERVED OP_ENDIF 1");
+  assertError("OP_CHECKSIGADD", "BAD_OPCODE");
+  assertError("OP_UNKNOWN_0xfe", "BAD_OPCODE");
+  assertError("1 OP_RETURN", "OP_RETURN");
+});
+
+test("consensus limits", () => {
+  assertError(`<${"00".repeat(521)}>`, "PUSH_SIZE");
+  assertError(Array(202).fill("OP_NOP").join(" ") + " 1", "OP_COUNT");
+  assertError(Array(1001).fill("1").join(" "), "STACK_SIZE");
+  assert.equal(runScript(new Uint8Array(10001)).error, SCRIPT_ERRORS.SCRIPT_SIZE);
+  assert.equal(runScript(hexToBytes("514c")).error, SCRIPT_ERRORS.BAD_OPCODE);
+});
+
+test("verification flags", () => {
+  // OP_PUSHDATA1 of a single byte
+  assert.equal(runScript(hexToBytes("4c0107")).status, "success");
+  assert.equal(runScript(hexToBytes("4c0107"), { flags: "MINIMALDATA" }).error, SCRIPT_ERRORS.MINIMALDATA);
+  assertError("<0100> OP_1ADD", "UNKNOWN_ERROR", { flags: "MINIMALDATA" });
+  assertSuccess("1 OP_NOP4");
+  assertError("1 OP_NOP4", "DISCOURAGE_UPGRADABLE_NOPS", { flags: ["DISCOURAGE_UPGRADABLE_NOPS"] });
+  assertSuccess("1 OP_CHECKLOCKTIMEVERIFY");
+  assertError("1 OP_CHECKLOCKTIMEVERIFY", "UNSATISFIED_LOCKTIME", { flags: "CHECKLOCKTIMEVERIFY" });
+  assertError("<01> 0 1 <02> 1 OP_CHECKMULTISIG OP_NOT", "SIG_NULLDUMMY", { flags: "NULLDUMMY" });
+  assertError("<30> <02> OP_CHECKSIG OP_NOT", "SIG_NULLFAIL", { flags: "NULLFAIL" });
+  assertError("<30> <02> OP_CHECKSIG OP_NOT", "SIG_DER", { flags: "DERSIG" });
+  assertError("0 <02> OP_CHECKSIG OP_NOT", "PUBKEYTYPE", { flags: "STRICTENC" });
+  assert.equal(run("1", { flags: "BOGUS" }).error, "Unknown script flag: BOGUS");
+});
+
+test("tapscript rules", () => {
+  const tapscript = { sigversion: "tapscript" };
+  assertSuccess("0 0 <02> OP_CHECKSIGADD OP_NOT", tapscript);
+  assertError("0 0 <02> 1 OP_CHECKMULTISIG", "TAPSCRIPT_CHECKMULTISIG", tapscript);
+  assertError("<02> OP_IF 1 OP_ENDIF", "TAPSCRIPT_MINIMALIF", tapscript);
+  assertSuccess("<02> OP_IF 1 OP_ENDIF", { sigversion: "witness_v0" });
+  assertError("<02> OP_IF 1 OP_ENDIF", "MINIMALIF", { sigversion: "witness_v0", flags: "MINIMALIF" });
+  assertError("0 0 OP_CHECKSIG", "PUBKEYTYPE", tapscript);
+  assertSuccess("0 OP_IF OP_CAT OP_ENDIF", tapscript);
+  assertError("OP_RETURN OP_UNKNOWN_0xfe", "DISCOURAGE_OP_SUCCESS", { ...tapscript, flags: "DISCOURAGE_OP_SUCCESS" });
+  assertSuccess(Array(202).fill("OP_NOP").join(" ") + " 1", tapscript);
+});
+
+const hash160 = (bytes) => bytesToHex(ripemd160(sha256(bytes)));
+const spend = (scriptSig, scriptPubKey, witness = [], flags = "P2SH,WITNESS,TAPROOT") =>
+  verifyScript(
+    { scriptSig: asmToBytes(scriptSig), scriptPubKey: asmToBytes(scriptPubKey), witness: witness.map(hexToBytes) },
+    { flags }
+  );
+
+test("verifyScript runs scriptSig, then scriptPubKey", () => {
+  const r = spend("2", "3 OP_ADD 5 OP_EQUAL");
+  assert.equal(r.status, "success");
+  assert.deepEqual(
+    r.trace.map((s) => [s.script, s.pc]),
+    [["scriptSig", 0], ["scriptSig", 1], ["scriptPubKey", 0], ["scriptPubKey", 1], ["scriptPubKey", 2], ["scriptPubKey", 3], ["scriptPubKey", 4]]
+  );
+  assert.equal(spend("2", "3 OP_EQUAL").error, SCRIPT_ERRORS.EVAL_FALSE);
+  assert.equal(spend("2 OP_DUP", "OP_DROP", [], "SIGPUSHONLY").error, SCRIPT_ERRORS.SIG_PUSHONLY);
+  assert.equal(spend("1 1", "OP_NOP", [], "P2SH,WITNESS,CLEANSTACK").error, SCRIPT_ERRORS.CLEANSTACK);
+  assert.equal(spend("1", "OP_NOP", ["01"]).error, SCRIPT_ERRORS.WITNESS_UNEXPECTED);
+});
+
+test("verifyScript evaluates P2SH redeem scripts", () => {
+  const redeem = asmToBytes("OP_ADD 3 OP_EQUAL");
+  const p2sh = `OP_HASH160 <${hash160(redeem)}> OP_EQUAL`;
+  const r = spend(`1 2 <${bytesToHex(redeem)}>`, p2sh);
+  assert.equal(r.status, "success");
+  assert.equal(r.trace.at(-1).script, "redeemScript");
+  assert.equal(r.scripts.redeemScript, bytesToHex(redeem));
+  assert.equal(spend(`1 1 <${bytesToHex(redeem)}>`, p2sh).error, SCRIPT_ERRORS.EVAL_FALSE);
+  // without the P2SH flag only the hash is checked
+  assert.equal(spend(`1 1 <${bytesToHex(redeem)}>`, p2sh, [], "").status, "success");
+});
+
+test("verifyScript evaluates P2WSH and P2SH-P2WSH witness scripts", () => {
+  const ws = asmToBytes("OP_ADD 3 OP_EQUAL");
+  const p2wsh = `0 <${bytesToHex(sha256(ws))}>`;
+  const witness = ["01", "02", bytesToHex(ws)];
+  const r = spend("", p2wsh, witness);
+  assert.equal(r.status, "success", r.error);
+  assert.equal(r.trace.at(-1).script, "witnessScript");
+  assert.equal(spend("", p2wsh, ["01", "01", bytesToHex(ws)]).error, SCRIPT_ERRORS.EVAL_FALSE);
+  assert.equal(spend("", p2wsh, ["01", "02", "00"]).error, SCRIPT_ERRORS.WITNESS_PROGRAM_MISMATCH);
+  assert.equal(spend("", p2wsh, []).error, SCRIPT_ERRORS.WITNESS_PROGRAM_WITNESS_EMPTY);
+  assert.equal(spend("1", p2wsh, witness).error, SCRIPT_ERRORS.WITNESS_MALLEATED);
+  assert.equal(spend("", p2wsh, ["01", "01", "02", bytesToHex(ws)]).error, SCRIPT_ERRORS.CLEANSTACK);
+
+  const redeem = asmToBytes(p2wsh);
+  const nested = spend(`<${bytesToHex(redeem)}>`, `OP_HASH160 <${hash160(redeem)}> OP_EQUAL`, witness);
+  assert.equal(nested.status, "success", nested.error);
+  assert.deepEqual([...new Set(nested.trace.map((s) => s.script))], ["scriptSig", "scriptPubKey", "redeemScript", "witnessScript"]);
+});
+
+test("verifyScript evaluates tapscript leaves", () => {
+  const internalKey = schnorr.getPublicKey(hexToBytes("01".padStart(64, "0")));
+  const leaf = asmToBytes("OP_ADD 3 OP_EQUAL");
+  const leafHash = tapleafHash(leaf);
+  const tagHash = sha256(new TextEncoder().encode("TapTweak"));
+  const tweak = schnorr.utils.bytesToNumberBE(sha256(Uint8Array.from([...tagHash, ...tagHash, ...internalKey, ...leafHash])));
+  const q = schnorr.utils.lift_x(schnorr.utils.bytesToNumberBE(internalKey))
+    .add(secp256k1.ProjectivePoint.BASE.multiply(tweak)).toAffine();
+  const outputKey = bytesToHex(schnorr.utils.numberToBytesBE(q.x, 32));
+  const control = bytesToHex([0xc0 | Number(q.y & 1n), ...internalKey]);
+
+  const r = spend("", `1 <${outputKey}>`, ["01", "02", bytesToHex(leaf), control]);
+  assert.equal(r.status, "success", r.error);
+  assert.equal(r.trace.at(-1).script, "witnessScript");
+  assert.equal(spend("", `1 <${outputKey}>`, ["01", "02", bytesToHex(leaf), control.slice(0, -2)]).error, SCRIPT_ERRORS.TAPROOT_WRONG_CONTROL_SIZE);
+  assert.equal(spend("", `1 <${outputKey}>`, ["01", "02", "51", control]).error, SCRIPT_ERRORS.WITNESS_PROGRAM_MISMATCH);
+  // unknown witness versions and taproot without its flag are anyone-can-spend
+  assert.equal(spend("", `1 <${outputKey}>`, ["00"], "P2SH,WITNESS").status, "success");
+  assert.equal(spend("", `2 <${outputKey}>`, ["00"]).status, "success");
+});
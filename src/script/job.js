@@ -0,0 +1,38 @@
+/**
+ * Debugger jobs as sent to the back-end's `/run-job`: `{input, context, spend}`
+ * with every script in hex. `runJob` executes one with the local interpreter
+ * and returns what bitcoin-debugger prints for it.
+ */
+
+import { hexToBytes } from "./codec.js";
+import { runScript, verifyScript } from "./interpreter.js";
+import { createTxChecker } from "./transaction.js";
+
+/**
+ * Run a job: `input` alone, or the spend of `input` (the scriptPubKey) by
+ * `spend.scriptSig` and `spend.witness`.
+ * @param {object} job
+ * @param {string} job.input script hex
+ * @param {object} [job.context] `{tx, inputIndex, amounts, scriptPubKeys, sigversion, flags}`
+ * @param {object} [job.spend] `{scriptSig, witness}` in hex
+ * @param {function} [onTrace] called with each trace entry as it is recorded
+ * @returns {{status: string, error: string, trace: object[], scripts?: object}}
+ * @throws {Error} if the context transaction cannot be parsed
+ */
+export function runJob({ input, context, spend }, onTrace) {
+  const options = {
+    onTrace,
+    sigversion: context?.sigversion,
+    flags: context?.flags,
+    checker: context?.tx ? createTxChecker(context) : undefined,
+  };
+  if (!spend) return runScript(hexToBytes(input), options);
+  return verifyScript(
+    {
+      scriptSig: hexToBytes(spend.scriptSig),
+      scriptPubKey: hexToBytes(input),
+      witness: spend.witness.map(hexToBytes),
+    },
+    options
+  );
+}
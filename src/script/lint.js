@@ -0,0 +1,146 @@
+/**
+ * Static checks on ASM, reported at the words they concern: assembly errors,
+ * unbalanced conditionals, disabled opcodes, OP_VERIF and OP_VERNOTIF, code
+ * after OP_RETURN, non-minimal and oversized pushes, and the script-size and
+ * op-count limits.
+ */
+
+import { OPC, OPCODE_INFO, DISABLED, VAL2NAME, isOpSuccess } from "./opcodes.js";
+import { assemble, bytesToAsm, listPlaceholders, minimalPush, readOp, tokenizeAsm } from "./codec.js";
+import { MAX_SCRIPT_SIZE, MAX_SCRIPT_ELEMENT_SIZE, MAX_OPS_PER_SCRIPT } from "./interpreter.js";
+
+export const ERROR = "error";
+export const WARNING = "warning";
+export const INFO = "info";
+
+// Range of a run of words, 1-based and end-exclusive as in Monaco
+const wordRange = (first, last = first) => ({
+  line: first.line,
+  column: first.column,
+  endLine: last.line,
+  endColumn: last.endColumn,
+});
+
+// The opcode a misspelt word most likely means: `op_dup`, `DUP`
+function opcodeSpelling(text) {
+  const upper = text.toUpperCase();
+  if (upper !== text && OPC[upper] !== undefined) return upper;
+  if (!upper.startsWith("OP_") && OPC[`OP_${upper}`] !== undefined) return `OP_${upper}`;
+  return null;
+}
+
+/**
+ * Check ASM without running it.
+ *
+ * Each diagnostic is `{severity, code, message, line, column, endLine,
+ * endColumn}`, plus `unnecessary` for code that never runs and `fix`, `{title,
+ * text, line, column, endLine, endColumn}`, when there is one obvious edit:
+ * replace that range with `text`.
+ * @param {string} asm
+ * @param {object} [options] assembler options (`minimal`, `bindings`) and
+ *   `tapscript`, which lifts the size and op-count limits and turns disabled
+ *   opcodes into OP_SUCCESSx
+ * @returns {object[]} sorted by position
+ */
+export function lintAsm(asm, options = {}) {
+  const diagnostics = [];
+  const report = (severity, code, message, range, extra = {}) => diagnostics.push({ severity, code, message, ...range, ...extra });
+  const replace = (title, range, text) => ({ fix: { title, text, ...range } });
+
+  // Operations as written: `OP_PUSHDATAn <hex>` is one, as in `assemble`
+  const tokens = tokenizeAsm(asm);
+  const ops = [];
+  for (let k = 0; k < tokens.length; k++) {
+    const words = [tokens[k]];
+    if (/^OP_PUSHDATA[124]$/.test(tokens[k].text) && /^<[0-9a-fA-F]*>$/.test(tokens[k + 1]?.text)) words.push(tokens[++k]);
+    const range = wordRange(words[0], words.at(-1));
+    try {
+      const bytes = assemble(words.map((w) => w.text).join(" "), options).bytes;
+      ops.push({ words, range, ...readOp(bytes, 0) });
+    } catch (e) {
+      const spelling = words.length === 1 && opcodeSpelling(words[0].text);
+      report(ERROR, "syntax", e.message, range, spelling ? replace(`Change to ${spelling}`, range, spelling) : {});
+    }
+  }
+
+  // Conditionals and reachability: each open OP_IF remembers whether the
+  // code around it runs and whether one of its finished branches got through
+  const frames = [];
+  let dead = false;
+  let run = null; // unreachable words since the last reachable one
+  const endRun = () => {
+    if (run) report(INFO, "unreachable", "Unreachable code after OP_RETURN", wordRange(run[0], run.at(-1)), { unnecessary: true });
+    run = null;
+  };
+
+  let size = 0;
+  let opCount = 0;
+  let previous = null;
+  for (const op of ops) {
+    const name = VAL2NAME.get(op.opcode);
+
+    if (op.opcode === OPC.OP_IF || op.opcode === OPC.OP_NOTIF) {
+      if (dead) (run ??= []).push(...op.words);
+      frames.push({ op, outerDead: dead, through: false, hasElse: false });
+    } else if (op.opcode === OPC.OP_ELSE || op.opcode === OPC.OP_ENDIF) {
+      endRun();
+      const frame = frames.at(-1);
+      if (!frame) {
+        report(ERROR, "unbalanced", `${name} without OP_IF`, op.range, replace(`Remove ${name}`, op.range, ""));
+      } else if (op.opcode === OPC.OP_ELSE) {
+        frame.through ||= !dead;
+        frame.hasElse = true;
+        dead = frame.outerDead;
+      } else {
+        frames.pop();
+        dead = frame.outerDead || (frame.hasElse && !frame.through && dead);
+      }
+    } else {
+      if (dead) (run ??= []).push(...op.words);
+      if (op.opcode === OPC.OP_RETURN) dead = true;
+    }
+
+    if (OPCODE_INFO.get(op.opcode)?.status === DISABLED && !(options.tapscript && isOpSuccess(op.opcode))) {
+      report(ERROR, "disabled", `${name} is disabled`, op.range);
+    } else if (op.opcode === OPC.OP_VERIF || op.opcode === OPC.OP_VERNOTIF) {
+      // unlike the other reserved opcodes, these fail in branches that do not run
+      report(ERROR, "disabled", `${name} fails the script wherever it appears`, op.range);
+    }
+
+    if (op.data && op.data.length > MAX_SCRIPT_ELEMENT_SIZE) {
+      report(ERROR, "push-size", `Push of ${op.data.length} bytes, over the ${MAX_SCRIPT_ELEMENT_SIZE}-byte limit`, op.range);
+    } else if (op.nonMinimal) {
+      const minimal = bytesToAsm(minimalPush(op.data)).trim();
+      const bound = op.words.some((w) => listPlaceholders(w.text).length);
+      report(WARNING, "non-minimal", `Non-minimal push, the minimal one is ${minimal}`, op.range,
+        bound ? {} : replace(`Change to ${minimal}`, op.range, minimal));
+    }
+
+    if (!options.tapscript) {
+      if (size <= MAX_SCRIPT_SIZE && size + op.size > MAX_SCRIPT_SIZE) {
+        report(ERROR, "script-size", `The script is over the ${MAX_SCRIPT_SIZE}-byte limit from here on`, op.range);
+      }
+      // Like the interpreter, CHECKMULTISIG also counts its keys
+      const before = opCount;
+      if (op.opcode > OPC.OP_16) opCount++;
+      const keys = previous && previous.opcode >= OPC.OP_1 && previous.opcode <= OPC.OP_16 ? previous.opcode - OPC.OP_1 + 1 : 0;
+      if (op.opcode === OPC.OP_CHECKMULTISIG || op.opcode === OPC.OP_CHECKMULTISIGVERIFY) opCount += keys;
+      if (before <= MAX_OPS_PER_SCRIPT && opCount > MAX_OPS_PER_SCRIPT) {
+        report(ERROR, "op-count", `More than ${MAX_OPS_PER_SCRIPT} non-push operations`, op.range);
+      }
+    }
+    size += op.size;
+    previous = op;
+  }
+  endRun();
+
+  const lines = asm.split("\n");
+  const end = { line: lines.length, column: lines.at(-1).length + 1 };
+  for (const { op } of frames) {
+    const text = (lines.at(-1).trim() ? "\n" : "") + "OP_ENDIF";
+    report(ERROR, "unbalanced", `${VAL2NAME.get(op.opcode)} without OP_ENDIF`, op.range,
+      replace("Add OP_ENDIF at the end", { ...end, endLine: end.line, endColumn: end.column }, text));
+  }
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { lintAsm } from "./lint.js";
+
+const codes = (asm, options) => lintAsm(asm, options).map((d) => d.code);
+
+test("assembly errors are reported at their word, misspelt opcodes with a fix", () => {
+  const [bad, dup] = lintAsm("OP_1 <abc>\n  dup <key>", { bindings: {} }).slice(0, 2);
+  assert.deepEqual([bad.line, bad.column, bad.endColumn, bad.severity], [1, 6, 11, "error"]);
+  assert.equal(bad.message, "Invalid hex data: <abc>");
+  assert.equal(bad.fix, undefined);
+  assert.deepEqual(dup.fix, { title: "Change to OP_DUP", text: "OP_DUP", line: 2, column: 3, endLine: 2, endColumn: 6 });
+  assert.equal(lintAsm("<key>")[0].message, "Unbound placeholder: key");
+  assert.deepEqual(lintAsm("OP_1 OP_DROP OP_1"), []);
+});
+
+test("unbalanced conditionals and disabled opcodes", () => {
+  assert.deepEqual(codes("OP_1 OP_ELSE OP_ENDIF"), ["unbalanced", "unbalanced"]);
+  assert.equal(lintAsm("OP_ENDIF")[0].fix.text, "");
+
+  const [open] = lintAsm("OP_1 OP_IF\n  OP_1");
+  assert.equal(open.message, "OP_IF without OP_ENDIF");
+  assert.deepEqual(open.fix, { title: "Add OP_ENDIF at the end", text: "\nOP_ENDIF", line: 2, column: 7, endLine: 2, endColumn: 7 });
+
+  assert.deepEqual(codes("OP_1 OP_IF OP_CAT OP_ENDIF"), ["disabled"]);
+  assert.deepEqual(codes("OP_CAT", { tapscript: true }), []);
+  assert.deepEqual(codes("OP_0 OP_IF OP_VERIF OP_ENDIF"), ["disabled"]);
+  assert.equal(lintAsm("OP_0 OP_IF OP_VERNOTIF OP_ENDIF", { tapscript: true })[0].message, "OP_VERNOTIF fails the script wherever it appears");
+  assert.deepEqual(codes("OP_0 OP_IF OP_VER OP_ENDIF"), []);
+});
+
+test("code after OP_RETURN is unreachable until a branch that can run", () => {
+  const [after] = lintAsm("OP_RETURN <00> OP_DROP");
+  assert.deepEqual([after.code, after.column, after.endColumn, after.unnecessary], ["unreachable", 11, 23, true]);
+
+  assert.deepEqual(codes("OP_IF OP_RETURN OP_ELSE OP_1 OP_ENDIF OP_1"), []);
+  const both = lintAsm("OP_IF OP_RETURN OP_ELSE OP_RETURN OP_ENDIF OP_1");
+  assert.deepEqual(both.map((d) => [d.code, d.column]), [["unreachable", 44]]);
+});
+
+test("push and size limits", () => {
+  const [nonMinimal] = lintAsm("<01> OP_PUSHDATA1 <ab>");
+  assert.equal(nonMinimal.fix.text, "1");
+  assert.equal(lintAsm("<01> OP_PUSHDATA1 <ab>")[1].fix.text, "<ab>");
+  assert.equal(lintAsm("<p>", { bindings: { p: "01" } })[0].fix, undefined);
+
+  assert.deepEqual(codes(`<${"00".repeat(521)}>`), ["push-size"]);
+  assert.deepEqual(codes(Array(202).fill("OP_NOP").join(" ")), ["op-count"]);
+  assert.deepEqual(codes(`${Array(185).fill("OP_NOP").join(" ")} OP_16 OP_CHECKMULTISIG`), ["op-count"]);
+  assert.deepEqual(codes(Array(20).fill(`<${"00".repeat(500)}>`).join(" ")), ["script-size"]);
+  assert.deepEqual(codes(Array(202).fill("OP_NOP").join(" "), { tapscript: true }), []);
+});
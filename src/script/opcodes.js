@@ -0,0 +1,195 @@
+/**
+ * Bitcoin Script opcode tables.
+ *
+ * Pure data module shared by the editor, the codec and the backend.
+ */
+
+// Every opcode defined by consensus, tagged with its status and, where one
+// exists, the BIP that introduced its current meaning.
+//   enabled  -- executes normally
+//   disabled -- fails the script whenever it is present (CVE-2010-5137)
+//   reserved -- fails the script when executed
+export const ENABLED = "enabled";
+export const DISABLED = "disabled";
+export const RESERVED = "reserved";
+
+export const OPCODE_TABLE = [
+  // push value
+  { name: "OP_0", code: 0x00, status: ENABLED },
+  { name: "OP_PUSHDATA1", code: 0x4c, status: ENABLED },
+  { name: "OP_PUSHDATA2", code: 0x4d, status: ENABLED },
+  { name: "OP_PUSHDATA4", code: 0x4e, status: ENABLED },
+  { name: "OP_1NEGATE", code: 0x4f, status: ENABLED },
+  { name: "OP_RESERVED", code: 0x50, status: RESERVED },
+  { name: "OP_1", code: 0x51, status: ENABLED },
+  { name: "OP_2", code: 0x52, status: ENABLED },
+  { name: "OP_3", code: 0x53, status: ENABLED },
+  { name: "OP_4", code: 0x54, status: ENABLED },
+  { name: "OP_5", code: 0x55, status: ENABLED },
+  { name: "OP_6", code: 0x56, status: ENABLED },
+  { name: "OP_7", code: 0x57, status: ENABLED },
+  { name: "OP_8", code: 0x58, status: ENABLED },
+  { name: "OP_9", code: 0x59, status: ENABLED },
+  { name: "OP_10", code: 0x5a, status: ENABLED },
+  { name: "OP_11", code: 0x5b, status: ENABLED },
+  { name: "OP_12", code: 0x5c, status: ENABLED },
+  { name: "OP_13", code: 0x5d, status: ENABLED },
+  { name: "OP_14", code: 0x5e, status: ENABLED },
+  { name: "OP_15", code: 0x5f, status: ENABLED },
+  { name: "OP_16", code: 0x60, status: ENABLED },
+
+  // control
+  { name: "OP_NOP", code: 0x61, status: ENABLED },
+  { name: "OP_VER", code: 0x62, status: RESERVED },
+  { name: "OP_IF", code: 0x63, status: ENABLED },
+  { name: "OP_NOTIF", code: 0x64, status: ENABLED },
+  { name: "OP_VERIF", code: 0x65, status: RESERVED },
+  { name: "OP_VERNOTIF", code: 0x66, status: RESERVED },
+  { name: "OP_ELSE", code: 0x67, status: ENABLED },
+  { name: "OP_ENDIF", code: 0x68, status: ENABLED },
+  { name: "OP_VERIFY", code: 0x69, status: ENABLED },
+  { name: "OP_RETURN", code: 0x6a, status: ENABLED },
+
+  // stack ops
+  { name: "OP_TOALTSTACK", code: 0x6b, status: ENABLED },
+  { name: "OP_FROMALTSTACK", code: 0x6c, status: ENABLED },
+  { name: "OP_2DROP", code: 0x6d, status: ENABLED },
+  { name: "OP_2DUP", code: 0x6e, status: ENABLED },
+  { name: "OP_3DUP", code: 0x6f, status: ENABLED },
+  { name: "OP_2OVER", code: 0x70, status: ENABLED },
+  { name: "OP_2ROT", code: 0x71, status: ENABLED },
+  { name: "OP_2SWAP", code: 0x72, status: ENABLED },
+  { name: "OP_IFDUP", code: 0x73, status: ENABLED },
+  { name: "OP_DEPTH", code: 0x74, status: ENABLED },
+  { name: "OP_DROP", code: 0x75, status: ENABLED },
+  { name: "OP_DUP", code: 0x76, status: ENABLED },
+  { name: "OP_NIP", code: 0x77, status: ENABLED },
+  { name: "OP_OVER", code: 0x78, status: ENABLED },
+  { name: "OP_PICK", code: 0x79, status: ENABLED },
+  { name: "OP_ROLL", code: 0x7a, status: ENABLED },
+  { name: "OP_ROT", code: 0x7b, status: ENABLED },
+  { name: "OP_SWAP", code: 0x7c, status: ENABLED },
+  { name: "OP_TUCK", code: 0x7d, status: ENABLED },
+
+  // splice ops
+  { name: "OP_CAT", code: 0x7e, status: DISABLED },
+  { name: "OP_SUBSTR", code: 0x7f, status: DISABLED },
+  { name: "OP_LEFT", code: 0x80, status: DISABLED },
+  { name: "OP_RIGHT", code: 0x81, status: DISABLED },
+  { name: "OP_SIZE", code: 0x82, status: ENABLED },
+
+  // bit logic
+  { name: "OP_INVERT", code: 0x83, status: DISABLED },
+  { name: "OP_AND", code: 0x84, status: DISABLED },
+  { name: "OP_OR", code: 0x85, status: DISABLED },
+  { name: "OP_XOR", code: 0x86, status: DISABLED },
+  { name: "OP_EQUAL", code: 0x87, status: ENABLED },
+  { name: "OP_EQUALVERIFY", code: 0x88, status: ENABLED },
+  { name: "OP_RESERVED1", code: 0x89, status: RESERVED },
+  { name: "OP_RESERVED2", code: 0x8a, status: RESERVED },
+
+  // numeric
+  { name: "OP_1ADD", code: 0x8b, status: ENABLED },
+  { name: "OP_1SUB", code: 0x8c, status: ENABLED },
+  { name: "OP_2MUL", code: 0x8d, status: DISABLED },
+  { name: "OP_2DIV", code: 0x8e, status: DISABLED },
+  { name: "OP_NEGATE", code: 0x8f, status: ENABLED },
+  { name: "OP_ABS", code: 0x90, status: ENABLED },
+  { name: "OP_NOT", code: 0x91, status: ENABLED },
+  { name: "OP_0NOTEQUAL", code: 0x92, status: ENABLED },
+  { name: "OP_ADD", code: 0x93, status: ENABLED },
+  { name: "OP_SUB", code: 0x94, status: ENABLED },
+  { name: "OP_MUL", code: 0x95, status: DISABLED },
+  { name: "OP_DIV", code: 0x96, status: DISABLED },
+  { name: "OP_MOD", code: 0x97, status: DISABLED },
+  { name: "OP_LSHIFT", code: 0x98, status: DISABLED },
+  { name: "OP_RSHIFT", code: 0x99, status: DISABLED },
+  { name: "OP_BOOLAND", code: 0x9a, status: ENABLED },
+  { name: "OP_BOOLOR", code: 0x9b, status: ENABLED },
+  { name: "OP_NUMEQUAL", code: 0x9c, status: ENABLED },
+  { name: "OP_NUMEQUALVERIFY", code: 0x9d, status: ENABLED },
+  { name: "OP_NUMNOTEQUAL", code: 0x9e, status: ENABLED },
+  { name: "OP_LESSTHAN", code: 0x9f, status: ENABLED },
+  { name: "OP_GREATERTHAN", code: 0xa0, status: ENABLED },
+  { name: "OP_LESSTHANOREQUAL", code: 0xa1, status: ENABLED },
+  { name: "OP_GREATERTHANOREQUAL", code: 0xa2, status: ENABLED },
+  { name: "OP_MIN", code: 0xa3, status: ENABLED },
+  { name: "OP_MAX", code: 0xa4, status: ENABLED },
+  { name: "OP_WITHIN", code: 0xa5, status: ENABLED },
+
+  // crypto
+  { name: "OP_RIPEMD160", code: 0xa6, status: ENABLED },
+  { name: "OP_SHA1", code: 0xa7, status: ENABLED },
+  { name: "OP_SHA256", code: 0xa8, status: ENABLED },
+  { name: "OP_HASH160", code: 0xa9, status: ENABLED },
+  { name: "OP_HASH256", code: 0xaa, status: ENABLED },
+  { name: "OP_CODESEPARATOR", code: 0xab, status: ENABLED },
+  { name: "OP_CHECKSIG", code: 0xac, status: ENABLED },
+  { name: "OP_CHECKSIGVERIFY", code: 0xad, status: ENABLED },
+  { name: "OP_CHECKMULTISIG", code: 0xae, status: ENABLED },
+  { name: "OP_CHECKMULTISIGVERIFY", code: 0xaf, status: ENABLED },
+
+  // expansion
+  { name: "OP_NOP1", code: 0xb0, status: ENABLED },
+  { name: "OP_CHECKLOCKTIMEVERIFY", code: 0xb1, status: ENABLED, bip: "BIP65" },
+  { name: "OP_CHECKSEQUENCEVERIFY", code: 0xb2, status: ENABLED, bip: "BIP112" },
+  { name: "OP_NOP4", code: 0xb3, status: ENABLED },
+  { name: "OP_NOP5", code: 0xb4, status: ENABLED },
+  { name: "OP_NOP6", code: 0xb5, status: ENABLED },
+  { name: "OP_NOP7", code: 0xb6, status: ENABLED },
+  { name: "OP_NOP8", code: 0xb7, status: ENABLED },
+  { name: "OP_NOP9", code: 0xb8, status: ENABLED },
+  { name: "OP_NOP10", code: 0xb9, status: ENABLED },
+
+  // tapscript
+  { name: "OP_CHECKSIGADD", code: 0xba, status: ENABLED, bip: "BIP342" },
+];
+
+// Alternative names accepted by the assembler; never produced by the disassembler.
+export const OPCODE_ALIASES = {
+  OP_FALSE: "OP_0",
+  OP_TRUE: "OP_1",
+  OP_NOP2: "OP_CHECKLOCKTIMEVERIFY", // pre-BIP65
+  OP_NOP3: "OP_CHECKSEQUENCEVERIFY", // pre-BIP112
+};
+
+export const OPC = (() => {
+  const map = {};
+  for (const op of OPCODE_TABLE) map[op.name] = op.code;
+  for (const [alias, name] of Object.entries(OPCODE_ALIASES)) map[alias] = map[name];
+  return map;
+})();
+
+export const OPCODE_INFO = new Map(OPCODE_TABLE.map((op) => [op.code, op]));
+
+export const VAL2NAME = new Map(OPCODE_TABLE.map((op) => [op.code, op.name]));
+
+// Bytes with no opcode assigned (0xbb..0xff) are written as OP_UNKNOWN_0xNN.
+export const UNKNOWN_OPCODE_RE = /^OP_UNKNOWN_0x([0-9a-fA-F]{2})$/;
+
+/**
+ * ASM name for an opcode byte that has no entry in the table.
+ * @param {number} code
+ * @returns {string}
+ */
+export function unknownOpcodeName(code) {
+  return `OP_UNKNOWN_0x${code.toString(16).padStart(2, "0")}`;
+}
+
+/**
+ * True for the opcodes BIP342 redefines as OP_SUCCESSx in tapscript: their
+ * presence anywhere in the script makes it succeed unconditionally.
+ * @param {number} code
+ * @returns {boolean}
+ */
+export function isOpSuccess(code) {
+  return (
+    code === 80 || code === 98 ||
+    (code >= 126 && code <= 129) ||
+    (code >= 131 && code <= 134) ||
+    (code >= 137 && code <= 138) ||
+    (code >= 141 && code <= 142) ||
+    (code >= 149 && code <= 153) ||
+    (code >= 187 && code <= 254)
+  );
+}
@@ -0,0 +1,58 @@
+/**
+ * CScriptNum encoding: little-endian sign-magnitude, minimal length, with the
+ * sign carried in the top bit of the last byte. Values are BigInt so literals
+ * of any size can be encoded; consensus limits (4-byte operands) are left to
+ * the caller through `maxSize`.
+ */
+
+/**
+ * Encode an integer as minimal CScriptNum bytes.
+ * @param {bigint|number|string} value
+ * @returns {Uint8Array} empty for zero
+ */
+export function encodeScriptNum(value) {
+  let n = BigInt(value);
+  if (n === 0n) return new Uint8Array(0);
+  const neg = n < 0n;
+  if (neg) n = -n;
+  const out = [];
+  while (n > 0n) {
+    out.push(Number(n & 0xffn));
+    n >>= 8n;
+  }
+  // the top bit is the sign: add a byte if the magnitude already uses it
+  if (out[out.length - 1] & 0x80) out.push(neg ? 0x80 : 0x00);
+  else if (neg) out[out.length - 1] |= 0x80;
+  return Uint8Array.from(out);
+}
+
+/**
+ * True if `bytes` is the shortest encoding of its value (no redundant
+ * trailing 0x00/0x80 byte).
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isMinimalScriptNum(bytes) {
+  if (bytes.length === 0) return true;
+  if ((bytes[bytes.length - 1] & 0x7f) !== 0) return true;
+  return bytes.length > 1 && (bytes[bytes.length - 2] & 0x80) !== 0;
+}
+
+/**
+ * Decode CScriptNum bytes.
+ * @param {Uint8Array} bytes
+ * @param {object} [options]
+ * @param {number} [options.maxSize] reject longer encodings (4 for arithmetic operands)
+ * @param {boolean} [options.minimal] reject non-minimal encodings
+ * @returns {bigint}
+ * @throws {Error} "script number overflow" / "non-minimally encoded script number"
+ */
+export function decodeScriptNum(bytes, { maxSize = Infinity, minimal = false } = {}) {
+  if (bytes.length > maxSize) throw new Error("script number overflow");
+  if (minimal && !isMinimalScriptNum(bytes)) throw new Error("non-minimally encoded script number");
+  if (bytes.length === 0) return 0n;
+  const last = bytes.length - 1;
+  let n = BigInt(bytes[last] & 0x7f);
+  for (let i = last - 1; i >= 0; i--) n = (n << 8n) | BigInt(bytes[i]);
+  return bytes[last] & 0x80 ? -n : n;
+}
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bytesToHex, hexToBytes } from "./codec.js";
+import { encodeScriptNum, decodeScriptNum, isMinimalScriptNum } from "./scriptnum.js";
+
+const VECTORS = [
+  [0, ""],
+  [1, "01"],
+  [-1, "81"],
+  [127, "7f"],
+  [128, "8000"],
+  [-128, "8080"],
+  [-129, "8180"],
+  [255, "ff00"],
+  [1000, "e803"],
+  [32767, "ff7f"],
+  [-32768, "008080"],
+  [2147483647, "ffffff7f"],
+  [-2147483647, "ffffffff"],
+  [2147483648, "0000008000"],
+];
+
+test("encode and decode known values", () => {
+  for (const [n, hex] of VECTORS) {
+    assert.equal(bytesToHex(encodeScriptNum(n)), hex, `encode ${n}`);
+    assert.equal(decodeScriptNum(hexToBytes(hex)), BigInt(n), `decode ${hex}`);
+  }
+});
+
+test("arbitrarily large values round-trip", () => {
+  const n = -(2n ** 100n) + 12345n;
+  assert.equal(decodeScriptNum(encodeScriptNum(n)), n);
+});
+
+test("non-minimal encodings", () => {
+  assert.equal(isMinimalScriptNum(hexToBytes("0100")), false);
+  assert.equal(isMinimalScriptNum(hexToBytes("80")), false);
+  assert.equal(isMinimalScriptNum(hexToBytes("8000")), true);
+  assert.equal(decodeScriptNum(hexToBytes("0100")), 1n);
+  assert.throws(() => decodeScriptNum(hexToBytes("0100"), { minimal: true }), /non-minimally encoded/);
+});
+
+test("maxSize limits operand length", () => {
+  assert.throws(() => decodeScriptNum(hexToBytes("0000008000"), { maxSize: 4 }), /overflow/);
+  assert.equal(decodeScriptNum(hexToBytes("ffffff7f"), { maxSize: 4 }), 2147483647n);
+});
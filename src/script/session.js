@@ -0,0 +1,110 @@
+/**
+ * Debug sessions: everything needed to reopen the debugger where someone
+ * left it — the ASM as written, spend, context, breakpoints, the trace and
+ * the current step — as a JSON file, or without the trace (it is run again)
+ * as a compact string for URLs.
+ */
+
+export const SESSION_FORMAT = "bitcoin-script-editor/session";
+export const SESSION_VERSION = 1;
+
+// Longest encoded session `encodeSessionUrl` accepts, to keep links usable
+export const MAX_URL_SESSION_LENGTH = 4000;
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Build a session from the debugger state. `result` is the run as returned by
+ * `/run-job` (`{status, error, trace, scripts?}`), null before a run.
+ * @param {object} state
+ * @param {string} state.asm
+ * @param {object} [state.spend] spend editors, when debugging a spend
+ * @param {object} [state.context]
+ * @param {object} [state.bindings]
+ * @param {boolean} [state.minimalPush]
+ * @param {object} [state.breakpoints] `{lines, lineOptions, words, wordOptions, watches}`
+ * @param {object|null} [state.result]
+ * @param {number} [state.step]
+ * @returns {object}
+ */
+export function createSession({ asm, spend, context, bindings, minimalPush, breakpoints, result, step }) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    asm,
+    spend: spend || null,
+    context: context || null,
+    bindings: bindings || {},
+    minimalPush: Boolean(minimalPush),
+    breakpoints: {
+      lines: breakpoints?.lines || {},
+      lineOptions: breakpoints?.lineOptions || {},
+      words: breakpoints?.words || {},
+      wordOptions: breakpoints?.wordOptions || {},
+      watches: breakpoints?.watches || [],
+    },
+    result: result ? { status: result.status, error: result.error || "", trace: result.trace, scripts: result.scripts } : null,
+    step: step || 0,
+  };
+}
+
+/**
+ * Read a session file, filling in what older or hand-written files leave out.
+ * @param {string|object} json file contents or the parsed JSON
+ * @returns {object} as returned by `createSession`
+ * @throws {Error} if it is not a session or its version is newer
+ */
+export function parseSession(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (!isObject(data) || data.format !== SESSION_FORMAT) throw new Error("Not a debug session file");
+  if (!(data.version <= SESSION_VERSION)) throw new Error(`Unsupported session version ${data.version}`);
+  if (typeof data.asm !== "string") throw new Error("Session has no script");
+  const result = isObject(data.result) && Array.isArray(data.result.trace) ? data.result : null;
+  const step = Number.isInteger(data.step) && data.step >= 0 ? data.step : 0;
+  return createSession({ ...data, breakpoints: isObject(data.breakpoints) ? data.breakpoints : {}, result, step });
+}
+
+// -------------------- URL encoding --------------------
+// base64url of the deflated JSON
+async function pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+const fromBase64Url = (text) =>
+  Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+
+/**
+ * Encode a session for a URL parameter. The trace is left out: opening the
+ * link runs the script again and goes to the session's step.
+ * @param {object} session
+ * @returns {Promise<string>}
+ * @throws {Error} if the encoding is longer than MAX_URL_SESSION_LENGTH
+ */
+export async function encodeSessionUrl(session) {
+  const json = JSON.stringify({ ...session, result: null });
+  const text = toBase64Url(await pipe(new TextEncoder().encode(json), new CompressionStream("deflate-raw")));
+  if (text.length > MAX_URL_SESSION_LENGTH) {
+    throw new Error(`Session too large for a link (${text.length} characters), export it to a file instead`);
+  }
+  return text;
+}
+
+/**
+ * Decode a session from `encodeSessionUrl`.
+ * @param {string} text
+ * @returns {Promise<object>}
+ * @throws {Error} on corrupt input
+ */
+export async function decodeSessionUrl(text) {
+  let json;
+  try {
+    json = new TextDecoder().decode(await pipe(fromBase64Url(text), new DecompressionStream("deflate-raw")));
+  } catch {
+    throw new Error("Corrupt session link");
+  }
+  return parseSession(json);
+}
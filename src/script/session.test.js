@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createSession, parseSession, encodeSessionUrl, decodeSessionUrl } from "./session.js";
+import { asmToBytes } from "./codec.js";
+import { runScript } from "./interpreter.js";
+
+const ASM = "OP_1\n  OP_DUP  // keep a copy\nOP_ADD";
+
+const session = () => createSession({
+  asm: ASM,
+  context: { tx: "", inputIndex: 0, amounts: "", scriptPubKeys: "", sigversion: "base", flags: ["P2SH"] },
+  breakpoints: {
+    lines: { scriptPubKey: [3] },
+    lineOptions: { scriptPubKey: { 3: { condition: "depth > 1", hitCount: "", enabled: true } } },
+    words: { scriptPubKey: [1] },
+    watches: [{ expression: "top", enabled: true }],
+  },
+  result: runScript(asmToBytes(ASM)),
+  step: 3,
+});
+
+test("sessions survive a JSON round trip", () => {
+  const saved = session();
+  const loaded = parseSession(JSON.stringify(saved));
+  assert.deepEqual(loaded, saved);
+  assert.equal(loaded.asm, ASM);
+  assert.equal(loaded.result.trace.length, 4);
+  assert.deepEqual(loaded.breakpoints.wordOptions, {});
+});
+
+test("parseSession rejects other files and fills in missing fields", () => {
+  assert.throws(() => parseSession("[]"), /Not a debug session/);
+  assert.throws(() => parseSession({ format: "bitcoin-script-editor/session", version: 9, asm: "" }), /version 9/);
+  const loaded = parseSession({ format: "bitcoin-script-editor/session", version: 1, asm: "OP_1", step: -2, result: {} });
+  assert.equal(loaded.step, 0);
+  assert.equal(loaded.result, null);
+  assert.deepEqual(loaded.breakpoints.lines, {});
+});
+
+test("URL encoding drops the trace and keeps the step", async () => {
+  const text = await encodeSessionUrl(session());
+  assert.match(text, /^[A-Za-z0-9_-]+$/);
+  const loaded = await decodeSessionUrl(text);
+  assert.equal(loaded.result, null);
+  assert.equal(loaded.step, 3);
+  assert.deepEqual(loaded.breakpoints, session().breakpoints);
+
+  await assert.rejects(decodeSessionUrl("not-a-session"), /Corrupt session link/);
+  const large = createSession({ asm: Array.from({ length: 3000 }, (_, i) => `'${i * 7919}'`).join(" ") });
+  await assert.rejects(encodeSessionUrl(large), /too large/);
+});
@@ -0,0 +1,231 @@
+/**
+ * Static stack-effect analysis: the range of stack and altstack depths after
+ * every operation over all paths through the OP_IF branches, the items the
+ * script takes from its caller or where a path may run out of them, and what
+ * is left on success.
+ */
+
+import { OPC, OPCODE_INFO, ENABLED, VAL2NAME, unknownOpcodeName } from "./opcodes.js";
+import { assemble, decodeScript } from "./codec.js";
+import { decodeScriptNum } from "./scriptnum.js";
+import { ERROR, WARNING, INFO } from "./lint.js";
+
+// [items popped, items pushed] of the opcodes whose effect is fixed
+const EFFECTS = {
+  OP_NOP: [0, 0], OP_CODESEPARATOR: [0, 0],
+  OP_NOP1: [0, 0], OP_NOP4: [0, 0], OP_NOP5: [0, 0], OP_NOP6: [0, 0], OP_NOP7: [0, 0],
+  OP_NOP8: [0, 0], OP_NOP9: [0, 0], OP_NOP10: [0, 0],
+  OP_CHECKLOCKTIMEVERIFY: [1, 1], OP_CHECKSEQUENCEVERIFY: [1, 1],
+  OP_VERIFY: [1, 0],
+  OP_2DROP: [2, 0], OP_2DUP: [2, 4], OP_3DUP: [3, 6], OP_2OVER: [4, 6], OP_2ROT: [6, 6], OP_2SWAP: [4, 4],
+  OP_DEPTH: [0, 1], OP_DROP: [1, 0], OP_DUP: [1, 2], OP_NIP: [2, 1], OP_OVER: [2, 3],
+  OP_ROT: [3, 3], OP_SWAP: [2, 2], OP_TUCK: [2, 3],
+  OP_SIZE: [1, 2], OP_EQUAL: [2, 1], OP_EQUALVERIFY: [2, 0],
+  OP_1ADD: [1, 1], OP_1SUB: [1, 1], OP_NEGATE: [1, 1], OP_ABS: [1, 1], OP_NOT: [1, 1], OP_0NOTEQUAL: [1, 1],
+  OP_ADD: [2, 1], OP_SUB: [2, 1], OP_BOOLAND: [2, 1], OP_BOOLOR: [2, 1],
+  OP_NUMEQUAL: [2, 1], OP_NUMEQUALVERIFY: [2, 0], OP_NUMNOTEQUAL: [2, 1],
+  OP_LESSTHAN: [2, 1], OP_GREATERTHAN: [2, 1], OP_LESSTHANOREQUAL: [2, 1], OP_GREATERTHANOREQUAL: [2, 1],
+  OP_MIN: [2, 1], OP_MAX: [2, 1], OP_WITHIN: [3, 1],
+  OP_RIPEMD160: [1, 1], OP_SHA1: [1, 1], OP_SHA256: [1, 1], OP_HASH160: [1, 1], OP_HASH256: [1, 1],
+  OP_CHECKSIG: [2, 1], OP_CHECKSIGVERIFY: [2, 0], OP_CHECKSIGADD: [3, 1],
+};
+
+const MAX_PUBKEYS_PER_MULTISIG = 20;
+
+// Number pushed by an operation, null if it is not a number push
+function pushedNumber(op) {
+  if (!op) return null;
+  if (op.opcode === OPC.OP_1NEGATE) return -1;
+  if (op.opcode >= OPC.OP_1 && op.opcode <= OPC.OP_16) return op.opcode - OPC.OP_1 + 1;
+  if (op.data && op.data.length <= 4) return Number(decodeScriptNum(op.data));
+  return null;
+}
+
+// Effect of operation i as {needs, delta}: the items it needs on the stack
+// and the [min, max] change of the depth, or null if executing it fails the
+// script. The counts of OP_PICK, OP_ROLL and OP_CHECKMULTISIG are known when
+// the operation before pushes a number, and the signature count of
+// `<m> <key>... <n> OP_CHECKMULTISIG` from the number before the keys.
+function stackEffect(ops, i) {
+  const op = ops[i];
+  if (op.data !== null || op.opcode === OPC.OP_1NEGATE || (op.opcode >= OPC.OP_1 && op.opcode <= OPC.OP_16)) {
+    return { needs: 0, delta: [1, 1] };
+  }
+  if (OPCODE_INFO.get(op.opcode)?.status !== ENABLED) return null;
+  const name = VAL2NAME.get(op.opcode);
+  if (name in EFFECTS) {
+    const [pop, push] = EFFECTS[name];
+    return { needs: pop, delta: [push - pop, push - pop] };
+  }
+  const n = pushedNumber(ops[i - 1]);
+  switch (name) {
+    case "OP_IFDUP":
+      return { needs: 1, delta: [0, 1] };
+    case "OP_PICK":
+    case "OP_ROLL": {
+      // n and the n + 1 items it reaches into
+      if (n !== null && n < 0) return null;
+      const delta = name === "OP_PICK" ? 0 : -1;
+      return { needs: (n ?? 0) + 2, delta: [delta, delta] };
+    }
+    case "OP_CHECKMULTISIG":
+    case "OP_CHECKMULTISIGVERIFY": {
+      // n keys, m <= n signatures, both counts and the dummy item
+      if (n !== null && (n < 0 || n > MAX_PUBKEYS_PER_MULTISIG)) return null;
+      const push = name === "OP_CHECKMULTISIG" ? 1 : 0;
+      const keys = n ?? MAX_PUBKEYS_PER_MULTISIG;
+      const pushedKeys = n !== null && i >= n + 2 && ops.slice(i - 1 - n, i - 1).every((key) => key.data?.length);
+      const m = pushedKeys ? pushedNumber(ops[i - 2 - n]) : null;
+      if (m !== null && m >= 0 && m <= n) return { needs: n + m + 3, delta: [push - n - m - 3, push - n - m - 3] };
+      return { needs: (n ?? 0) + 3, delta: [push - 2 * keys - 3, push - (n ?? 0) - 3] };
+    }
+    default:
+      return null; // OP_RETURN; flow control is handled by the caller
+  }
+}
+
+const join = (a, b) => (a && b ? [Math.min(a[0], b[0]), Math.max(a[1], b[1])] : a || b);
+
+// Depths where two sets of paths meet
+const merge = (a, b) => (a || b ? { depth: join(a?.depth, b?.depth), altDepth: join(a?.altDepth, b?.altDepth) } : null);
+
+/**
+ * Analyze the stack depth of ASM without running it.
+ *
+ * `ops[i]` describes operation i: `{line, column, endLine, endColumn, depth,
+ * altDepth}`, the depths being the [min, max] number of items after it over
+ * the paths that get there, or null where it is unreachable. `lines` maps each
+ * line with an operation to the depths after its last one. `diagnostics`, in
+ * the format of `lintAsm`, flag operations that may find too few items and
+ * a stack left with more than one item on success. The counts of OP_PICK,
+ * OP_ROLL and OP_CHECKMULTISIG are known when a number is pushed just before
+ * them; otherwise the smallest count is assumed for what they need.
+ *
+ * Without `initialDepth` the script is taken to start with the items its
+ * operations need from the caller, as for a scriptPubKey on its own:
+ * `inputs` is their number, reported as an info diagnostic at the first
+ * operation that uses them, and the depths count them.
+ * @param {string} asm
+ * @param {object} [options] assembler options and `initialDepth`, the items
+ *   on the stack when the script starts
+ * @returns {{ops: object[], lines: Object<number, object>, diagnostics: object[], inputs: number}|null}
+ *   null if the ASM does not assemble
+ */
+export function analyzeStackDepth(asm, options = {}) {
+  let assembled;
+  let ops;
+  try {
+    assembled = assemble(asm, options);
+    ops = decodeScript(assembled.bytes);
+  } catch {
+    return null;
+  }
+  const { words } = assembled;
+  const byPos = new Map(ops.map((op, i) => [op.pos, i]));
+  const ranges = ops.map(() => null);
+  words.forEach((word) => {
+    const i = byPos.get(word.pos);
+    if (i === undefined) return;
+    ranges[i] = ranges[i]
+      ? { ...ranges[i], endLine: word.line, endColumn: word.endColumn }
+      : { line: word.line, column: word.column, endLine: word.line, endColumn: word.endColumn };
+  });
+
+  // One pass over the script starting with `inputs` items. Without an
+  // initialDepth, the items a path lacks are taken as more inputs:
+  // `missing` is the most any operation lacks, `first` the range of the
+  // first operation that lacks any.
+  const walk = (inputs) => {
+    const result = [];
+    const diagnostics = [];
+    const report = (severity, code, message, range) => diagnostics.push({ severity, code, message, ...range });
+    let missing = 0;
+    let first = null;
+
+    // Depth ranges of the current path, null once every path has failed
+    let state = { depth: [inputs, inputs], altDepth: [0, 0] };
+    const frames = [];
+
+    // Take `count` items off a stack; the paths that do not have them fail
+    // here, unless the caller can provide them
+    const take = (range, count, what, name, opRange) => {
+      if (range[0] < count && what === "stack" && options.initialDepth === undefined) {
+        missing = Math.max(missing, count - range[0]);
+        first ??= opRange;
+        return [count, Math.max(range[1], count)];
+      }
+      if (range[1] < count) {
+        report(ERROR, "underflow", `${name} needs ${count} ${what} item${count > 1 ? "s" : ""}, there ${range[1] === 1 ? "is" : "are"} at most ${range[1]}`, opRange);
+        return null;
+      }
+      if (range[0] < count) {
+        report(WARNING, "underflow", `${name} needs ${count} ${what} item${count > 1 ? "s" : ""}, some paths have only ${range[0]}`, opRange);
+      }
+      return [Math.max(range[0], count), range[1]];
+    };
+
+    ops.forEach((op, i) => {
+      const name = VAL2NAME.get(op.opcode) ?? unknownOpcodeName(op.opcode);
+      const range = ranges[i] ?? {};
+
+      if (op.opcode === OPC.OP_IF || op.opcode === OPC.OP_NOTIF) {
+        const depth = state && take(state.depth, 1, "stack", name, range);
+        state = depth && { ...state, depth: [depth[0] - 1, depth[1] - 1] };
+        frames.push({ before: state, done: null, hasElse: false });
+      } else if (op.opcode === OPC.OP_ELSE && frames.length) {
+        const frame = frames.at(-1);
+        frame.done = merge(frame.done, state);
+        frame.hasElse = true;
+        state = frame.before;
+      } else if (op.opcode === OPC.OP_ENDIF && frames.length) {
+        // without OP_ELSE, the paths that skipped the branch meet here too
+        const frame = frames.pop();
+        state = merge(frame.hasElse ? frame.done : frame.before, state);
+      } else if (state && (op.opcode === OPC.OP_ELSE || op.opcode === OPC.OP_ENDIF)) {
+        state = null; // unbalanced, the script fails here
+      } else if (state && op.opcode === OPC.OP_TOALTSTACK) {
+        const depth = take(state.depth, 1, "stack", name, range);
+        state = depth && { depth: [depth[0] - 1, depth[1] - 1], altDepth: [state.altDepth[0] + 1, state.altDepth[1] + 1] };
+      } else if (state && op.opcode === OPC.OP_FROMALTSTACK) {
+        const altDepth = take(state.altDepth, 1, "altstack", name, range);
+        state = altDepth && { depth: [state.depth[0] + 1, state.depth[1] + 1], altDepth: [altDepth[0] - 1, altDepth[1] - 1] };
+      } else if (state) {
+        const effect = stackEffect(ops, i);
+        const depth = effect && take(state.depth, effect.needs, "stack", name, range);
+        state = depth && { ...state, depth: [Math.max(0, depth[0] + effect.delta[0]), depth[1] + effect.delta[1]] };
+      }
+
+      result.push({ ...range, depth: state?.depth ?? null, altDepth: state?.altDepth ?? null });
+    });
+    return { result, diagnostics, state, missing, first };
+  };
+
+  // More inputs only raise the depths, so the passes end once none is missing
+  let inputs = options.initialDepth ?? 0;
+  let pass = walk(inputs);
+  const { first } = pass;
+  for (let k = 0; pass.missing && k <= ops.length; k++) {
+    inputs += pass.missing;
+    pass = walk(inputs);
+  }
+  const { result, diagnostics, state } = pass;
+  if (options.initialDepth === undefined && inputs > 0) {
+    diagnostics.unshift({ severity: INFO, code: "inputs", message: `The script expects ${inputs} item${inputs > 1 ? "s" : ""} on the stack when it starts`, ...first });
+  }
+
+  const lines = {};
+  for (const op of result) if (op.line !== undefined) lines[op.endLine] = { depth: op.depth, altDepth: op.altDepth };
+
+  if (state && state.depth[1] > 1 && ranges.length) {
+    const [min, max] = state.depth;
+    const left = min === max ? max : `up to ${max}`;
+    diagnostics.push({
+      severity: WARNING,
+      code: "cleanstack",
+      message: `The script can succeed with ${left} items on the stack, P2SH and witness scripts must leave exactly one`,
+      ...ranges.at(-1),
+    });
+  }
+
+  return { ops: result, lines, diagnostics, inputs };
+}
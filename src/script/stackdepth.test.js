@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { analyzeStackDepth } from "./stackdepth.js";
+
+const depths = (asm, options) => analyzeStackDepth(asm, options).ops.map((op) => op.depth);
+
+test("depths follow the stack effect of each opcode", () => {
+  const p2pkh = "OP_DUP OP_HASH160 <00112233445566778899aabbccddeeff00112233> OP_EQUALVERIFY OP_CHECKSIG";
+  const result = analyzeStackDepth(p2pkh, { initialDepth: 2 });
+  assert.deepEqual(result.ops.map((op) => op.depth[0]), [3, 3, 4, 2, 1]);
+  assert.deepEqual(result.diagnostics, []);
+  assert.deepEqual(result.ops[2], { line: 1, column: 19, endLine: 1, endColumn: 61, depth: [4, 4], altDepth: [0, 0] });
+
+  assert.deepEqual(depths("1 2 3 2 OP_PICK 2 OP_ROLL OP_TOALTSTACK", { initialDepth: 0 }).at(-1), [3, 3]);
+  assert.deepEqual(analyzeStackDepth("1 OP_TOALTSTACK").ops[1].altDepth, [1, 1]);
+  assert.equal(analyzeStackDepth("OP_1 <abc>"), null);
+});
+
+test("branches join into a range and OP_RETURN ends a path", () => {
+  assert.deepEqual(depths("1 OP_IF 1 1 OP_ELSE 1 OP_ENDIF"), [[1, 1], [0, 0], [1, 1], [2, 2], [0, 0], [1, 1], [1, 2]]);
+  assert.deepEqual(depths("1 OP_IF 1 OP_ENDIF").at(-1), [0, 1]);
+  assert.deepEqual(depths("1 OP_IF OP_RETURN OP_ELSE 1 OP_ENDIF 1").slice(2), [null, [0, 0], [1, 1], [1, 1], [2, 2]]);
+  assert.deepEqual(analyzeStackDepth("1 OP_IF 1 OP_ENDIF 1").lines, { 1: { depth: [1, 2], altDepth: [0, 0] } });
+});
+
+test("without an initial depth the items the script needs are its inputs", () => {
+  const p2pkh = "OP_DUP OP_HASH160 <00112233445566778899aabbccddeeff00112233>\nOP_EQUALVERIFY OP_CHECKSIG";
+  const result = analyzeStackDepth(p2pkh);
+  assert.equal(result.inputs, 2);
+  assert.deepEqual(result.ops.map((op) => op.depth[0]), [3, 3, 4, 2, 1]);
+  assert.deepEqual(result.diagnostics.map((d) => [d.severity, d.code, d.message, d.line, d.column]), [
+    ["info", "inputs", "The script expects 2 items on the stack when it starts", 1, 1],
+  ]);
+
+  const multisig = analyzeStackDepth("2 <02aa> <03bb> <02cc> 3 OP_CHECKMULTISIG");
+  assert.deepEqual([multisig.inputs, multisig.ops.at(-1).depth], [3, [1, 1]]);
+  assert.deepEqual(depths("1 OP_IF 1 OP_ENDIF OP_ADD"), [[3, 3], [2, 2], [3, 3], [2, 3], [1, 2]]);
+  assert.equal(analyzeStackDepth("1 OP_DROP").inputs, 0);
+  assert.deepEqual(analyzeStackDepth("1 OP_DROP").diagnostics, []);
+});
+
+test("underflows and extra items are flagged", () => {
+  const [always] = analyzeStackDepth("OP_DUP", { initialDepth: 0 }).diagnostics;
+  assert.deepEqual([always.severity, always.message], ["error", "OP_DUP needs 1 stack item, there are at most 0"]);
+
+  const [maybe] = analyzeStackDepth("1 OP_IF 1 OP_ENDIF OP_VERIFY", { initialDepth: 0 }).diagnostics;
+  assert.deepEqual([maybe.severity, maybe.column], ["warning", 20]);
+  assert.equal(maybe.message, "OP_VERIFY needs 1 stack item, some paths have only 0");
+
+  assert.equal(analyzeStackDepth("OP_FROMALTSTACK").diagnostics[0].message, "OP_FROMALTSTACK needs 1 altstack item, there are at most 0");
+  assert.equal(analyzeStackDepth("2 OP_CHECKMULTISIG", { initialDepth: 3 }).diagnostics[0].message, "OP_CHECKMULTISIG needs 5 stack items, there are at most 4");
+  const multisig = analyzeStackDepth("2 <02aa> <03bb> <02cc> 3 OP_CHECKMULTISIG", { initialDepth: 3 });
+  assert.deepEqual([multisig.ops.at(-1).depth, multisig.diagnostics], [[1, 1], []]);
+
+  const [extra] = analyzeStackDepth("1 OP_IF 1 OP_ENDIF 1").diagnostics;
+  assert.equal(extra.code, "cleanstack");
+  assert.equal(extra.message, "The script can succeed with up to 2 items on the stack, P2SH and witness scripts must leave exactly one");
+});
@@ -0,0 +1,185 @@
+/**
+ * HEX → ASM sync that keeps the ASM as written: the operations of the new
+ * hex are matched against those of the current ASM, matched ones keep their
+ * text (layout, comments, placeholders) and only the changed ones are
+ * disassembled in place.
+ */
+
+import { assemble, bytesToAsm, bytesToHex, cleanHex, decodeScript, hexToAsm, hexToBytes } from "./codec.js";
+
+// Largest middle section (old ops × new ops) aligned op by op; beyond it the
+// changed middle is replaced as a whole.
+const MAX_ALIGN_CELLS = 250000;
+
+// Operations of assembled ASM with the words each one was written as
+function asmOps(asm, options) {
+  const { bytes, words } = assemble(asm, options);
+  const ops = decodeScript(bytes).map((op) => ({ hex: bytesToHex(bytes.slice(op.pos, op.pos + op.size)), pos: op.pos, words: [] }));
+  const byPos = new Map(ops.map((op, i) => [op.pos, i]));
+  words.forEach((word, index) => ops[byPos.get(word.pos)]?.words.push(index));
+  return { ops, words };
+}
+
+// Longest common subsequence of two lists of hex strings, as an edit script
+// of { keep: [i, j] } / { del: i } / { ins: j }
+function alignOps(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+  const n = a.length - start - end;
+  const m = b.length - start - end;
+  const middle = [];
+  if (n * m <= MAX_ALIGN_CELLS) {
+    // lengths[i][j]: LCS of a[start+i..] and b[start+j..]
+    const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] = a[start + i] === b[start + j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) middle.push({ keep: [start + i++, start + j++] });
+      else if (j < m && (i === n || lengths[i][j + 1] >= lengths[i + 1][j])) middle.push({ ins: start + j++ });
+      else middle.push({ del: start + i++ });
+    }
+  } else {
+    for (let i = 0; i < n; i++) middle.push({ del: start + i });
+    for (let j = 0; j < m; j++) middle.push({ ins: start + j });
+  }
+
+  const keep = (k, offset) => ({ keep: [k, k + offset] });
+  return [
+    ...Array.from({ length: start }, (_, k) => keep(k, 0)),
+    ...middle,
+    ...Array.from({ length: end }, (_, k) => keep(a.length - end + k, b.length - a.length)),
+  ];
+}
+
+// Text offsets of a token's start and end
+function tokenOffsets(asm) {
+  const lineStarts = [0];
+  for (let i = 0; i < asm.length; i++) if (asm[i] === "\n") lineStarts.push(i + 1);
+  return (token) => {
+    const start = lineStarts[token.line - 1] + token.column - 1;
+    return [start, start + token.text.length];
+  };
+}
+
+/**
+ * Rewrite `asm` so it assembles to `hex`, keeping the text of every operation
+ * the two have in common and the whitespace and comments around them.
+ * Changed operations are disassembled where the old ones stood, added ones
+ * next to their neighbours; without any operation in common the hex is
+ * disassembled afresh.
+ *
+ * `words[i]` is the index of old word i in the new ASM, null when its
+ * operation was removed (empty when the old ASM did not assemble).
+ * @param {string} asm
+ * @param {string} hex
+ * @param {object} [options] assembler options (`minimal`, `bindings`) and `decimals`
+ * @returns {{asm: string, words: (number|null)[]}}
+ * @throws {Error} if the hex does not decode
+ */
+export function syncAsmToHex(asm, hex, options = {}) {
+  const newHex = cleanHex(hex);
+  const newBytes = hexToBytes(newHex);
+  const newOps = decodeScript(newBytes).map((op) => newBytes.slice(op.pos, op.pos + op.size));
+  const fresh = (oldWords = 0) => ({ asm: hexToAsm(newHex, options), words: new Array(oldWords).fill(null) });
+
+  let old;
+  try {
+    old = asmOps(asm, options);
+  } catch {
+    return fresh();
+  }
+  if (old.ops.some((op) => !op.words.length)) return fresh(old.words.length);
+
+  const edits = alignOps(old.ops.map((op) => op.hex), newOps.map(bytesToHex));
+  if (!edits.some((e) => e.keep)) return fresh(old.words.length);
+
+  const offsets = tokenOffsets(asm);
+  const span = (i) => [offsets(old.words[old.ops[i].words[0]])[0], offsets(old.words[old.ops[i].words.at(-1)])[1]];
+  const gapAfter = (i) => asm.slice(span(i)[1], i + 1 < old.ops.length ? span(i + 1)[0] : asm.length);
+  const opAsm = (j) => bytesToAsm(newOps[j], options).trim();
+
+  // Whitespace and comments after the last written operation are held back
+  // until the next one, so additions go right after their predecessor.
+  let out = asm.slice(0, span(0)[0]);
+  let gap = null;
+  const write = (text, i) => {
+    out += (gap ?? "") + text;
+    gap = gapAfter(i);
+  };
+  const moved = []; // [old op, new op] pairs whose words carry over
+  const dels = [];
+  const ins = [];
+  const flush = () => {
+    const paired = Math.min(dels.length, ins.length);
+    for (let k = 0; k < paired; k++) {
+      write(opAsm(ins[k]), dels[k]);
+      moved.push([dels[k], ins[k]]);
+    }
+    for (const j of ins.slice(paired)) {
+      if (gap === null) out += opAsm(j) + " ";
+      else out += " " + opAsm(j);
+    }
+    for (const i of dels.slice(paired)) {
+      const after = gapAfter(i);
+      // keep comments and line breaks of removed operations, not their spaces
+      if (gap === null || !/\S|\n/.test(after)) continue;
+      const kept = after.includes("\n") && gap.includes("\n") ? gap.slice(0, gap.lastIndexOf("\n")) : gap.replace(/[ \t]*$/, "");
+      gap = kept + after;
+    }
+    dels.length = 0;
+    ins.length = 0;
+  };
+  for (const edit of edits) {
+    if (edit.del !== undefined) dels.push(edit.del);
+    else if (edit.ins !== undefined) ins.push(edit.ins);
+    else {
+      flush();
+      write(asm.slice(...span(edit.keep[0])), edit.keep[0]);
+      moved.push(edit.keep);
+    }
+  }
+  flush();
+  out += gap ?? "";
+
+  let synced;
+  try {
+    synced = asmOps(out, options);
+  } catch {
+    return fresh(old.words.length);
+  }
+  if (synced.ops.map((op) => op.hex).join("") !== newHex) return fresh(old.words.length);
+
+  const words = new Array(old.words.length).fill(null);
+  for (const [i, j] of moved) {
+    const to = synced.ops[j].words;
+    old.ops[i].words.forEach((word, k) => {
+      words[word] = to[Math.min(k, to.length - 1)];
+    });
+  }
+  return { asm: out, words };
+}
+
+/**
+ * Where line breakpoints go after a sync: a line breakpoint stops at the first
+ * word of its line, so it moves to the line that word went to. Lines without
+ * a word, or whose first word was removed, map to null.
+ * @param {{line: number}[]} oldTokens `tokenizeAsm` of the old ASM
+ * @param {{line: number}[]} newTokens `tokenizeAsm` of the new ASM
+ * @param {(number|null)[]} words from `syncAsmToHex`
+ * @param {number[]} lines
+ * @returns {(number|null)[]} the new line of each of `lines`
+ */
+export function syncBreakpointLines(oldTokens, newTokens, words, lines) {
+  return lines.map((line) => {
+    const word = oldTokens.findIndex((t) => t.line === line);
+    return word >= 0 && words[word] !== null ? newTokens[words[word]].line : null;
+  });
+}
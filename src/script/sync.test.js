@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { asmToHex, tokenizeAsm } from "./codec.js";
+import { syncAsmToHex, syncBreakpointLines } from "./sync.js";
+
+test("a changed opcode is rewritten in place, keeping placeholders", () => {
+  const asm = "OP_DUP OP_HASH160 <pubKeyHash>\n  OP_EQUALVERIFY OP_CHECKSIG";
+  const bindings = { pubKeyHash: "00112233445566778899aabbccddeeff00112233" };
+  const hex = asmToHex(asm, { bindings }).replace(/ac$/, "ae");
+  const synced = syncAsmToHex(asm, hex, { bindings });
+  assert.equal(synced.asm, "OP_DUP OP_HASH160 <pubKeyHash>\n  OP_EQUALVERIFY OP_CHECKMULTISIG");
+  assert.deepEqual(synced.words, [0, 1, 2, 3, 4]);
+});
+
+test("insertions and deletions keep comments and layout", () => {
+  const asm = "OP_IF // yes\n  OP_1\nOP_ENDIF";
+  assert.equal(syncAsmToHex(asm, "63517568").asm, "OP_IF // yes\n  OP_1 OP_DROP\nOP_ENDIF");
+  assert.equal(syncAsmToHex(asm, "6368").asm, "OP_IF // yes\nOP_ENDIF");
+  assert.deepEqual(syncAsmToHex(asm, "6368").words, [0, null, 1]);
+
+  assert.equal(syncAsmToHex("OP_1 OP_2 // two\nOP_3", "5153").asm, "OP_1 // two\nOP_3");
+  assert.equal(syncAsmToHex("OP_1 OP_2\nOP_3", "5153").asm, "OP_1\nOP_3");
+  assert.equal(syncAsmToHex("OP_1 OP_2", "0052").asm, "0 OP_2");
+  assert.equal(syncAsmToHex("OP_1 OP_2", "7552").asm, "OP_DROP OP_2");
+  assert.equal(syncAsmToHex("OP_1 OP_2", "5152").asm, "OP_1 OP_2");
+});
+
+test("the hex is disassembled afresh when nothing is left in common", () => {
+  assert.deepEqual(syncAsmToHex("OP_1 // one", "5253"), { asm: "2\n3\n", words: [null] });
+  assert.deepEqual(syncAsmToHex("", "51"), { asm: "1\n", words: [] });
+  assert.deepEqual(syncAsmToHex("OP_BOGUS", "51"), { asm: "1\n", words: [] });
+  assert.throws(() => syncAsmToHex("OP_1", "4c"));
+});
+
+test("line breakpoints follow the first word of their line", () => {
+  const asm = "OP_1\nOP_2\nOP_3\nOP_4";
+  const synced = syncAsmToHex(asm, "75515354");
+  assert.equal(synced.asm, "OP_DROP OP_1\nOP_3\nOP_4");
+  const lines = syncBreakpointLines(tokenizeAsm(asm), tokenizeAsm(synced.asm), synced.words, [1, 2, 4]);
+  assert.deepEqual(lines, [1, null, 3]);
+});
@@ -0,0 +1,103 @@
+/**
+ * Built-in script templates: the standard output scripts and a few contracts
+ * written with `<name>` placeholders, bound to sample values so they assemble
+ * as loaded. Examples given as hex are disassembled when loaded.
+ */
+
+const PUBKEY_A = "02a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1";
+const PUBKEY_B = "03b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2";
+const PUBKEY_C = "02c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3";
+const HASH160 = "00112233445566778899aabbccddeeff00112233";
+const HASH256 = "00112233445566778899aabbccddeeff00112233445566778899aabbccddeeff";
+
+/**
+ * @type {{id: string, name: string, description: string, asm?: string, hex?: string, bindings?: Object<string, string>}[]}
+ */
+export const TEMPLATES = [
+  {
+    id: "p2pkh",
+    name: "P2PKH",
+    description: "Pay to public key hash (legacy)",
+    asm: "OP_DUP OP_HASH160 <pubKeyHash> OP_EQUALVERIFY OP_CHECKSIG",
+    bindings: { pubKeyHash: HASH160 },
+  },
+  {
+    id: "p2sh",
+    name: "P2SH",
+    description: "Pay to script hash (BIP16)",
+    asm: "OP_HASH160 <scriptHash> OP_EQUAL",
+    bindings: { scriptHash: HASH160 },
+  },
+  {
+    id: "p2wpkh",
+    name: "P2WPKH",
+    description: "Witness v0 public key hash",
+    asm: "OP_0 <pubKeyHash>",
+    bindings: { pubKeyHash: HASH160 },
+  },
+  {
+    id: "p2wsh",
+    name: "P2WSH",
+    description: "Witness v0 script hash (SHA256 of the witness script)",
+    asm: "OP_0 <witnessScriptHash>",
+    bindings: { witnessScriptHash: HASH256 },
+  },
+  {
+    id: "p2tr",
+    name: "P2TR",
+    description: "Witness v1 taproot output key",
+    asm: "OP_1 <outputKey>",
+    bindings: { outputKey: HASH256 },
+  },
+  {
+    id: "multisig",
+    name: "2-of-3 multisig",
+    description: "Bare CHECKMULTISIG; the scriptSig starts with OP_0 for the extra pop",
+    asm: "OP_2 <pubKeyA> <pubKeyB> <pubKeyC> OP_3 OP_CHECKMULTISIG",
+    bindings: { pubKeyA: PUBKEY_A, pubKeyB: PUBKEY_B, pubKeyC: PUBKEY_C },
+  },
+  {
+    id: "htlc",
+    name: "HTLC",
+    description: "Hash time locked contract: the recipient with the preimage, or the sender after the timeout",
+    asm: [
+      "OP_IF",
+      "  // <sig> <recipientPubKey> <preimage> OP_1",
+      "  OP_SHA256 <paymentHash> OP_EQUALVERIFY",
+      "  OP_DUP OP_HASH160 <recipientHash>",
+      "OP_ELSE",
+      "  // <sig> <senderPubKey> OP_0",
+      "  <timeout> OP_CHECKLOCKTIMEVERIFY OP_DROP",
+      "  OP_DUP OP_HASH160 <senderHash>",
+      "OP_ENDIF",
+      "OP_EQUALVERIFY OP_CHECKSIG",
+    ].join("\n"),
+    bindings: { paymentHash: HASH256, recipientHash: HASH160, timeout: "800000", senderHash: "ffeeddccbbaa99887766554433221100ffeeddcc" },
+  },
+  {
+    id: "cltv",
+    name: "CLTV timelock",
+    description: "Spendable by one key from an absolute block height or time (BIP65)",
+    asm: "<locktime> OP_CHECKLOCKTIMEVERIFY OP_DROP\nOP_DUP OP_HASH160 <pubKeyHash> OP_EQUALVERIFY OP_CHECKSIG",
+    bindings: { locktime: "800000", pubKeyHash: HASH160 },
+  },
+  {
+    id: "csv",
+    name: "CSV timelock",
+    description: "Spendable by one key a number of blocks after confirmation (BIP112)",
+    asm: "<delay> OP_CHECKSEQUENCEVERIFY OP_DROP\n<pubKey> OP_CHECKSIG",
+    bindings: { delay: "144", pubKey: PUBKEY_A },
+  },
+  {
+    id: "negative-numbers",
+    name: "Negative numbers arithmetics demo",
+    description: "Script numbers with the sign bit, and negative zero",
+    hex: "0181018193020180020180930301008003010080930401000080040100008093876987690280010280019302000387",
+  },
+  {
+    id: "what-is-false",
+    name: "What is false demo",
+    description: "Which stack items OP_IF treats as false",
+    hex: "006351675a685151946351675a6801806351675a68028000635a6751680200006351675a680200806351675a689393939393013c87",
+  },
+];
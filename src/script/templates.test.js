@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TEMPLATES } from "./templates.js";
+import { asmToHex, hexToAsm, listPlaceholders } from "./codec.js";
+
+test("every template assembles with its sample bindings", () => {
+  assert.equal(new Set(TEMPLATES.map((t) => t.id)).size, TEMPLATES.length);
+  for (const template of TEMPLATES) {
+    const asm = template.asm ?? hexToAsm(template.hex);
+    const hex = asmToHex(asm, { bindings: template.bindings });
+    if (template.hex) assert.equal(hex, template.hex, template.id);
+    assert.deepEqual(listPlaceholders(asm).filter((name) => !(name in (template.bindings || {}))), [], template.id);
+  }
+});
+
+test("P2PKH binds to the standard script", () => {
+  const p2pkh = TEMPLATES.find((t) => t.id === "p2pkh");
+  assert.equal(asmToHex(p2pkh.asm, { bindings: p2pkh.bindings }), "76a91400112233445566778899aabbccddeeff0011223388ac");
+});
@@ -0,0 +1,244 @@
+/**
+ * Helpers for debugger traces: `{status, error, trace: [{pc, stack, altstack}]}`
+ * as returned by `/run-job` and by `runScript`.
+ *
+ * Every opcode, executed or skipped, adds a step whose `pc` is the position of
+ * the next opcode; `trace[0]` is the state before the first one. Spend traces
+ * name their script in `script` (scriptPubKey when absent).
+ */
+
+import { OPC, VAL2NAME, unknownOpcodeName } from "./opcodes.js";
+import { hexToBytes, readOp } from "./codec.js";
+import { castToBool, SCRIPT_PUBKEY } from "./interpreter.js";
+import { diffStack } from "./inspect.js";
+
+const TRACE_FIELDS = ["pc", "stack", "altstack"];
+
+// Backends may send pc as a string and hex in either case.
+function normalizeField(field, value) {
+  if (value === undefined) return undefined;
+  if (field === "pc") return String(value);
+  return JSON.stringify(value.map((item) => String(item).toLowerCase()));
+}
+
+/**
+ * Compare two results of the same script step by step.
+ *
+ * `steps` lists every trace index where the traces disagree together with the
+ * differing fields ("pc", "stack", "altstack"; all three when one trace is
+ * shorter). `firstDifference` is the first such index, or the last index when
+ * only the final status/error differ, or null when the results are identical.
+ * @param {object} reference e.g. the bitcoin-debugger result
+ * @param {object} candidate e.g. the local interpreter result
+ * @returns {{equal: boolean, steps: {index: number, fields: string[]}[], statusDiffers: boolean, firstDifference: number|null}}
+ */
+export function compareTraces(reference, candidate) {
+  const a = reference.trace || [];
+  const b = candidate.trace || [];
+  const steps = [];
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const fields = TRACE_FIELDS.filter(
+      (f) => !a[i] || !b[i] || normalizeField(f, a[i][f]) !== normalizeField(f, b[i][f])
+    );
+    if (fields.length) steps.push({ index: i, fields });
+  }
+
+  const statusDiffers =
+    reference.status !== candidate.status || (reference.error || "") !== (candidate.error || "");
+
+  let firstDifference = null;
+  if (steps.length) firstDifference = steps[0].index;
+  else if (statusDiffers) firstDifference = Math.max(a.length - 1, 0);
+
+  return { equal: firstDifference === null, steps, statusDiffers, firstDifference };
+}
+
+// -------------------- Conditionals --------------------
+const scriptOf = (entry) => entry.script || SCRIPT_PUBKEY;
+
+function opcodeAt(script, pc) {
+  try {
+    return script ? readOp(script, Number(pc)).opcode : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Branch structure of a script: for the pc of every OP_IF, OP_NOTIF and
+ * OP_ELSE, `next` is the pc of the OP_ELSE or OP_ENDIF that ends its branch
+ * and `end` the pc of the block's OP_ENDIF. Unbalanced opcodes are left out.
+ * @param {Uint8Array} script
+ * @returns {Map<number, {next: number, end: number}>}
+ */
+export function matchConditionals(script) {
+  const branches = new Map();
+  const open = []; // pcs of the IF and ELSEs of each unclosed block
+  for (let pc = 0; pc < script.length; ) {
+    let op;
+    try {
+      op = readOp(script, pc);
+    } catch {
+      break;
+    }
+    if (op.opcode === OPC.OP_IF || op.opcode === OPC.OP_NOTIF) {
+      open.push([pc]);
+    } else if (op.opcode === OPC.OP_ELSE && open.length) {
+      open[open.length - 1].push(pc);
+    } else if (op.opcode === OPC.OP_ENDIF && open.length) {
+      const block = open.pop();
+      block.forEach((start, i) => branches.set(start, { next: block[i + 1] ?? pc, end: pc }));
+    }
+    pc += op.size;
+  }
+  return branches;
+}
+
+/**
+ * Core's execution condition stack (vfExec) at every trace step, rebuilt from
+ * the conditional opcodes the trace passes and the stack each IF consumed.
+ *
+ * Entry i lists the open IF blocks at `trace[i]`, outermost first, as
+ * `{pc, value}`: `pc` of the IF, NOTIF or ELSE whose branch is current and
+ * `value` whether that branch executes on its own (`null` when the stack it
+ * depended on is not in the trace). A branch runs only if it and every
+ * enclosing one are true.
+ * @param {object[]} trace
+ * @param {object} scripts script name -> bytes (`scriptPubKey` for plain traces)
+ * @returns {{pc: number, value: boolean|null}[][]}
+ */
+export function conditionStacks(trace, scripts) {
+  const out = [];
+  let frames = [];
+  trace.forEach((entry, i) => {
+    const prev = trace[i - 1];
+    if (!prev || scriptOf(prev) !== scriptOf(entry)) {
+      frames = [];
+    } else {
+      const pc = Number(prev.pc);
+      const opcode = opcodeAt(scripts[scriptOf(entry)], pc);
+      if (opcode === OPC.OP_IF || opcode === OPC.OP_NOTIF) {
+        let value = false;
+        if (!frames.some((f) => f.value === false)) {
+          const top = prev.stack?.[prev.stack.length - 1];
+          value = top === undefined || frames.some((f) => f.value === null)
+            ? null
+            : castToBool(hexToBytes(top)) !== (opcode === OPC.OP_NOTIF);
+        }
+        frames = [...frames, { pc, value }];
+      } else if (opcode === OPC.OP_ELSE && frames.length) {
+        const last = frames[frames.length - 1];
+        frames = [...frames.slice(0, -1), { pc, value: last.value === null ? null : !last.value }];
+      } else if (opcode === OPC.OP_ENDIF && frames.length) {
+        frames = frames.slice(0, -1);
+      }
+    }
+    out.push(frames);
+  });
+  return out;
+}
+
+/**
+ * Step over a branch: from trace index `i` whose next opcode is an OP_IF,
+ * OP_NOTIF or OP_ELSE, the index where the OP_ELSE or OP_ENDIF ending that
+ * branch is next.
+ * @param {object[]} trace
+ * @param {object} scripts script name -> bytes
+ * @param {number} i
+ * @returns {number|null} null when the next opcode opens no branch
+ */
+export function branchEndIndex(trace, scripts, i) {
+  const entry = trace[i];
+  const script = scripts[scriptOf(entry)];
+  const branch = script && matchConditionals(script).get(Number(entry.pc));
+  if (!branch) return null;
+  for (let j = i + 1; j < trace.length && scriptOf(trace[j]) === scriptOf(entry); j++) {
+    if (Number(trace[j].pc) === branch.next) return j;
+  }
+  return null;
+}
+
+/**
+ * Step out of the innermost IF block open at trace index `i`: the first later
+ * index of the same script where the block is closed.
+ * @param {object[]} trace
+ * @param {object[][]} conditions from `conditionStacks`
+ * @param {number} i
+ * @returns {number|null} null outside IF blocks or when the script stops first
+ */
+export function blockExitIndex(trace, conditions, i) {
+  const depth = conditions[i]?.length || 0;
+  if (!depth) return null;
+  for (let j = i + 1; j < trace.length && scriptOf(trace[j]) === scriptOf(trace[i]); j++) {
+    if (conditions[j].length < depth) return j;
+  }
+  return null;
+}
+
+// -------------------- Timeline --------------------
+const CONDITIONALS = [OPC.OP_IF, OPC.OP_NOTIF, OPC.OP_ELSE, OPC.OP_ENDIF];
+
+/**
+ * Name of the opcode at `pc`, pushes as "PUSH <n>"; null past the end of the
+ * script or when the script is unknown.
+ * @param {Uint8Array} [script]
+ * @param {number} pc
+ * @returns {string|null}
+ */
+export function opcodeName(script, pc) {
+  if (!script || Number(pc) >= script.length) return null;
+  let op;
+  try {
+    op = readOp(script, Number(pc));
+  } catch {
+    return "truncated push";
+  }
+  if (op.opcode >= 0x01 && op.opcode <= 0x4b) return `PUSH ${op.data.length}`;
+  return VAL2NAME.get(op.opcode) ?? unknownOpcodeName(op.opcode);
+}
+
+/**
+ * One row per trace step for the execution timeline.
+ *
+ * `opcode` is the opcode that led to the step (null for the first step of
+ * each script), `skipped` whether it sat in a false branch, `depth` the stack
+ * depth and `delta` the stack change against the previous step, e.g.
+ * "+1 -2 ~1" (pushed, popped, modified). Stubs without a stack get a null
+ * depth and an empty delta.
+ * @param {object[]} trace
+ * @param {object} scripts script name -> bytes
+ * @param {object[][]} [conditions] from `conditionStacks`
+ * @returns {{step: number, script: string, pc: number, opcode: string|null, skipped: boolean, depth: number|null, delta: string}[]}
+ */
+export function timelineRows(trace, scripts, conditions = conditionStacks(trace, scripts)) {
+  return trace.map((entry, i) => {
+    const prev = trace[i - 1];
+    const sameScript = prev && scriptOf(prev) === scriptOf(entry);
+    const script = scripts[scriptOf(entry)];
+    const opcode = sameScript ? opcodeName(script, prev.pc) : null;
+    const skipped = Boolean(sameScript) &&
+      !CONDITIONALS.includes(opcodeAt(script, prev.pc)) &&
+      (conditions[i - 1] || []).some((f) => f.value === false);
+
+    let delta = "";
+    if (prev?.stack && entry.stack) {
+      const { changes, popped } = diffStack(prev.stack, entry.stack);
+      const count = (change) => changes.filter((c) => c === change).length;
+      delta = [
+        count("pushed") && `+${count("pushed")}`,
+        popped.length && `-${popped.length}`,
+        count("modified") && `~${count("modified")}`,
+      ].filter(Boolean).join(" ");
+    }
+    return {
+      step: i + 1,
+      script: scriptOf(entry),
+      pc: Number(entry.pc),
+      opcode,
+      skipped,
+      depth: entry.stack ? entry.stack.length : null,
+      delta,
+    };
+  });
+}
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { asmToBytes } from "./codec.js";
+import { runScript } from "./interpreter.js";
+import {
+  compareTraces,
+  matchConditionals,
+  conditionStacks,
+  branchEndIndex,
+  blockExitIndex,
+  opcodeName,
+  timelineRows,
+} from "./trace.js";
+
+const result = (status, error, trace) => ({ status, error, trace });
+const step = (pc, stack, altstack = []) => ({ pc, stack, altstack });
+
+test("identical results are equal", () => {
+  const a = result("success", "", [step(0, []), step(1, ["01"])]);
+  const b = result("success", "", [step("0", []), step(1, ["01"])]);
+  assert.deepEqual(compareTraces(a, b), { equal: true, steps: [], statusDiffers: false, firstDifference: null });
+});
+
+test("first differing step and fields are reported", () => {
+  const a = result("success", "", [step(0, []), step(1, ["AB"]), step(2, ["ab", "01"])]);
+  const b = result("success", "", [step(0, []), step(1, ["ab"]), step(2, ["ab", "00"], ["01"])]);
+  const diff = compareTraces(a, b);
+  assert.equal(diff.firstDifference, 2);
+  assert.deepEqual(diff.steps, [{ index: 2, fields: ["stack", "altstack"] }]);
+});
+
+test("a shorter trace differs at the first missing step", () => {
+  const a = result("error", "x", [step(0, []), step(1, ["01"])]);
+  const b = result("error", "x", [step(0, [])]);
+  assert.deepEqual(compareTraces(a, b).steps, [{ index: 1, fields: ["pc", "stack", "altstack"] }]);
+});
+
+test("final status and error are compared", () => {
+  const a = result("error", "Operation limit exceeded", [step(0, [])]);
+  const b = result("error", "Stack size limit exceeded", [step(0, [])]);
+  const diff = compareTraces(a, b);
+  assert.equal(diff.statusDiffers, true);
+  assert.equal(diff.firstDifference, 0);
+});
+
+test("matchConditionals pairs IF, ELSE and ENDIF", () => {
+  // 0:IF 1:1 2:IF 3:ELSE 4:ENDIF 5:ELSE 6:2 7:ENDIF
+  const branches = matchConditionals(asmToBytes("OP_IF OP_1 OP_IF OP_ELSE OP_ENDIF OP_ELSE OP_2 OP_ENDIF"));
+  assert.deepEqual(Object.fromEntries(branches), {
+    0: { next: 5, end: 7 },
+    2: { next: 3, end: 4 },
+    3: { next: 4, end: 4 },
+    5: { next: 7, end: 7 },
+  });
+  assert.equal(matchConditionals(asmToBytes("OP_ELSE OP_IF")).size, 0);
+});
+
+test("conditionStacks rebuilds vfExec and the branch navigation follows it", () => {
+  const script = asmToBytes("OP_0 OP_1 OP_IF OP_IF OP_2 OP_ELSE OP_3 OP_ENDIF OP_ENDIF");
+  const { trace } = runScript(script);
+  const scripts = { scriptPubKey: script };
+  const conditions = conditionStacks(trace, scripts);
+  const at = (pc) => trace.findIndex((e) => e.pc === pc);
+
+  assert.deepEqual(conditions[at(3)], [{ pc: 2, value: true }]);
+  assert.deepEqual(conditions[at(5)], [{ pc: 2, value: true }, { pc: 3, value: false }]);
+  assert.deepEqual(conditions[at(6)], [{ pc: 2, value: true }, { pc: 5, value: true }]);
+  assert.deepEqual(conditions[trace.length - 1], []);
+
+  // over the false branch to its ELSE, out of the outer IF past its ENDIF
+  assert.equal(branchEndIndex(trace, scripts, at(3)), at(5));
+  assert.equal(branchEndIndex(trace, scripts, at(0)), null);
+  assert.equal(blockExitIndex(trace, conditions, at(5)), at(8));
+  assert.equal(blockExitIndex(trace, conditions, at(8)), trace.length - 1);
+  assert.equal(blockExitIndex(trace, conditions, 0), null);
+});
+
+test("timelineRows names the opcode of every step and its stack change", () => {
+  // 0:1 1:PUSH 2 4:0 5:IF 6:DROP 7:ENDIF 8:ADD
+  const script = asmToBytes("OP_1 0203 OP_0 OP_IF OP_DROP OP_ENDIF OP_ADD");
+  const { trace } = runScript(script);
+  const rows = timelineRows(trace, { scriptPubKey: script });
+
+  assert.deepEqual(rows.map((r) => r.opcode), [null, "OP_1", "PUSH 2", "OP_0", "OP_IF", "OP_DROP", "OP_ENDIF", "OP_ADD"]);
+  assert.deepEqual(rows.map((r) => r.skipped), [false, false, false, false, false, true, false, false]);
+  assert.deepEqual(rows.map((r) => r.depth), [0, 1, 2, 3, 2, 2, 2, 1]);
+  assert.deepEqual(rows.map((r) => r.delta), ["", "+1", "+1", "+1", "-1", "", "", "-1 ~1"]);
+  assert.deepEqual(rows[7], { step: 8, script: "scriptPubKey", pc: 9, opcode: "OP_ADD", skipped: false, depth: 1, delta: "-1 ~1" });
+
+  assert.equal(opcodeName(script, 9), null);
+  assert.equal(opcodeName(Uint8Array.of(0x4c), 0), "truncated push");
+});
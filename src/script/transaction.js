@@ -0,0 +1,465 @@
+/**
+ * Transactions as seen by the script interpreter: parsing of the spending
+ * transaction, the three signature hash algorithms (legacy, BIP143, BIP341)
+ * and a signature checker that verifies CHECKSIG, CHECKLOCKTIMEVERIFY and
+ * CHECKSEQUENCEVERIFY against a real spend.
+ */
+
+import { sha256 } from "@noble/hashes/sha2";
+import { concatBytes, utf8ToBytes } from "@noble/hashes/utils";
+import { secp256k1, schnorr } from "@noble/curves/secp256k1";
+
+import { OPC } from "./opcodes.js";
+import { hexToBytes, readOp } from "./codec.js";
+import { SIGVERSION } from "./flags.js";
+import { scriptError } from "./errors.js";
+
+export const SIGHASH_DEFAULT = 0x00;
+export const SIGHASH_ALL = 0x01;
+export const SIGHASH_NONE = 0x02;
+export const SIGHASH_SINGLE = 0x03;
+export const SIGHASH_ANYONECANPAY = 0x80;
+
+export const SEQUENCE_FINAL = 0xffffffff;
+export const SEQUENCE_LOCKTIME_DISABLE_FLAG = 2 ** 31;
+export const SEQUENCE_LOCKTIME_TYPE_FLAG = 2 ** 22;
+export const SEQUENCE_LOCKTIME_MASK = 0x0000ffff;
+export const LOCKTIME_THRESHOLD = 500000000;
+
+export const TAPSCRIPT_LEAF_VERSION = 0xc0;
+export const TAPROOT_LEAF_MASK = 0xfe;
+export const TAPROOT_CONTROL_BASE_SIZE = 33;
+export const TAPROOT_CONTROL_NODE_SIZE = 32;
+export const TAPROOT_CONTROL_MAX_NODE_COUNT = 128;
+const VALIDATION_WEIGHT_OFFSET = 50;
+
+// -------------------- Serialization --------------------
+const sha256d = (bytes) => sha256(sha256(bytes));
+
+function u32(n) {
+  const out = new Uint8Array(4);
+  new DataView(out.buffer).setUint32(0, n >>> 0, true);
+  return out;
+}
+
+function u64(n) {
+  const out = new Uint8Array(8);
+  new DataView(out.buffer).setBigUint64(0, BigInt.asUintN(64, BigInt(n)), true);
+  return out;
+}
+
+function compactSize(n) {
+  if (n < 0xfd) return Uint8Array.of(n);
+  if (n <= 0xffff) return Uint8Array.of(0xfd, n & 0xff, n >> 8);
+  return concatBytes(Uint8Array.of(0xfe), u32(n));
+}
+
+const varBytes = (bytes) => concatBytes(compactSize(bytes.length), bytes);
+
+const outpoint = (input) => concatBytes(input.txid, u32(input.vout));
+
+const txOut = (output) => concatBytes(u64(output.value), varBytes(output.scriptPubKey));
+
+function taggedHash(tag, ...parts) {
+  const tagHash = sha256(utf8ToBytes(tag));
+  return sha256(concatBytes(tagHash, tagHash, ...parts));
+}
+
+/**
+ * Parse a serialized transaction, with or without witness data.
+ *
+ * Input txids are kept in serialization (internal) byte order.
+ * @param {string|Uint8Array} tx
+ * @returns {{version: number, inputs: object[], outputs: object[], locktime: number}}
+ * @throws {Error} on truncated or trailing data
+ */
+export function parseTx(tx) {
+  const bytes = typeof tx === "string" ? hexToBytes(tx) : tx;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 0;
+
+  const need = (n) => {
+    if (pos + n > bytes.length) throw new Error("Invalid transaction: unexpected end of data");
+  };
+  const readU8 = () => (need(1), bytes[pos++]);
+  const readU32 = () => (need(4), (pos += 4), view.getUint32(pos - 4, true));
+  const readU64 = () => (need(8), (pos += 8), view.getBigUint64(pos - 8, true));
+  const readBytes = (n) => (need(n), (pos += n), bytes.slice(pos - n, pos));
+  const readCompactSize = () => {
+    const first = readU8();
+    if (first < 0xfd) return first;
+    if (first === 0xfd) return (need(2), (pos += 2), view.getUint16(pos - 2, true));
+    if (first === 0xfe) return readU32();
+    return Number(readU64());
+  };
+  const readVarBytes = () => readBytes(readCompactSize());
+
+  const version = readU32();
+  let segwit = false;
+  if (bytes[pos] === 0x00 && bytes[pos + 1] === 0x01) {
+    segwit = true;
+    pos += 2;
+  }
+
+  const inputs = [];
+  for (let n = readCompactSize(); n > 0; n--) {
+    inputs.push({
+      txid: readBytes(32),
+      vout: readU32(),
+      scriptSig: readVarBytes(),
+      sequence: readU32(),
+      witness: [],
+    });
+  }
+  const outputs = [];
+  for (let n = readCompactSize(); n > 0; n--) {
+    outputs.push({ value: readU64(), scriptPubKey: readVarBytes() });
+  }
+  if (segwit) {
+    for (const input of inputs) {
+      for (let n = readCompactSize(); n > 0; n--) input.witness.push(readVarBytes());
+    }
+  }
+  const locktime = readU32();
+  if (pos !== bytes.length) throw new Error("Invalid transaction: trailing data");
+
+  return { version, inputs, outputs, locktime };
+}
+
+/**
+ * Serialize a transaction as parsed by `parseTx`, in the segwit format when
+ * any input has a witness.
+ * @param {object} tx
+ * @param {object} [options]
+ * @param {boolean} [options.witness=true] false for the txid serialization
+ * @returns {Uint8Array}
+ */
+export function serializeTx(tx, { witness = true } = {}) {
+  const segwit = witness && tx.inputs.some((input) => input.witness.length);
+  return concatBytes(
+    u32(tx.version),
+    segwit ? Uint8Array.of(0x00, 0x01) : new Uint8Array(0),
+    compactSize(tx.inputs.length),
+    ...tx.inputs.map((input) => concatBytes(outpoint(input), varBytes(input.scriptSig), u32(input.sequence))),
+    compactSize(tx.outputs.length),
+    ...tx.outputs.map(txOut),
+    ...(segwit
+      ? tx.inputs.map((input) => concatBytes(compactSize(input.witness.length), ...input.witness.map(varBytes)))
+      : []),
+    u32(tx.locktime)
+  );
+}
+
+/**
+ * Transaction id in serialization (internal) byte order, as used in outpoints.
+ * @param {object} tx
+ * @returns {Uint8Array}
+ */
+export function txid(tx) {
+  return sha256d(serializeTx(tx, { witness: false }));
+}
+
+// -------------------- Signature hashes --------------------
+// Legacy scriptCode is signed without its OP_CODESEPARATORs.
+function stripCodeSeparators(script) {
+  const parts = [];
+  for (let pos = 0; pos < script.length; ) {
+    let op;
+    try {
+      op = readOp(script, pos);
+    } catch {
+      parts.push(script.slice(pos));
+      break;
+    }
+    if (op.opcode !== OPC.OP_CODESEPARATOR) parts.push(script.slice(pos, pos + op.size));
+    pos += op.size;
+  }
+  return concatBytes(...parts);
+}
+
+/**
+ * Legacy (pre-segwit) signature hash, including the SIGHASH_SINGLE bug.
+ * @param {object} tx parsed transaction
+ * @param {number} inputIndex
+ * @param {Uint8Array} scriptCode
+ * @param {number} hashType
+ * @returns {Uint8Array}
+ */
+export function legacySighash(tx, inputIndex, scriptCode, hashType) {
+  const base = hashType & 0x1f;
+  const anyoneCanPay = (hashType & SIGHASH_ANYONECANPAY) !== 0;
+  if (base === SIGHASH_SINGLE && inputIndex >= tx.outputs.length) {
+    const one = new Uint8Array(32);
+    one[0] = 1;
+    return one;
+  }
+
+  const code = stripCodeSeparators(scriptCode);
+  const inputs = (anyoneCanPay ? [inputIndex] : tx.inputs.map((_, i) => i)).map((i) => {
+    const input = tx.inputs[i];
+    const sequence = i !== inputIndex && (base === SIGHASH_NONE || base === SIGHASH_SINGLE) ? 0 : input.sequence;
+    return concatBytes(outpoint(input), varBytes(i === inputIndex ? code : new Uint8Array(0)), u32(sequence));
+  });
+
+  let outputs = tx.outputs;
+  if (base === SIGHASH_NONE) outputs = [];
+  else if (base === SIGHASH_SINGLE) {
+    outputs = tx.outputs
+      .slice(0, inputIndex + 1)
+      .map((out, i) => (i === inputIndex ? out : { value: -1n, scriptPubKey: new Uint8Array(0) }));
+  }
+
+  return sha256d(
+    concatBytes(
+      u32(tx.version),
+      compactSize(inputs.length),
+      ...inputs,
+      compactSize(outputs.length),
+      ...outputs.map(txOut),
+      u32(tx.locktime),
+      u32(hashType)
+    )
+  );
+}
+
+/**
+ * BIP143 signature hash for segwit v0 inputs.
+ * @param {object} tx parsed transaction
+ * @param {number} inputIndex
+ * @param {Uint8Array} scriptCode
+ * @param {bigint} amount value of the spent output, in satoshis
+ * @param {number} hashType
+ * @returns {Uint8Array}
+ */
+export function witnessV0Sighash(tx, inputIndex, scriptCode, amount, hashType) {
+  const base = hashType & 0x1f;
+  const anyoneCanPay = (hashType & SIGHASH_ANYONECANPAY) !== 0;
+  const zero = new Uint8Array(32);
+  const input = tx.inputs[inputIndex];
+
+  const hashPrevouts = anyoneCanPay ? zero : sha256d(concatBytes(...tx.inputs.map(outpoint)));
+  const hashSequence =
+    anyoneCanPay || base === SIGHASH_SINGLE || base === SIGHASH_NONE
+      ? zero
+      : sha256d(concatBytes(...tx.inputs.map((i) => u32(i.sequence))));
+  let hashOutputs = zero;
+  if (base !== SIGHASH_SINGLE && base !== SIGHASH_NONE) {
+    hashOutputs = sha256d(concatBytes(...tx.outputs.map(txOut)));
+  } else if (base === SIGHASH_SINGLE && inputIndex < tx.outputs.length) {
+    hashOutputs = sha256d(txOut(tx.outputs[inputIndex]));
+  }
+
+  return sha256d(
+    concatBytes(
+      u32(tx.version),
+      hashPrevouts,
+      hashSequence,
+      outpoint(input),
+      varBytes(scriptCode),
+      u64(amount),
+      u32(input.sequence),
+      hashOutputs,
+      u32(tx.locktime),
+      u32(hashType)
+    )
+  );
+}
+
+/**
+ * BIP341 tagged hash of a tapscript leaf.
+ * @param {Uint8Array} script
+ * @param {number} [leafVersion]
+ * @returns {Uint8Array}
+ */
+export function tapleafHash(script, leafVersion = TAPSCRIPT_LEAF_VERSION) {
+  return taggedHash("TapLeaf", Uint8Array.of(leafVersion), varBytes(script));
+}
+
+/**
+ * Check that a control block commits the tapleaf into the taproot output key
+ * `program` (BIP341 script path).
+ * @param {Uint8Array} control
+ * @param {Uint8Array} program 32-byte x-only output key
+ * @param {Uint8Array} leafHash
+ * @returns {boolean}
+ */
+export function verifyTaprootCommitment(control, program, leafHash) {
+  let k = leafHash;
+  for (let pos = TAPROOT_CONTROL_BASE_SIZE; pos < control.length; pos += TAPROOT_CONTROL_NODE_SIZE) {
+    const node = control.subarray(pos, pos + TAPROOT_CONTROL_NODE_SIZE);
+    k = compareBytes(k, node) < 0 ? taggedHash("TapBranch", k, node) : taggedHash("TapBranch", node, k);
+  }
+  try {
+    const { outputKey, parity } = taprootTweak(control.subarray(1, TAPROOT_CONTROL_BASE_SIZE), k);
+    return compareBytes(outputKey, program) === 0 && parity === (control[0] & 1);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Tweak a taproot internal key with a script tree root (BIP341).
+ * @param {Uint8Array} internalKey 32-byte x-only key
+ * @param {Uint8Array} merkleRoot
+ * @returns {{outputKey: Uint8Array, parity: number}} x-only output key and the
+ *   parity of its y coordinate (the low bit of the control block)
+ * @throws {Error} if the key is not on the curve or the tweak overflows
+ */
+export function taprootTweak(internalKey, merkleRoot) {
+  const { lift_x, bytesToNumberBE, numberToBytesBE } = schnorr.utils;
+  const tweak = bytesToNumberBE(taggedHash("TapTweak", internalKey, merkleRoot));
+  if (tweak >= secp256k1.CURVE.n) throw new Error("Taproot tweak out of range");
+  const q = lift_x(bytesToNumberBE(internalKey))
+    .add(secp256k1.ProjectivePoint.BASE.multiply(tweak))
+    .toAffine();
+  return { outputKey: numberToBytesBE(q.x, 32), parity: Number(q.y & 1n) };
+}
+
+function compareBytes(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+/**
+ * BIP342 signature budget of a tapscript spend: the serialized witness size
+ * plus a fixed offset.
+ * @param {Uint8Array[]} witness
+ * @returns {number}
+ */
+export function tapscriptValidationWeight(witness) {
+  return concatBytes(compactSize(witness.length), ...witness.map(varBytes)).length + VALIDATION_WEIGHT_OFFSET;
+}
+
+/**
+ * BIP341 signature hash (SigMsg with ext_flag 1 when `leaf` is given).
+ * @param {object} tx parsed transaction
+ * @param {number} inputIndex
+ * @param {{value: bigint, scriptPubKey: Uint8Array}[]} spent outputs spent by every input
+ * @param {number} hashType
+ * @param {object} [leaf] `{tapleafHash, codesepPos}` for script path spends,
+ *   omitted for key path spends
+ * @returns {Uint8Array|null} null for an invalid hash type or a SIGHASH_SINGLE
+ *   input without a matching output
+ */
+export function taprootSighash(tx, inputIndex, spent, hashType, leaf) {
+  if (!(hashType <= 0x03 || (hashType >= 0x81 && hashType <= 0x83))) return null;
+  const outputType = hashType === SIGHASH_DEFAULT ? SIGHASH_ALL : hashType & 0x03;
+  const anyoneCanPay = (hashType & SIGHASH_ANYONECANPAY) !== 0;
+  const input = tx.inputs[inputIndex];
+  const witness = input.witness;
+  const annex = witness.length >= 2 && witness[witness.length - 1][0] === 0x50 ? witness[witness.length - 1] : null;
+
+  const parts = [Uint8Array.of(0x00, hashType), u32(tx.version), u32(tx.locktime)];
+  if (!anyoneCanPay) {
+    parts.push(
+      sha256(concatBytes(...tx.inputs.map(outpoint))),
+      sha256(concatBytes(...spent.map((o) => u64(o.value)))),
+      sha256(concatBytes(...spent.map((o) => varBytes(o.scriptPubKey)))),
+      sha256(concatBytes(...tx.inputs.map((i) => u32(i.sequence))))
+    );
+  }
+  if (outputType === SIGHASH_ALL) parts.push(sha256(concatBytes(...tx.outputs.map(txOut))));
+  parts.push(Uint8Array.of((leaf ? 2 : 0) + (annex ? 1 : 0)));
+  if (anyoneCanPay) {
+    parts.push(outpoint(input), txOut(spent[inputIndex]), u32(input.sequence));
+  } else {
+    parts.push(u32(inputIndex));
+  }
+  if (annex) parts.push(sha256(varBytes(annex)));
+  if (outputType === SIGHASH_SINGLE) {
+    if (inputIndex >= tx.outputs.length) return null;
+    parts.push(sha256(txOut(tx.outputs[inputIndex])));
+  }
+  if (leaf) parts.push(leaf.tapleafHash, Uint8Array.of(0x00), u32(leaf.codesepPos));
+
+  return taggedHash("TapSighash", ...parts);
+}
+
+// -------------------- Signature checker --------------------
+function verifyECDSA(sig, pubkey, hash) {
+  try {
+    const signature = secp256k1.Signature.fromDER(sig);
+    // Core verifies with S normalized: high-S is only rejected by the LOW_S flag.
+    return secp256k1.verify(signature, hash, pubkey, { lowS: false, prehash: false });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build the checker the interpreter uses for CHECKSIG, CHECKLOCKTIMEVERIFY
+ * and CHECKSEQUENCEVERIFY, bound to one input of a spending transaction.
+ *
+ * `amounts` and `scriptPubKeys` describe the outputs being spent, one per
+ * input: segwit v0 only needs the amount of `inputIndex`, taproot needs all.
+ * @param {object} context
+ * @param {object|string} context.tx parsed transaction or its hex
+ * @param {number} [context.inputIndex]
+ * @param {(bigint|number|string)[]} [context.amounts] satoshis
+ * @param {(Uint8Array|string)[]} [context.scriptPubKeys]
+ * @returns {object}
+ * @throws {Error} if the transaction cannot be parsed or has no such input
+ */
+export function createTxChecker({ tx, inputIndex = 0, amounts = [], scriptPubKeys = [] }) {
+  const parsed = typeof tx === "string" ? parseTx(tx) : tx;
+  const input = parsed.inputs[inputIndex];
+  if (!input) throw new Error(`Transaction has no input ${inputIndex}`);
+  const toBytes = (s) => (typeof s === "string" ? hexToBytes(s) : s);
+  const spent = parsed.inputs.map((_, i) => ({
+    value: BigInt(amounts[i] ?? 0),
+    scriptPubKey: toBytes(scriptPubKeys[i] ?? new Uint8Array(0)),
+  }));
+  const hasSpentOutputs = amounts.length === parsed.inputs.length && scriptPubKeys.length === parsed.inputs.length;
+
+  return {
+    validationWeight: input.witness.length ? tapscriptValidationWeight(input.witness) : Infinity,
+
+    checkSig(sig, pubkey, scriptCode, sigversion) {
+      if (!sig.length) return false;
+      const hashType = sig[sig.length - 1];
+      const hash =
+        sigversion === SIGVERSION.WITNESS_V0
+          ? witnessV0Sighash(parsed, inputIndex, scriptCode, spent[inputIndex].value, hashType)
+          : legacySighash(parsed, inputIndex, scriptCode, hashType);
+      return verifyECDSA(sig.slice(0, -1), pubkey, hash);
+    },
+
+    checkSchnorrSig(sig, pubkey, execdata) {
+      if (sig.length !== 64 && sig.length !== 65) throw scriptError("SCHNORR_SIG_SIZE");
+      let hashType = SIGHASH_DEFAULT;
+      if (sig.length === 65) {
+        hashType = sig[64];
+        if (hashType === SIGHASH_DEFAULT) throw scriptError("SCHNORR_SIG_HASHTYPE");
+        sig = sig.slice(0, 64);
+      }
+      // no tapleaf hash: key path spend
+      const leaf = execdata.tapleafHash ? execdata : undefined;
+      const hash = hasSpentOutputs ? taprootSighash(parsed, inputIndex, spent, hashType, leaf) : null;
+      if (!hash) throw scriptError("SCHNORR_SIG_HASHTYPE");
+      try {
+        return schnorr.verify(sig, hash, pubkey);
+      } catch {
+        return false;
+      }
+    },
+
+    checkLockTime(lockTime) {
+      const n = Number(lockTime);
+      const sameKind = (n < LOCKTIME_THRESHOLD) === (parsed.locktime < LOCKTIME_THRESHOLD);
+      return sameKind && n <= parsed.locktime && input.sequence !== SEQUENCE_FINAL;
+    },
+
+    checkSequence(sequence) {
+      const n = Number(sequence);
+      if (parsed.version < 2) return false;
+      if (input.sequence & SEQUENCE_LOCKTIME_DISABLE_FLAG) return false;
+      const mask = SEQUENCE_LOCKTIME_TYPE_FLAG | SEQUENCE_LOCKTIME_MASK;
+      const txMasked = input.sequence & mask;
+      const masked = n & mask;
+      const sameKind = (txMasked < SEQUENCE_LOCKTIME_TYPE_FLAG) === (masked < SEQUENCE_LOCKTIME_TYPE_FLAG);
+      return sameKind && masked <= txMasked;
+    },
+  };
+}
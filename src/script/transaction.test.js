@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { secp256k1, schnorr } from "@noble/curves/secp256k1";
+
+import { asmToBytes, bytesToHex, hexToBytes } from "./codec.js";
+import { SCRIPT_ERRORS } from "./errors.js";
+import { runScript, verifyScript } from "./interpreter.js";
+import {
+  parseTx,
+  serializeTx,
+  txid,
+  legacySighash,
+  witnessV0Sighash,
+  taprootSighash,
+  tapleafHash,
+  createTxChecker,
+} from "./transaction.js";
+
+// BIP143 "Native P2WPKH" example, unsigned
+const BIP143_TX =
+  "0100000002fff7f7881a8099afa6940d42d1e7f6362bec38171ea3edf433541db4e4ad969f0000000000eeffffff" +
+  "ef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9b2b55d57b90ec68a0100000000ffffffff02202cb206" +
+  "000000001976a9148280b37df378db99f66f85c95a783a76ac7a6d5988ac9093510d000000001976a9143bde42db" +
+  "ee7e4dbe6a21b2d50ce2f0167faa815988ac11000000";
+const BIP143_PUBKEY = "025476c2e83188368da1ff3e292e7acafcdb3566bb0ad253f62fc70f07aeee6357";
+const BIP143_SIG =
+  "304402203609e17b84f6a7d30c80bfa610b5b4542f32a8a0d5447a12fb1366d7f01cc44a0220573a954c45183315" +
+  "61406f90300e8f3358f51928d43c212a8caed02de67eebee01";
+const P2WPKH_CODE = "OP_DUP OP_HASH160 <1d0f172a0ecb48aee1be1f2687d2963ae33f71a1> OP_EQUALVERIFY OP_CHECKSIG";
+
+const PRIVKEY = hexToBytes("0000000000000000000000000000000000000000000000000000000000000001");
+
+test("parseTx reads inputs, outputs and locktime", () => {
+  const tx = parseTx(BIP143_TX);
+  assert.equal(tx.version, 1);
+  assert.equal(tx.inputs.length, 2);
+  assert.equal(tx.inputs[0].sequence, 0xffffffee);
+  assert.equal(tx.inputs[1].vout, 1);
+  assert.deepEqual(tx.outputs.map((o) => o.value), [112340000n, 223450000n]);
+  assert.equal(tx.locktime, 17);
+  assert.throws(() => parseTx(BIP143_TX + "00"), /trailing data/);
+  assert.throws(() => parseTx(BIP143_TX.slice(0, -10)), /unexpected end/);
+});
+
+test("BIP143 signature hash and CHECKSIG on a segwit v0 input", () => {
+  const tx = parseTx(BIP143_TX);
+  const hash = witnessV0Sighash(tx, 1, asmToBytes(P2WPKH_CODE), 600000000n, 1);
+  assert.equal(bytesToHex(hash), "c37af31116d1b27caf68aae9e3ac82f1477929014d5b917657d0eb49478cb670");
+
+  const checker = createTxChecker({ tx: BIP143_TX, inputIndex: 1, amounts: [625000000, 600000000] });
+  const script = asmToBytes(P2WPKH_CODE);
+  const stack = [hexToBytes(BIP143_SIG), hexToBytes(BIP143_PUBKEY)];
+  assert.equal(runScript(script, { stack, checker, sigversion: "witness_v0" }).status, "success");
+  // the amount is signed
+  const wrongAmount = createTxChecker({ tx: BIP143_TX, inputIndex: 1, amounts: [0, 1] });
+  assert.equal(runScript(script, { stack, checker: wrongAmount, sigversion: "witness_v0" }).status, "error");
+});
+
+test("legacy CHECKSIG and the SIGHASH_SINGLE bug", () => {
+  const pubkey = bytesToHex(secp256k1.getPublicKey(PRIVKEY));
+  const code = asmToBytes(`<${pubkey}> OP_CHECKSIG`);
+  const hash = legacySighash(parseTx(BIP143_TX), 0, code, 1);
+  const sig = secp256k1.sign(hash, PRIVKEY).toDERHex() + "01";
+  const checker = createTxChecker({ tx: BIP143_TX, inputIndex: 0 });
+
+  // FindAndDelete strips the signature push from the signed scriptCode
+  const ok = runScript(asmToBytes(`<${sig}> <${pubkey}> OP_CHECKSIG`), { checker });
+  assert.equal(ok.status, "success");
+  const other = createTxChecker({ tx: BIP143_TX, inputIndex: 1 });
+  assert.equal(runScript(asmToBytes(`<${sig}> <${pubkey}> OP_CHECKSIG`), { checker: other }).status, "error");
+
+  const one = legacySighash({ ...parseTx(BIP143_TX), outputs: [] }, 0, code, 3);
+  assert.equal(bytesToHex(one), "01" + "00".repeat(31));
+});
+
+test("tapscript CHECKSIG and CHECKSIGADD verify BIP340 signatures", () => {
+  const tx = parseTx(BIP143_TX);
+  const pubkey = bytesToHex(schnorr.getPublicKey(PRIVKEY));
+  const spent = { amounts: [1000, 2000], scriptPubKeys: ["5120" + pubkey, "0014" + "00".repeat(20)] };
+  const code = asmToBytes(`<${pubkey}> OP_CHECKSIG`);
+  const hash = taprootSighash(
+    tx,
+    0,
+    spent.amounts.map((value, i) => ({ value: BigInt(value), scriptPubKey: hexToBytes(spent.scriptPubKeys[i]) })),
+    0,
+    { tapleafHash: tapleafHash(code), codesepPos: 0xffffffff }
+  );
+  const sig = bytesToHex(schnorr.sign(hash, PRIVKEY));
+  const checker = createTxChecker({ tx, inputIndex: 0, ...spent });
+  const options = { checker, sigversion: "tapscript" };
+
+  assert.equal(runScript(code, { ...options, stack: [hexToBytes(sig)] }).status, "success");
+  assert.equal(runScript(code, { ...options, stack: [new Uint8Array(0)] }).error, SCRIPT_ERRORS.EVAL_FALSE);
+  const bad = sig.slice(0, -2) + (sig.endsWith("00") ? "01" : "00");
+  assert.equal(runScript(code, { ...options, stack: [hexToBytes(bad)] }).error, SCRIPT_ERRORS.SCHNORR_SIG);
+  assert.equal(runScript(code, { ...options, stack: [hexToBytes(sig + "00")] }).error, SCRIPT_ERRORS.SCHNORR_SIG_HASHTYPE);
+  assert.equal(runScript(code, { ...options, stack: [hexToBytes("00")] }).error, SCRIPT_ERRORS.SCHNORR_SIG_SIZE);
+});
+
+test("locktime checks compare against the spending transaction", () => {
+  // locktime 17, input 0 sequence 0xffffffee, version 1
+  const checker = createTxChecker({ tx: BIP143_TX, inputIndex: 0 });
+  const cltv = (n) => runScript(asmToBytes(`${n} OP_CHECKLOCKTIMEVERIFY`), { checker, flags: "CHECKLOCKTIMEVERIFY" });
+  assert.equal(cltv(17).status, "success");
+  assert.equal(cltv(18).error, SCRIPT_ERRORS.UNSATISFIED_LOCKTIME);
+  assert.equal(cltv(-1).error, SCRIPT_ERRORS.NEGATIVE_LOCKTIME);
+  // input 1 has a final sequence
+  const final = createTxChecker({ tx: BIP143_TX, inputIndex: 1 });
+  assert.equal(
+    runScript(asmToBytes("1 OP_CHECKLOCKTIMEVERIFY"), { checker: final, flags: "CHECKLOCKTIMEVERIFY" }).error,
+    SCRIPT_ERRORS.UNSATISFIED_LOCKTIME
+  );
+
+  const csv = (n) => runScript(asmToBytes(`${n} OP_CHECKSEQUENCEVERIFY`), { checker, flags: "CHECKSEQUENCEVERIFY" });
+  // version 1 transactions have no relative locktime
+  assert.equal(csv(1).error, SCRIPT_ERRORS.UNSATISFIED_LOCKTIME);
+  assert.equal(csv(2 ** 31).status, "success");
+});
+
+test("verifyScript checks P2WPKH and taproot key path signatures", () => {
+  const p2wpkh = verifyScript(
+    {
+      scriptSig: new Uint8Array(0),
+      scriptPubKey: hexToBytes("00141d0f172a0ecb48aee1be1f2687d2963ae33f71a1"),
+      witness: [hexToBytes(BIP143_SIG), hexToBytes(BIP143_PUBKEY)],
+    },
+    { flags: "P2SH,WITNESS", checker: createTxChecker({ tx: BIP143_TX, inputIndex: 1, amounts: [0, 600000000] }) }
+  );
+  assert.equal(p2wpkh.status, "success", p2wpkh.error);
+  assert.equal(p2wpkh.scripts.witnessScript, "76a9141d0f172a0ecb48aee1be1f2687d2963ae33f71a188ac");
+
+  const tx = parseTx(BIP143_TX);
+  const key = bytesToHex(schnorr.getPublicKey(PRIVKEY));
+  const spent = { amounts: [1000, 2000], scriptPubKeys: ["5120" + key, "0014" + "00".repeat(20)] };
+  const hash = taprootSighash(
+    tx,
+    0,
+    spent.amounts.map((value, i) => ({ value: BigInt(value), scriptPubKey: hexToBytes(spent.scriptPubKeys[i]) })),
+    0
+  );
+  const keyPath = (sig) =>
+    verifyScript(
+      { scriptSig: new Uint8Array(0), scriptPubKey: hexToBytes("5120" + key), witness: [sig] },
+      { flags: "P2SH,WITNESS,TAPROOT", checker: createTxChecker({ tx, inputIndex: 0, ...spent }) }
+    );
+  assert.equal(keyPath(schnorr.sign(hash, PRIVKEY)).status, "success");
+  assert.equal(keyPath(new Uint8Array(64)).error, SCRIPT_ERRORS.SCHNORR_SIG);
+});
+
+test("serializeTx round-trips parseTx and txid hashes without the witness", () => {
+  assert.equal(bytesToHex(serializeTx(parseTx(BIP143_TX))), BIP143_TX);
+  const tx = parseTx(BIP143_TX);
+  tx.inputs[1].witness = [hexToBytes("51")];
+  const segwit = serializeTx(tx);
+  assert.deepEqual(parseTx(segwit).inputs[1].witness, [hexToBytes("51")]);
+  assert.deepEqual(txid(tx), txid(parseTx(BIP143_TX)));
+  assert.equal(bytesToHex(serializeTx(tx, { witness: false })), BIP143_TX);
+});
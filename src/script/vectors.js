@@ -0,0 +1,176 @@
+/**
+ * Bitcoin Core `script_tests.json` vectors: its script notation, the
+ * crediting/spending transaction pair every vector is verified in, and the
+ * comparison of a result with the expected script error.
+ */
+
+import { utf8ToBytes } from "@noble/hashes/utils";
+
+import { OPC } from "./opcodes.js";
+import { hexToBytes, bytesToHex, pushData } from "./codec.js";
+import { encodeScriptNum } from "./scriptnum.js";
+import { parseFlags } from "./flags.js";
+import { SCRIPT_ERRORS } from "./errors.js";
+import { SEQUENCE_FINAL, TAPSCRIPT_LEAF_VERSION, tapleafHash, taprootTweak, serializeTx, txid } from "./transaction.js";
+
+// BIP341 NUMS point, the internal key of the "#TAPROOTOUTPUT#" vectors
+const NUMS_H = hexToBytes("50929b74c1a04954b78b4b6035e97a5e078a5a0f28ec96d547bfee9ace803ac0");
+
+// Expected error names of script_tests.json that SCRIPT_ERRORS spells differently
+const ERROR_ALIASES = { NULLFAIL: "SIG_NULLFAIL" };
+
+// -------------------- Script notation --------------------
+function numberPush(n) {
+  if (n === 0n) return Uint8Array.of(OPC.OP_0);
+  if (n === -1n) return Uint8Array.of(OPC.OP_1NEGATE);
+  if (n >= 1n && n <= 16n) return Uint8Array.of(OPC.OP_1 + Number(n) - 1);
+  return pushData(encodeScriptNum(n));
+}
+
+/**
+ * Parse a script written like Core's ParseScript expects: decimal numbers
+ * (pushed as script numbers), `0x..` raw bytes inserted as they are, `'text'`
+ * pushes and opcode names with or without the `OP_` prefix.
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} on unknown words or numbers out of range
+ */
+export function parseCoreScript(text) {
+  const parts = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (/^-?[0-9]+$/.test(word)) {
+      const n = BigInt(word);
+      if (n > 0xffffffffn || n < -0xffffffffn) throw new Error(`Number out of range: ${word}`);
+      parts.push(numberPush(n));
+    } else if (/^0x([0-9a-fA-F]{2})+$/.test(word)) {
+      parts.push(hexToBytes(word.slice(2)));
+    } else if (word.length >= 2 && word.startsWith("'") && word.endsWith("'")) {
+      parts.push(pushData(utf8ToBytes(word.slice(1, -1))));
+    } else {
+      const code = OPC[word] ?? OPC["OP_" + word];
+      if (code === undefined) throw new Error(`Unknown script word: ${word}`);
+      parts.push(Uint8Array.of(code));
+    }
+  }
+  return Uint8Array.from(parts.flatMap((p) => [...p]));
+}
+
+// -------------------- Vectors --------------------
+/**
+ * Read the vectors of a script_tests.json file, skipping comment entries.
+ *
+ * Each vector is `{index, witness, amount, scriptSig, scriptPubKey, flags,
+ * expected, comment}`: `index` is the entry's position in the file, `witness`
+ * the raw witness strings, `amount` in satoshis (bigint) and the scripts in
+ * Core's notation.
+ * @param {string|Array} tests file contents or the parsed JSON
+ * @returns {object[]}
+ */
+export function parseScriptTests(tests) {
+  const entries = typeof tests === "string" ? JSON.parse(tests) : tests;
+  if (!Array.isArray(entries)) throw new Error("Expected a JSON array of test vectors");
+  const vectors = [];
+  entries.forEach((entry, index) => {
+    if (!Array.isArray(entry)) return;
+    let witness = [];
+    let amount = 0n;
+    let fields = entry;
+    if (Array.isArray(entry[0])) {
+      witness = entry[0].slice(0, -1);
+      amount = BigInt(Math.round(entry[0][entry[0].length - 1] * 1e8));
+      fields = entry.slice(1);
+    }
+    if (fields.length < 4) return; // comment
+    const [scriptSig, scriptPubKey, flags, expected, comment = ""] = fields;
+    vectors.push({ index, witness, amount, scriptSig, scriptPubKey, flags, expected, comment });
+  });
+  return vectors;
+}
+
+// Witness items and scriptPubKey with the taproot placeholders filled in: a
+// "#SCRIPT# <script>" item is a tapscript leaf, "#CONTROLBLOCK#" its control
+// block for a single-leaf tree on NUMS_H, and "#TAPROOTOUTPUT#" in the
+// scriptPubKey that tree's output key.
+function resolveTaproot(vector) {
+  let leaf = null;
+  const witness = vector.witness.map((item) => {
+    if (item.startsWith("#SCRIPT#")) {
+      leaf = parseCoreScript(item.slice("#SCRIPT#".length));
+      return leaf;
+    }
+    if (item !== "#CONTROLBLOCK#") return hexToBytes(item);
+    if (!leaf) throw new Error("#CONTROLBLOCK# without a #SCRIPT#");
+    const { parity } = taprootTweak(NUMS_H, tapleafHash(leaf));
+    return Uint8Array.from([TAPSCRIPT_LEAF_VERSION | parity, ...NUMS_H]);
+  });
+  let scriptPubKey = vector.scriptPubKey;
+  if (scriptPubKey.includes("#TAPROOTOUTPUT#")) {
+    if (!leaf) throw new Error("#TAPROOTOUTPUT# without a #SCRIPT#");
+    const { outputKey } = taprootTweak(NUMS_H, tapleafHash(leaf));
+    scriptPubKey = scriptPubKey.replace("#TAPROOTOUTPUT#", "0x" + bytesToHex(outputKey));
+  }
+  return { witness, scriptPubKey: parseCoreScript(scriptPubKey) };
+}
+
+/**
+ * The debugger job of a vector: its scriptPubKey spent by its scriptSig and
+ * witness in the one-input transaction Core's script tests build (spending
+ * the output of a crediting transaction, version 1, locktime 0, final
+ * sequence).
+ * @param {object} vector from `parseScriptTests`
+ * @returns {{input: string, context: object, spend: object}}
+ * @throws {Error} on unparsable scripts or unknown flags
+ */
+export function vectorJob(vector) {
+  const { witness, scriptPubKey } = resolveTaproot(vector);
+  const scriptSig = parseCoreScript(vector.scriptSig);
+  const flags = [...parseFlags(vector.flags)];
+
+  const credit = {
+    version: 1,
+    inputs: [{ txid: new Uint8Array(32), vout: 0xffffffff, scriptSig: Uint8Array.of(OPC.OP_0, OPC.OP_0), sequence: SEQUENCE_FINAL, witness: [] }],
+    outputs: [{ value: vector.amount, scriptPubKey }],
+    locktime: 0,
+  };
+  const spend = {
+    version: 1,
+    inputs: [{ txid: txid(credit), vout: 0, scriptSig, sequence: SEQUENCE_FINAL, witness }],
+    outputs: [{ value: vector.amount, scriptPubKey: new Uint8Array(0) }],
+    locktime: 0,
+  };
+  return {
+    input: bytesToHex(scriptPubKey),
+    context: {
+      tx: bytesToHex(serializeTx(spend)),
+      inputIndex: 0,
+      amounts: [vector.amount.toString()],
+      scriptPubKeys: [bytesToHex(scriptPubKey)],
+      flags,
+    },
+    spend: { scriptSig: bytesToHex(scriptSig), witness: witness.map(bytesToHex) },
+  };
+}
+
+/**
+ * Name of a script error message as used in script_tests.json ("OK" for
+ * success), or the message itself when it is not one of SCRIPT_ERRORS.
+ * @param {{status: string, error: string}} result
+ * @returns {string}
+ */
+export function resultErrorName(result) {
+  if (result.status === "success") return "OK";
+  const name = Object.keys(SCRIPT_ERRORS).find((key) => SCRIPT_ERRORS[key] === result.error);
+  return name ?? result.error;
+}
+
+/**
+ * Compare a job result with the error a vector expects.
+ * @param {object} vector
+ * @param {{status: string, error: string}} result
+ * @returns {{pass: boolean, expected: string, actual: string}}
+ */
+export function checkVector(vector, result) {
+  const expected = ERROR_ALIASES[vector.expected] ?? vector.expected;
+  const actual = resultErrorName(result);
+  return { pass: actual === expected, expected, actual };
+}
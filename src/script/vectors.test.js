@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sha256 } from "@noble/hashes/sha2";
+
+import { bytesToHex } from "./codec.js";
+import { runJob } from "./job.js";
+import { parseCoreScript, parseScriptTests, vectorJob, checkVector } from "./vectors.js";
+
+const run = (vector) => checkVector(vector, runJob(vectorJob(vector)));
+
+test("parseCoreScript reads numbers, raw bytes, strings and opcode names", () => {
+  assert.equal(bytesToHex(parseCoreScript("0 -1 1 16 17 1000 -1000")), "004f51600111" + "02e803" + "02e883");
+  assert.equal(bytesToHex(parseCoreScript("0x4c 0x01 0x07 'Az'")), "4c0107" + "02417a");
+  assert.equal(bytesToHex(parseCoreScript("DUP OP_HASH160 NOP2")), "76a9b1");
+  assert.throws(() => parseCoreScript("FOO"), /Unknown script word: FOO/);
+  assert.throws(() => parseCoreScript("4294967296"), /out of range/);
+});
+
+test("parseScriptTests skips comments and reads witness amounts", () => {
+  const vectors = parseScriptTests(JSON.stringify([
+    ["Format is: [scriptSig, scriptPubKey, flags, expected_scripterror, ... comments]"],
+    ["1", "2 EQUAL", "P2SH", "EVAL_FALSE", "not equal"],
+    [["51", 0.00000002], "", "0 0x20 0xaa", "WITNESS", "OK"],
+  ]));
+  assert.equal(vectors.length, 2);
+  assert.deepEqual(
+    { index: vectors[0].index, expected: vectors[0].expected, comment: vectors[0].comment },
+    { index: 1, expected: "EVAL_FALSE", comment: "not equal" }
+  );
+  assert.deepEqual(vectors[1].witness, ["51"]);
+  assert.equal(vectors[1].amount, 2n);
+  assert.equal(vectors[1].comment, "");
+});
+
+test("vectors run in Core's crediting/spending transactions", () => {
+  const [ok, evalFalse, nullfail, p2wsh, taproot] = parseScriptTests([
+    ["0x01 0x0b", "11 EQUAL", "P2SH,STRICTENC", "OK", "push 1 byte"],
+    ["1", "2 EQUAL", "P2SH", "EVAL_FALSE"],
+    ["0", "0x21 0x0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798 CHECKSIG NOT", "NULLFAIL", "OK"],
+    [["51", 0], "", "0 0x20 0x" + bytesToHex(sha256(Uint8Array.of(0x51))), "P2SH,WITNESS", "OK"],
+    [["#SCRIPT# 1", "#CONTROLBLOCK#", 0.00000001], "", "0x51 0x20 #TAPROOTOUTPUT#", "P2SH,WITNESS,TAPROOT", "OK"],
+  ]);
+  assert.deepEqual(run(ok), { pass: true, expected: "OK", actual: "OK" });
+  assert.deepEqual(run(evalFalse), { pass: true, expected: "EVAL_FALSE", actual: "EVAL_FALSE" });
+  assert.equal(run(nullfail).pass, true);
+  assert.equal(run(p2wsh).pass, true);
+  assert.equal(run(taproot).pass, true);
+
+  const job = vectorJob(p2wsh);
+  assert.deepEqual(job.spend, { scriptSig: "", witness: ["51"] });
+  assert.deepEqual(job.context.flags, ["P2SH", "WITNESS"]);
+});
+
+test("checkVector maps Core error names and reports mismatches", () => {
+  const vector = { expected: "NULLFAIL" };
+  assert.deepEqual(
+    checkVector(vector, { status: "error", error: "Signature must be zero for failed CHECK(MULTI)SIG operation" }),
+    { pass: true, expected: "SIG_NULLFAIL", actual: "SIG_NULLFAIL" }
+  );
+  assert.deepEqual(checkVector(vector, { status: "success", error: "" }), { pass: false, expected: "SIG_NULLFAIL", actual: "OK" });
+  assert.equal(checkVector(vector, { status: "error", error: "odd failure" }).actual, "odd failure");
+});
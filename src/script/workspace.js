@@ -0,0 +1,146 @@
+/**
+ * The workspace: named scripts kept in localStorage, each stored as a debug
+ * session without its trace (see session.js). Every change returns a new
+ * workspace `{scripts: [{id, name, session, updated}], activeId}`.
+ */
+
+import { parseSession } from "./session.js";
+
+export const WORKSPACE_KEY = "workspace";
+
+const EMPTY_WORKSPACE = { scripts: [], activeId: null };
+
+/**
+ * Read the workspace, dropping scripts whose session no longer parses.
+ * @param {Storage} [storage]
+ * @returns {{scripts: object[], activeId: string|null}}
+ */
+export function loadWorkspace(storage = globalThis.localStorage) {
+  let data;
+  try {
+    data = JSON.parse(storage?.getItem(WORKSPACE_KEY));
+  } catch {
+    return EMPTY_WORKSPACE;
+  }
+  if (!data || !Array.isArray(data.scripts)) return EMPTY_WORKSPACE;
+  const scripts = data.scripts.flatMap((script) => {
+    try {
+      return [{ ...script, session: parseSession(script.session) }];
+    } catch {
+      return [];
+    }
+  });
+  const activeId = scripts.some((s) => s.id === data.activeId) ? data.activeId : null;
+  return { scripts, activeId };
+}
+
+/**
+ * Store the workspace. Storage that is full or blocked does not throw.
+ * @param {{scripts: object[], activeId: string|null}} workspace
+ * @param {Storage} [storage]
+ * @returns {string|null} why it could not be stored, null once stored
+ */
+export function saveWorkspace(workspace, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(WORKSPACE_KEY, JSON.stringify(workspace));
+    return null;
+  } catch (e) {
+    return e.message || String(e);
+  }
+}
+
+/**
+ * `name`, or `name (2)`, `name (3)`... when a script already has it.
+ * @param {object[]} scripts
+ * @param {string} name
+ * @returns {string}
+ */
+export function uniqueName(scripts, name) {
+  const base = name.trim() || "Untitled";
+  const taken = new Set(scripts.map((s) => s.name));
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base} (${n})`)) n++;
+  return `${base} (${n})`;
+}
+
+const withoutResult = (session) => ({ ...session, result: null });
+
+/**
+ * Add a script and make it the active one.
+ * @param {object} workspace
+ * @param {string} name
+ * @param {object} session
+ * @returns {object} the new workspace
+ */
+export function addScript(workspace, name, session) {
+  const script = {
+    id: globalThis.crypto.randomUUID(),
+    name: uniqueName(workspace.scripts, name),
+    session: withoutResult(session),
+    updated: Date.now(),
+  };
+  return { scripts: [...workspace.scripts, script], activeId: script.id };
+}
+
+/**
+ * @param {object} workspace
+ * @param {string} id
+ * @param {object} session
+ * @returns {object}
+ */
+export function updateScript(workspace, id, session) {
+  return {
+    ...workspace,
+    scripts: workspace.scripts.map((s) => (s.id === id ? { ...s, session: withoutResult(session), updated: Date.now() } : s)),
+  };
+}
+
+/**
+ * @param {object} workspace
+ * @param {string} id
+ * @param {string} name made unique among the other scripts
+ * @returns {object}
+ */
+export function renameScript(workspace, id, name) {
+  const others = workspace.scripts.filter((s) => s.id !== id);
+  return {
+    ...workspace,
+    scripts: workspace.scripts.map((s) => (s.id === id ? { ...s, name: uniqueName(others, name) } : s)),
+  };
+}
+
+/**
+ * Copy a script under a new name and make the copy active.
+ * @param {object} workspace
+ * @param {string} id
+ * @returns {object}
+ */
+export function duplicateScript(workspace, id) {
+  const script = workspace.scripts.find((s) => s.id === id);
+  return script ? addScript(workspace, `${script.name} copy`, script.session) : workspace;
+}
+
+/**
+ * @param {object} workspace
+ * @param {string} id
+ * @returns {object}
+ */
+export function deleteScript(workspace, id) {
+  return {
+    scripts: workspace.scripts.filter((s) => s.id !== id),
+    activeId: workspace.activeId === id ? null : workspace.activeId,
+  };
+}
+
+/**
+ * Scripts whose name or ASM contains `query`, ignoring case.
+ * @param {object[]} scripts
+ * @param {string} query
+ * @returns {object[]}
+ */
+export function searchScripts(scripts, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return scripts;
+  return scripts.filter((s) => s.name.toLowerCase().includes(q) || s.session.asm.toLowerCase().includes(q));
+}
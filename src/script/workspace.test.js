@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createSession } from "./session.js";
+import {
+  WORKSPACE_KEY,
+  loadWorkspace,
+  saveWorkspace,
+  uniqueName,
+  addScript,
+  updateScript,
+  renameScript,
+  duplicateScript,
+  deleteScript,
+  searchScripts,
+} from "./workspace.js";
+
+// In-memory stand-in for localStorage
+function memoryStorage() {
+  const items = new Map();
+  return { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, String(value)) };
+}
+
+const EMPTY = { scripts: [], activeId: null };
+const session = (asm) => createSession({ asm, result: { status: "success", error: "", trace: [] }, step: 1 });
+
+test("scripts are added, renamed, duplicated and deleted", () => {
+  let ws = addScript(EMPTY, "HTLC", session("OP_IF OP_ENDIF"));
+  const htlc = ws.scripts[0];
+  assert.equal(ws.activeId, htlc.id);
+  assert.equal(htlc.session.result, null);
+
+  ws = addScript(ws, "HTLC", session("OP_1"));
+  assert.deepEqual(ws.scripts.map((s) => s.name), ["HTLC", "HTLC (2)"]);
+
+  ws = renameScript(ws, ws.scripts[1].id, "HTLC");
+  assert.equal(ws.scripts[1].name, "HTLC (2)");
+  ws = renameScript(ws, ws.scripts[1].id, "Timelock");
+  assert.equal(ws.scripts[1].name, "Timelock");
+
+  ws = duplicateScript(ws, htlc.id);
+  assert.equal(ws.scripts[2].name, "HTLC copy");
+  assert.equal(ws.scripts[2].session.asm, "OP_IF OP_ENDIF");
+  assert.equal(ws.activeId, ws.scripts[2].id);
+
+  ws = updateScript(ws, htlc.id, session("OP_NOTIF OP_ENDIF"));
+  assert.equal(ws.scripts[0].session.asm, "OP_NOTIF OP_ENDIF");
+
+  ws = deleteScript(ws, ws.activeId);
+  assert.equal(ws.activeId, null);
+  assert.deepEqual(ws.scripts.map((s) => s.name), ["HTLC", "Timelock"]);
+
+  assert.deepEqual(searchScripts(ws.scripts, "notif").map((s) => s.name), ["HTLC"]);
+  assert.deepEqual(searchScripts(ws.scripts, "TIME").map((s) => s.name), ["Timelock"]);
+  assert.equal(searchScripts(ws.scripts, " ").length, 2);
+  assert.equal(uniqueName([], "  "), "Untitled");
+});
+
+test("the workspace round-trips through storage and skips broken entries", () => {
+  const storage = memoryStorage();
+  assert.deepEqual(loadWorkspace(storage), EMPTY);
+
+  const ws = addScript(EMPTY, "P2PKH", session("OP_DUP"));
+  assert.equal(saveWorkspace(ws, storage), null);
+  assert.deepEqual(loadWorkspace(storage), ws);
+
+  storage.setItem(WORKSPACE_KEY, JSON.stringify({ scripts: [...ws.scripts, { id: "x", name: "bad", session: {} }], activeId: "x" }));
+  assert.deepEqual(loadWorkspace(storage), { scripts: ws.scripts, activeId: null });
+  storage.setItem(WORKSPACE_KEY, "{");
+  assert.deepEqual(loadWorkspace(storage), EMPTY);
+});
+
+test("a full or blocked storage does not throw on save", () => {
+  const full = {
+    getItem: () => null,
+    setItem: () => {
+      throw Object.assign(new Error("The quota has been exceeded."), { name: "QuotaExceededError" });
+    },
+  };
+  const ws = addScript(EMPTY, "P2PKH", session("OP_DUP"));
+  assert.equal(saveWorkspace(ws, full), "The quota has been exceeded.");
+});